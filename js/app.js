@@ -7,12 +7,30 @@ import { auth } from './firestore-config.js';
 import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
 import { logout, getCurrentUser } from './auth.js';
 import { initNavigation } from './navigation.js';
-import { showMessage, getFromLocalStorage } from './utils.js';
-import { getAllEvents } from './storage.js';
+import { showMessage, getFromLocalStorage, saveToLocalStorage, sanitizeString, formatDateRange } from './utils.js';
+import {
+    getEventsPage,
+    subscribeToEvents,
+    getActiveUsers,
+    getEventPhotoCount,
+    getEventCategoryCount,
+    migrateAllEvents,
+    migrateEventSummaries,
+    areEventSummariesReady,
+    initPendingOperationsSync,
+    applyPendingOperations,
+    resolveSyncConflict,
+    isLocalEventId,
+    SYNC_CONFLICTS
+} from './storage.js';
+import { CATALOG_CATEGORIES } from './categories.js';
 import { initEventForm, loadEventForEdit, deleteEventById } from './events.js';
 import { initPhotoManager, openPhotoManager } from './photo-manager.js';
 import { initReportManager, loadReportsView } from './report-manager.js';
 import { initUserManagement } from './user-management.js';
+import { initUploadQueue, getFailedUploads, discardFailedUploads } from './upload-queue.js';
+import { DEFAULT_FILTERS, SORT_OPTIONS, loadSavedFilters, saveFilters, countActiveFilters, applyEventFilters } from './event-filters.js';
+import { loadCurrentUserRole, isCurrentUserActive, getCurrentRole, hasPermission, applyRoleVisibility, PERMISSIONS, ROLE_LABELS } from './roles.js';
 
 /* ===================================
    INICIALIZACIÓN
@@ -22,7 +40,20 @@ import { initUserManagement } from './user-management.js';
 const appState = {
     currentUser: null,
     events: [],
-    isLoading: false
+    serverEvents: [],   // Eventos cargados, sin cambios pendientes aplicados
+    liveEvents: [],     // Primera página, escuchada en vivo
+    olderEvents: [],    // Páginas siguientes, leídas una vez con cursor
+    cursor: null,       // Último documento cargado (inicio de la siguiente página)
+    pageAnchor: null,   // Final fijo de la primera página una vez que hay más páginas
+    hasMore: false,
+    unsubscribeEvents: null,
+    loadRequest: 0,     // Descarta respuestas de cargas anteriores
+    responsables: null, // Usuarios activos para el filtro de responsable
+    searchTerm: '',
+    filters: loadSavedFilters(),
+    isLoading: false,
+    isReviewingConflicts: false,
+    summariesReady: Boolean(getFromLocalStorage('resumenesListos')) // Todos los eventos tienen totalFotos
 };
 
 // Elementos del DOM
@@ -30,10 +61,19 @@ let logoutBtn;
 let welcomeMessage;
 let profileName;
 let profileEmail;
+let profileRole;
 let searchInput;
 let filterBtn;
+let filterPanel;
+let filterBadge;
+let clearFiltersBtn;
 let eventsContainer;
 let emptyState;
+let eventsSentinel;
+let eventsObserver;
+let failedUploadsNotice;
+let failedUploadsText;
+let discardFailedUploadsBtn;
 
 // Variable para evitar múltiples inicializaciones
 let isInitialized = false;
@@ -68,12 +108,23 @@ function checkAuthentication() {
 /**
  * Inicializa todos los componentes de la aplicación
  */
-function initializeApp() {
+async function initializeApp() {
     console.log('⚙️ Inicializando componentes...');
     
     // Obtener elementos del DOM
     initializeDOMElements();
     
+    // Cargar el rol antes de mostrar opciones que dependen de él
+    await loadCurrentUserRole();
+    
+    if (!isCurrentUserActive()) {
+        alert('Tu cuenta está desactivada. Contacta a un administrador.');
+        await logout();
+        return;
+    }
+    
+    applyRoleVisibility();
+    
     // Inicializar navegación
     initNavigation();
     
@@ -89,6 +140,10 @@ function initializeApp() {
     // Inicializar gestión de usuarios
     initUserManagement();
     
+    // Inicializar cola de subida offline
+    initUploadQueue();
+    updateFailedUploadsNotice();
+    
     // Cargar datos del usuario
     loadUserData();
     
@@ -98,8 +153,16 @@ function initializeApp() {
     // Configurar listeners de eventos personalizados
     setupCustomEventListeners();
     
-    // Cargar eventos
+    // Enviar a Firestore los cambios hechos sin conexión
+    initPendingOperationsSync();
+    
+    // Cargar eventos y responsables para el filtro
     loadEvents();
+    loadFilterResponsables();
+    
+    // Mover fotos embebidas de eventos antiguos a su subcolección
+    // y después completar los resúmenes (totales y portada)
+    runPhotosMigration().then(checkEventSummaries).then(runSummariesMigration);
     
     console.log('✅ Aplicación iniciada correctamente');
 }
@@ -112,10 +175,18 @@ function initializeDOMElements() {
     welcomeMessage = document.getElementById('welcomeMessage');
     profileName = document.getElementById('profileName');
     profileEmail = document.getElementById('profileEmail');
+    profileRole = document.getElementById('profileRole');
     searchInput = document.getElementById('searchInput');
     filterBtn = document.getElementById('filterBtn');
+    filterPanel = document.getElementById('filterPanel');
+    filterBadge = document.getElementById('filterBadge');
+    clearFiltersBtn = document.getElementById('clearFiltersBtn');
     eventsContainer = document.getElementById('eventsContainer');
     emptyState = document.getElementById('emptyState');
+    eventsSentinel = document.getElementById('eventsSentinel');
+    failedUploadsNotice = document.getElementById('failedUploadsNotice');
+    failedUploadsText = document.getElementById('failedUploadsText');
+    discardFailedUploadsBtn = document.getElementById('discardFailedUploadsBtn');
 }
 
 /**
@@ -136,25 +207,70 @@ function setupEventListeners() {
     if (filterBtn) {
         filterBtn.addEventListener('click', handleFilter);
     }
+
+    if (filterPanel) {
+        filterPanel.addEventListener('change', handleFilterChange);
+        syncFilterInputs();
+    }
+
+    if (clearFiltersBtn) {
+        clearFiltersBtn.addEventListener('click', handleClearFilters);
+    }
+
+    if (discardFailedUploadsBtn) {
+        discardFailedUploadsBtn.addEventListener('click', handleDiscardFailedUploads);
+    }
+
+    // Scroll infinito: cargar la siguiente página al acercarse al final
+    if (eventsSentinel && 'IntersectionObserver' in window) {
+        eventsObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadMoreEvents();
+            }
+        }, { rootMargin: '300px' });
+        eventsObserver.observe(eventsSentinel);
+    }
 }
 
 /**
  * Configura listeners para eventos personalizados
  */
 function setupCustomEventListeners() {
+    // Con la suscripción activa los cambios llegan solos (solo se vuelven
+    // a aplicar los pendientes); sin ella (error o sin conexión) se reintenta
+    const reloadIfNotLive = () => {
+        if (appState.unsubscribeEvents) {
+            showLoadedEvents();
+        } else {
+            loadEvents();
+        }
+    };
+    
     // Cuando se crea un evento
-    window.addEventListener('eventCreated', () => {
-        loadEvents();
-    });
+    window.addEventListener('eventCreated', reloadIfNotLive);
 
     // Cuando se actualiza un evento
-    window.addEventListener('eventUpdated', () => {
-        loadEvents();
-    });
+    window.addEventListener('eventUpdated', reloadIfNotLive);
 
     // Cuando se elimina un evento
-    window.addEventListener('eventDeleted', () => {
-        loadEvents();
+    window.addEventListener('eventDeleted', reloadIfNotLive);
+
+    // Fotos de la cola offline que dejaron de reintentarse
+    window.addEventListener('uploadQueueChanged', updateFailedUploadsNotice);
+
+    // Cuando terminan de sincronizarse los cambios hechos sin conexión
+    window.addEventListener('pendingOperationsSynced', (e) => {
+        const { synced, conflicts } = e.detail;
+        
+        if (synced > 0) {
+            showMessage(`✅ ${synced} cambio(s) hechos sin conexión se sincronizaron`, 'success');
+        }
+        
+        reloadIfNotLive();
+        
+        if (conflicts.length > 0) {
+            reviewSyncConflicts(conflicts);
+        }
     });
 }
 
@@ -185,6 +301,10 @@ function loadUserData() {
         if (profileEmail) {
             profileEmail.textContent = userData.email;
         }
+        
+        if (profileRole) {
+            profileRole.textContent = ROLE_LABELS[getCurrentRole()];
+        }
 
         console.log('✅ Datos del usuario cargados:', userData.email);
     }
@@ -195,30 +315,309 @@ function loadUserData() {
    =================================== */
 
 /**
- * Carga los eventos del usuario
+ * Carga la primera página de eventos (reinicia la paginación)
  */
-async function loadEvents() {
+function loadEvents() {
     console.log('📁 Cargando eventos...');
     
+    const request = ++appState.loadRequest;
+    
+    appState.olderEvents = [];
+    appState.cursor = null;
+    appState.pageAnchor = null;
+    appState.hasMore = false;
+    appState.isLoading = true;
+    updateSentinel();
+    
+    subscribeFirstPage(request);
+}
+
+/**
+ * Carga los usuarios activos para el filtro de responsable
+ */
+async function loadFilterResponsables() {
+    appState.responsables = await getActiveUsers();
+    populateFilterOptions();
+}
+
+/**
+ * Carga la siguiente página de eventos con cursor (sin listener:
+ * solo la primera página y el evento abierto se escuchan en vivo)
+ */
+async function loadMoreEvents() {
+    if (appState.isLoading || !appState.hasMore) return;
+    
+    const request = appState.loadRequest;
+    
+    appState.isLoading = true;
+    updateSentinel();
+    
+    // Fijar el final de la primera página donde empieza la siguiente
+    if (!appState.pageAnchor) {
+        appState.pageAnchor = appState.cursor;
+        subscribeFirstPage(request);
+    }
+    
+    const page = await getEventsPage({ order: getEventsOrder(), cursor: appState.cursor });
+    if (request !== appState.loadRequest) return;
+    
+    appState.olderEvents = [...appState.olderEvents, ...page.events];
+    appState.cursor = page.cursor || appState.cursor;
+    appState.hasMore = page.hasMore;
+    appState.isLoading = false;
+    
+    showLoadedEvents();
+}
+
+/**
+ * Escucha en vivo la primera página: los cambios hechos desde
+ * cualquier dispositivo vuelven a pintar la lista
+ * @param {number} request - Carga que lo solicitó
+ */
+function subscribeFirstPage(request) {
+    const previous = appState.unsubscribeEvents;
+    
+    // Suscribir antes de cancelar la anterior para reutilizar los documentos ya recibidos
+    appState.unsubscribeEvents = subscribeToEvents(
+        { order: getEventsOrder(), until: appState.pageAnchor },
+        page => {
+            if (request !== appState.loadRequest) return;
+            
+            // Sin conexión y sin caché: usar los eventos guardados en el dispositivo
+            if (page.fromCache && page.events.length === 0) {
+                loadOfflineEvents(request);
+                return;
+            }
+            
+            appState.liveEvents = page.events;
+            
+            // Mientras sea la única página, define dónde empieza la siguiente
+            if (!appState.pageAnchor) {
+                appState.cursor = page.cursor;
+                appState.hasMore = page.hasMore;
+                appState.isLoading = false;
+            }
+            
+            showLoadedEvents();
+        },
+        () => {
+            if (request !== appState.loadRequest) return;
+            
+            // El listener ya se detuvo; los eventos personalizados lo reintentan
+            appState.unsubscribeEvents = null;
+            loadOfflineEvents(request);
+        }
+    );
+    
+    previous?.();
+}
+
+/**
+ * Muestra los eventos guardados en el dispositivo
+ * @param {number} request - Carga que lo solicitó
+ */
+async function loadOfflineEvents(request) {
+    const page = await getEventsPage({ order: getEventsOrder() });
+    if (request !== appState.loadRequest) return;
+    
+    appState.liveEvents = page.events;
+    appState.olderEvents = [];
+    appState.hasMore = false;
+    appState.isLoading = false;
+    
+    showLoadedEvents();
+}
+
+/**
+ * Pinta la primera página junto con las siguientes ya cargadas
+ */
+function showLoadedEvents() {
+    // Un evento puede pasar de la primera página a la siguiente mientras se carga
+    const liveIds = new Set(appState.liveEvents.map(event => event.id));
+    const events = [
+        ...appState.liveEvents,
+        ...appState.olderEvents.filter(event => !liveIds.has(event.id))
+    ];
+    
+    appState.serverEvents = events;
+    appState.events = applyPendingOperations(events);
+    
+    if (appState.events.length > 0) {
+        populateFilterOptions();
+        refreshEventsList();
+        console.log(`✅ ${appState.events.length} eventos cargados`);
+    } else {
+        // No hay eventos, mostrar estado vacío
+        renderEvents([]);
+        console.log('ℹ️ No hay eventos guardados');
+    }
+    
+    updateSentinel();
+    fillViewport();
+}
+
+/* ===================================
+   CONFLICTOS DE SINCRONIZACIÓN
+   =================================== */
+
+// Nombres de los campos para los mensajes de conflicto
+const CONFLICT_FIELD_LABELS = {
+    nombre: 'nombre',
+    responsableId: 'responsable',
+    responsableNombre: 'responsable',
+    cliente: 'cliente',
+    tipoEvento: 'tipo de evento',
+    sede: 'sede',
+    fechaInicio: 'fecha de inicio',
+    fechaFin: 'fecha de fin'
+};
+
+/**
+ * Pregunta al usuario qué hacer con cada cambio sin conexión en conflicto
+ * @param {Array} conflicts - Operaciones con conflicto
+ */
+async function reviewSyncConflicts(conflicts) {
+    if (appState.isReviewingConflicts) return;
+    appState.isReviewingConflicts = true;
+    
     try {
-        // Cargar desde Firestore
-        const events = await getAllEvents();
-        
-        if (events && events.length > 0) {
-            appState.events = events;
-            renderEvents(events);
-            console.log(`✅ Cargados ${events.length} eventos`);
-        } else {
-            // No hay eventos, mostrar estado vacío
-            showEmptyState();
-            console.log('ℹ️ No hay eventos guardados');
+        for (const operation of conflicts) {
+            const keepLocal = askConflictResolution(operation);
+            const resolved = await resolveSyncConflict(operation.id, keepLocal);
+            
+            if (!resolved) {
+                showMessage(`No se pudo sincronizar "${operation.eventName || 'el evento'}". Se reintentará más tarde`, 'error');
+            }
         }
-    } catch (error) {
-        console.error('❌ Error al cargar eventos:', error);
-        showEmptyState();
+    } finally {
+        appState.isReviewingConflicts = false;
+    }
+}
+
+/**
+ * Muestra el conflicto y devuelve la decisión del usuario
+ * @param {Object} operation - Operación con conflicto
+ * @returns {boolean} - true para conservar el cambio local
+ */
+function askConflictResolution(operation) {
+    const nombre = operation.eventName || 'Evento sin nombre';
+    const { conflict } = operation;
+    
+    if (conflict.type === SYNC_CONFLICTS.DELETED) {
+        alert(`"${nombre}" se eliminó en otro dispositivo. Los cambios que hiciste sin conexión se descartarán.`);
+        return false;
+    }
+    
+    if (conflict.type === SYNC_CONFLICTS.MODIFIED) {
+        const campos = [...new Set(conflict.fields.map(field => CONFLICT_FIELD_LABELS[field] || field))].join(', ');
+        return confirm(
+            `"${nombre}" se modificó en otro dispositivo mientras estabas sin conexión (${campos}).\n\n` +
+            'Aceptar: guardar tu versión.\nCancelar: descartar tus cambios y conservar la otra.'
+        );
+    }
+    
+    return confirm(
+        `No se pudo sincronizar "${nombre}": ${conflict.message}\n\n` +
+        'Aceptar: reintentar.\nCancelar: descartar el cambio.'
+    );
+}
+
+/**
+ * Detiene la sincronización de la lista (p. ej. antes de cerrar sesión)
+ */
+function stopEventsSync() {
+    appState.loadRequest++;
+    appState.unsubscribeEvents?.();
+    appState.unsubscribeEvents = null;
+}
+
+/**
+ * Sigue cargando páginas mientras el final de la lista esté a la vista
+ * (el observer no vuelve a avisar si el sentinel nunca sale de pantalla,
+ * p. ej. cuando los filtros ocultan casi todos los eventos cargados)
+ */
+function fillViewport() {
+    if (!eventsSentinel || !appState.hasMore || appState.isLoading) return;
+    
+    const { top } = eventsSentinel.getBoundingClientRect();
+    if (top < window.innerHeight + 300) {
+        loadMoreEvents();
+    }
+}
+
+/**
+ * Muestra el indicador de carga al final de la lista
+ */
+function updateSentinel() {
+    if (!eventsSentinel) return;
+    
+    eventsSentinel.classList.toggle('loading', appState.isLoading);
+    eventsSentinel.classList.toggle('hidden', !appState.hasMore && !appState.isLoading);
+}
+
+/**
+ * Migra en segundo plano los eventos con fotos embebidas (una vez por dispositivo)
+ */
+async function runPhotosMigration() {
+    if (getFromLocalStorage('fotosMigradas') || !hasPermission(PERMISSIONS.EDITAR_EVENTOS)) return;
+    
+    const migrated = await migrateAllEvents();
+    if (migrated === null) return; // Se reintenta en la próxima carga
+    
+    saveToLocalStorage('fotosMigradas', true);
+    
+    if (migrated > 0) {
+        loadEvents();
     }
 }
 
+/**
+ * Consulta si algún editor ya completó los resúmenes de todos los eventos
+ * (una vez confirmado, el dispositivo no vuelve a preguntar)
+ */
+async function checkEventSummaries() {
+    if (appState.summariesReady || !(await areEventSummariesReady())) return;
+    
+    setSummariesReady(false);
+}
+
+/**
+ * Completa en segundo plano los resúmenes de eventos anteriores
+ * (hasta que algún editor los termine)
+ */
+async function runSummariesMigration() {
+    if (appState.summariesReady || !hasPermission(PERMISSIONS.EDITAR_EVENTOS)) return;
+    
+    const updated = await migrateEventSummaries();
+    if (updated === null) return; // Se reintenta en la próxima carga
+    
+    setSummariesReady(updated > 0);
+}
+
+/**
+ * Habilita el orden por fotos en Firestore
+ * @param {boolean} eventsChanged - La migración actualizó eventos
+ */
+function setSummariesReady(eventsChanged) {
+    appState.summariesReady = true;
+    saveToLocalStorage('resumenesListos', true);
+    
+    if (eventsChanged || appState.filters.orden === SORT_OPTIONS.FOTOS) {
+        loadEvents();
+    }
+}
+
+/**
+ * Orden con el que se pagina en Firestore
+ * Mientras haya eventos sin totalFotos, ordenar por ese campo los ocultaría:
+ * se pagina por fecha y la lista cargada se ordena por fotos en el cliente
+ * @returns {string} - Clave de EVENT_ORDER
+ */
+function getEventsOrder() {
+    const { orden } = appState.filters;
+    return orden === SORT_OPTIONS.FOTOS && !appState.summariesReady ? SORT_OPTIONS.RECIENTES : orden;
+}
+
 /**
  * Renderiza la lista de eventos
  * @param {Array} events - Lista de eventos
@@ -230,7 +629,12 @@ function renderEvents(events) {
     eventsContainer.innerHTML = '';
 
     if (events.length === 0) {
-        showEmptyState();
+        if (appState.events.length > 0) {
+            // Hay eventos, pero ninguno coincide con la búsqueda o los filtros
+            eventsContainer.innerHTML = '<p class="events-no-results">Ningún evento coincide con la búsqueda o los filtros</p>';
+        } else {
+            showEmptyState();
+        }
         return;
     }
 
@@ -265,18 +669,27 @@ function createEventCard(event) {
     card.style.cursor = 'pointer';
 
     // Contar fotos y categorías
-    const photoCount = event.fotos?.length || 0;
-    const categoryCount = event.categorias?.length || 0;
+    const photoCount = getEventPhotoCount(event);
+    const categoryCount = getEventCategoryCount(event);
     
-    // Formatear fecha
-    const fechaCreacion = formatEventDate(event.fechaCreacion);
+    // Formatear fecha (eventos sin fechas propias muestran la de creación)
+    const fechaEvento = formatDateRange(event.fechaInicio, event.fechaFin) || formatEventDate(event.fechaCreacion);
+    
+    // Cliente y tipo de evento en una sola línea
+    const clienteTipo = [event.cliente, event.tipoEvento].filter(Boolean).map(sanitizeString).join(' · ');
     
     // Renderizar categorías
     const categoriasHTML = categoryCount > 0 ? renderCategories(event.categorias) : '';
+    
+    // Acciones según el rol del usuario
+    const canEdit = hasPermission(PERMISSIONS.EDITAR_EVENTOS);
+    const canDelete = hasPermission(PERMISSIONS.ELIMINAR_EVENTOS);
 
     card.innerHTML = `
+        ${event.portadaUrl ? `<img src="${event.portadaUrl}" alt="" class="event-image" loading="lazy">` : ''}
         <div class="event-content">
             <h3 class="event-title">${event.nombre}</h3>
+            ${isLocalEventId(event.id) ? '<span class="event-pending-badge">Sin sincronizar</span>' : ''}
             <p class="event-date">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="display: inline; vertical-align: middle; margin-right: 4px;">
                     <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -291,8 +704,26 @@ function createEventCard(event) {
                     <line x1="8" y1="2" x2="8" y2="6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                     <line x1="3" y1="10" x2="21" y2="10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
                 </svg>
-                ${fechaCreacion}
+                ${fechaEvento}
+            </p>
+            ${event.sede ? `
+            <p class="event-date" style="margin-top: 4px;">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="display: inline; vertical-align: middle; margin-right: 4px;">
+                    <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    <circle cx="12" cy="10" r="3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                ${sanitizeString(event.sede)}
             </p>
+            ` : ''}
+            ${clienteTipo ? `
+            <p class="event-date" style="margin-top: 4px;">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style="display: inline; vertical-align: middle; margin-right: 4px;">
+                    <rect x="2" y="7" width="20" height="14" rx="2" ry="2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                    <path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+                ${clienteTipo}
+            </p>
+            ` : ''}
             <div class="event-stats">
                 <div class="event-stat">
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -311,22 +742,28 @@ function createEventCard(event) {
                 </div>
             </div>
             ${categoriasHTML ? `<div class="event-categories">${categoriasHTML}</div>` : ''}
+            ${canEdit || canDelete ? `
             <div class="event-actions">
-                <button class="btn-action btn-action-edit" onclick="editEvent('${event.id}'); event.stopPropagation();">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                    </svg>
-                    Editar
-                </button>
-                <button class="btn-action btn-action-delete" onclick="deleteEvent('${event.id}'); event.stopPropagation();">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <polyline points="3 6 5 6 21 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                    </svg>
-                    Eliminar
-                </button>
+                ${canEdit ? `
+                    <button class="btn-action btn-action-edit" onclick="editEvent('${event.id}'); event.stopPropagation();">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        </svg>
+                        Editar
+                    </button>
+                ` : ''}
+                ${canDelete ? `
+                    <button class="btn-action btn-action-delete" onclick="deleteEvent('${event.id}'); event.stopPropagation();">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <polyline points="3 6 5 6 21 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                        </svg>
+                        Eliminar
+                    </button>
+                ` : ''}
             </div>
+            ` : ''}
         </div>
     `;
 
@@ -396,6 +833,10 @@ function formatEventDate(date) {
  */
 function showEmptyState() {
     if (emptyState) {
+        // renderEvents limpia el contenedor: volver a insertar el estado vacío
+        if (eventsContainer && !eventsContainer.contains(emptyState)) {
+            eventsContainer.appendChild(emptyState);
+        }
         emptyState.classList.remove('hidden');
     }
 }
@@ -426,6 +867,41 @@ window.deleteEvent = async function(eventId) {
     await deleteEventById(eventId);
 };
 
+/* ===================================
+   FOTOS SIN SUBIR
+   =================================== */
+
+/**
+ * Muestra cuántas fotos de la cola offline ya no se reintentarán
+ * (p. ej. su evento se eliminó), aunque su evento ya no se pueda abrir
+ */
+async function updateFailedUploadsNotice() {
+    if (!failedUploadsNotice) return;
+    
+    const failed = await getFailedUploads();
+    
+    if (failed.length === 0) {
+        failedUploadsNotice.classList.add('hidden');
+        return;
+    }
+    
+    const motivos = [...new Set(failed.map(item => item.lastError))].join('; ');
+    failedUploadsText.textContent = `${failed.length} foto(s) guardadas sin conexión no se pudieron subir y no se volverán a intentar`;
+    failedUploadsNotice.title = motivos;
+    failedUploadsNotice.classList.remove('hidden');
+}
+
+/**
+ * Descarta las fotos de la cola offline que ya no se reintentarán
+ */
+async function handleDiscardFailedUploads() {
+    const confirmed = window.confirm('Las fotos que no se pudieron subir se eliminarán de este dispositivo. ¿Continuar?');
+    if (!confirmed) return;
+    
+    const discarded = await discardFailedUploads();
+    showMessage(`${discarded} foto(s) descartadas`, 'success');
+}
+
 /* ===================================
    BÚSQUEDA Y FILTROS
    =================================== */
@@ -435,29 +911,141 @@ window.deleteEvent = async function(eventId) {
  * @param {Event} e - Evento del input
  */
 function handleSearch(e) {
-    const searchTerm = e.target.value.toLowerCase().trim();
+    appState.searchTerm = e.target.value.toLowerCase().trim();
+    refreshEventsList();
+    fillViewport();
+}
+
+/**
+ * Renderiza los eventos que cumplen la búsqueda y los filtros
+ */
+function refreshEventsList() {
+    const filteredEvents = applyEventFilters(appState.events, appState.filters, appState.searchTerm);
+    renderEvents(filteredEvents);
+    updateFilterBadge();
+    
+    if (appState.searchTerm || countActiveFilters(appState.filters) > 0) {
+        console.log(`🔍 ${filteredEvents.length} de ${appState.events.length} eventos coinciden`);
+    }
+}
+
+/**
+ * Muestra u oculta el panel de filtros
+ */
+function handleFilter() {
+    if (!filterPanel) return;
     
-    if (searchTerm === '') {
-        renderEvents(appState.events);
+    filterPanel.classList.toggle('hidden');
+    filterBtn.classList.toggle('active', !filterPanel.classList.contains('hidden'));
+}
+
+/**
+ * Actualiza un filtro cuando cambia su campo
+ * @param {Event} e - Evento change del panel
+ */
+function handleFilterChange(e) {
+    const key = e.target.dataset.filter;
+    if (!key) return;
+    
+    appState.filters = { ...appState.filters, [key]: e.target.value };
+    saveFilters(appState.filters);
+    
+    // El orden se aplica en Firestore: hay que volver a paginar
+    if (key === 'orden') {
+        loadEvents();
         return;
     }
+    
+    refreshEventsList();
+    fillViewport();
+}
 
-    const filteredEvents = appState.events.filter(event => 
-        event.nombre.toLowerCase().includes(searchTerm) ||
-        event.responsableNombre?.toLowerCase().includes(searchTerm) ||
-        event.categorias?.some(cat => cat.nombre.toLowerCase().includes(searchTerm))
-    );
+/**
+ * Restablece todos los filtros
+ */
+function handleClearFilters() {
+    const orderChanged = appState.filters.orden !== DEFAULT_FILTERS.orden;
+    
+    appState.filters = { ...DEFAULT_FILTERS };
+    saveFilters(appState.filters);
+    syncFilterInputs();
+    
+    if (orderChanged) {
+        loadEvents();
+    } else {
+        refreshEventsList();
+    }
+}
 
-    renderEvents(filteredEvents);
-    console.log(`🔍 Búsqueda: "${searchTerm}" - ${filteredEvents.length} resultados`);
+/**
+ * Muestra en el panel los filtros guardados
+ */
+function syncFilterInputs() {
+    if (!filterPanel) return;
+    
+    filterPanel.querySelectorAll('[data-filter]').forEach(input => {
+        input.value = appState.filters[input.dataset.filter];
+    });
+    
+    updateFilterBadge();
 }
 
 /**
- * Maneja los filtros de eventos
+ * Muestra cuántos filtros hay activos en el botón de filtros
  */
-function handleFilter() {
-    console.log('🔧 Filtros (disponible en próxima etapa)');
-    showMessage('Filtros disponibles en la siguiente etapa', 'info');
+function updateFilterBadge() {
+    if (!filterBadge) return;
+    
+    const activeCount = countActiveFilters(appState.filters);
+    filterBadge.textContent = activeCount;
+    filterBadge.classList.toggle('hidden', activeCount === 0);
+}
+
+/**
+ * Llena las opciones de responsable y categoría
+ * (usuarios activos y catálogo, más lo que aparezca en los eventos cargados,
+ * ya que con la paginación no todos los eventos están en memoria)
+ */
+function populateFilterOptions() {
+    const responsables = new Map((appState.responsables || []).map(user => [user.id, user.nombre || 'Sin nombre']));
+    const categorias = new Set(CATALOG_CATEGORIES.map(cat => cat.nombre));
+    
+    appState.events.forEach(event => {
+        if (event.responsableId && !responsables.has(event.responsableId)) {
+            responsables.set(event.responsableId, event.responsableNombre || 'Sin nombre');
+        }
+        event.categorias?.forEach(cat => cat?.nombre && categorias.add(cat.nombre));
+    });
+    
+    const responsableSelect = document.getElementById('filterResponsable');
+    const categorySelect = document.getElementById('filterCategory');
+    
+    if (responsableSelect) {
+        responsableSelect.replaceChildren(new Option('Todos', ''), ...[...responsables]
+            .sort((a, b) => a[1].localeCompare(b[1], 'es'))
+            .map(([id, nombre]) => new Option(nombre, id)));
+    }
+    
+    if (categorySelect) {
+        categorySelect.replaceChildren(new Option('Todas', ''), ...[...categorias]
+            .sort((a, b) => a.localeCompare(b, 'es'))
+            .map(nombre => new Option(nombre, nombre)));
+    }
+    
+    // Restaurar la selección guardada; si su opción ya no existe se descarta
+    [[responsableSelect, 'responsableId'], [categorySelect, 'categoria']].forEach(([select, key]) => {
+        if (!select) return;
+        
+        select.value = appState.filters[key];
+        
+        // Sin la lista de usuarios aún no se sabe si el responsable existe
+        if (key === 'responsableId' && !appState.responsables) return;
+        
+        if (select.value !== appState.filters[key]) {
+            appState.filters = { ...appState.filters, [key]: '' };
+            saveFilters(appState.filters);
+        }
+    });
 }
 
 /* ===================================
@@ -474,6 +1062,7 @@ async function handleLogout() {
     
     if (confirmLogout) {
         try {
+            stopEventsSync();
             await logout();
         } catch (error) {
             console.error('Error al cerrar sesión:', error);
@@ -0,0 +1,449 @@
+/* ===================================
+   CÁMARA - T&C GROUP
+   Captura continua dentro de la app con getUserMedia
+   =================================== */
+
+import { sanitizeString } from './utils.js';
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+// La compresión reduce a 1920px, no hace falta pedir más resolución
+const VIDEO_CONSTRAINTS = {
+    width: { ideal: 1920 },
+    height: { ideal: 1080 }
+};
+
+const JPEG_QUALITY = 0.92;
+
+export const FACING_MODES = {
+    TRASERA: 'environment',
+    FRONTAL: 'user'
+};
+
+/* ===================================
+   ESTADO DE LA CÁMARA
+   =================================== */
+
+const cameraState = {
+    isOpen: false,
+    stream: null,
+    facingMode: FACING_MODES.TRASERA,
+    torchOn: false,
+    categories: [],
+    categoryId: null,
+    shotCount: 0,
+    shotsByCategory: {},  // categoryId → fotos tomadas en esta sesión
+    lastShotUrl: null,
+    onCapture: null,      // Recibe (file, categoryId) por cada foto
+    onCategoryChange: null
+};
+
+/* ===================================
+   ELEMENTOS DEL DOM
+   =================================== */
+
+let cameraView;
+let cameraVideo;
+let cameraCanvas;
+let cameraCounter;
+let cameraCategories;
+let cameraTorchBtn;
+let cameraFlipBtn;
+let cameraShutterBtn;
+let cameraLastShot;
+let cameraFlash;
+
+/* ===================================
+   INICIALIZACIÓN
+   =================================== */
+
+/**
+ * Inicializa la cámara
+ */
+export function initCamera() {
+    cameraView = document.getElementById('cameraView');
+    cameraVideo = document.getElementById('cameraVideo');
+    cameraCounter = document.getElementById('cameraCounter');
+    cameraCategories = document.getElementById('cameraCategories');
+    cameraTorchBtn = document.getElementById('cameraTorchBtn');
+    cameraFlipBtn = document.getElementById('cameraFlipBtn');
+    cameraShutterBtn = document.getElementById('cameraShutterBtn');
+    cameraLastShot = document.getElementById('cameraLastShot');
+    cameraFlash = document.getElementById('cameraFlash');
+    cameraCanvas = document.createElement('canvas');
+
+    if (!cameraView) return;
+
+    document.getElementById('closeCameraBtn')?.addEventListener('click', closeCamera);
+    cameraShutterBtn?.addEventListener('click', handleShutter);
+    cameraTorchBtn?.addEventListener('click', handleToggleTorch);
+    cameraFlipBtn?.addEventListener('click', handleFlipCamera);
+
+    // Liberar la cámara cuando la app pasa a segundo plano
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    document.addEventListener('keydown', handleKeydown);
+}
+
+/**
+ * Verifica si el navegador permite usar la cámara dentro de la app
+ * @returns {boolean}
+ */
+export function isCameraSupported() {
+    return Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+/* ===================================
+   APERTURA Y CIERRE
+   =================================== */
+
+/**
+ * Abre la cámara en una categoría
+ * Lanza el error de getUserMedia si no se pudo acceder a la cámara
+ * @param {Object} options - {categories, categoryId, onCapture, onCategoryChange}
+ * @param {Array} options.categories - Categorías del evento
+ * @param {string} options.categoryId - Categoría inicial
+ * @param {Function} options.onCapture - Recibe (file, categoryId) por cada foto tomada
+ * @param {Function} options.onCategoryChange - Recibe la categoría elegida en la cámara
+ * @returns {Promise<void>}
+ */
+export async function openCamera({ categories, categoryId, onCapture, onCategoryChange = null }) {
+    if (!cameraView || cameraState.isOpen) return;
+
+    cameraState.categories = categories;
+    cameraState.categoryId = categoryId;
+    cameraState.onCapture = onCapture;
+    cameraState.onCategoryChange = onCategoryChange;
+    cameraState.shotCount = 0;
+    cameraState.shotsByCategory = {};
+
+    await startStream();
+
+    cameraState.isOpen = true;
+    cameraView.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+
+    renderCategories();
+    renderCounter();
+    renderLastShot(null);
+    renderFlipButton();
+}
+
+/**
+ * Cierra la cámara y libera el video
+ */
+export function closeCamera() {
+    if (!cameraState.isOpen) return;
+
+    cameraState.isOpen = false;
+    stopStream();
+    renderLastShot(null);
+
+    cameraView.classList.add('hidden');
+    document.body.style.overflow = '';
+}
+
+/**
+ * Indica si la cámara está abierta
+ * @returns {boolean}
+ */
+export function isCameraOpen() {
+    return cameraState.isOpen;
+}
+
+/**
+ * Actualiza las categorías de la cámara abierta (cambios en otro dispositivo)
+ * Si la categoría actual ya no existe, pasa a la primera
+ * @param {Array} categories - Categorías actuales
+ */
+export function updateCameraCategories(categories) {
+    if (!cameraState.isOpen) return;
+
+    if (categories.length === 0) {
+        closeCamera();
+        return;
+    }
+
+    cameraState.categories = categories;
+
+    if (!categories.some(cat => cat.id === cameraState.categoryId)) {
+        selectCameraCategory(categories[0].id);
+        return;
+    }
+
+    renderCategories();
+}
+
+/* ===================================
+   VIDEO
+   =================================== */
+
+/**
+ * Inicia el video con la cámara elegida
+ * @returns {Promise<void>}
+ */
+async function startStream() {
+    stopStream();
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+        video: { ...VIDEO_CONSTRAINTS, facingMode: { ideal: cameraState.facingMode } },
+        audio: false
+    });
+
+    cameraState.stream = stream;
+    cameraState.torchOn = false;
+
+    cameraVideo.srcObject = stream;
+    cameraVideo.classList.toggle('mirrored', cameraState.facingMode === FACING_MODES.FRONTAL);
+    await cameraVideo.play();
+
+    renderTorchButton();
+}
+
+/**
+ * Detiene el video y apaga la cámara
+ */
+function stopStream() {
+    cameraState.stream?.getTracks().forEach(track => track.stop());
+    cameraState.stream = null;
+
+    if (cameraVideo) {
+        cameraVideo.srcObject = null;
+    }
+}
+
+/**
+ * Obtiene la pista de video activa
+ * @returns {MediaStreamTrack|null}
+ */
+function getVideoTrack() {
+    return cameraState.stream?.getVideoTracks()[0] || null;
+}
+
+/**
+ * Apaga la cámara en segundo plano y la reanuda al volver
+ */
+function handleVisibilityChange() {
+    if (!cameraState.isOpen) return;
+
+    if (document.hidden) {
+        stopStream();
+        return;
+    }
+
+    startStream().catch(error => {
+        console.error('❌ Error al reanudar la cámara:', error);
+        closeCamera();
+    });
+}
+
+/* ===================================
+   CAPTURA
+   =================================== */
+
+/**
+ * Toma una foto del video y la entrega sin salir de la cámara
+ */
+async function handleShutter() {
+    if (!cameraState.stream || !cameraVideo.videoWidth) return;
+
+    cameraCanvas.width = cameraVideo.videoWidth;
+    cameraCanvas.height = cameraVideo.videoHeight;
+    cameraCanvas.getContext('2d').drawImage(cameraVideo, 0, 0);
+
+    playShutterFlash();
+
+    const categoryId = cameraState.categoryId;
+    const blob = await new Promise(resolve => cameraCanvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+    if (!blob) return;
+
+    cameraState.shotCount++;
+    cameraState.shotsByCategory[categoryId] = (cameraState.shotsByCategory[categoryId] || 0) + 1;
+
+    const file = new File([blob], `foto-${Date.now()}-${cameraState.shotCount}.jpg`, {
+        type: 'image/jpeg',
+        lastModified: Date.now()
+    });
+
+    renderCounter();
+    renderCategories();
+    renderLastShot(blob);
+
+    cameraState.onCapture?.(file, categoryId);
+}
+
+/**
+ * Destello en pantalla para confirmar la captura
+ */
+function playShutterFlash() {
+    if (!cameraFlash) return;
+
+    cameraFlash.classList.remove('active');
+    // Forzar reflow para reiniciar la animación
+    void cameraFlash.offsetWidth;
+    cameraFlash.classList.add('active');
+}
+
+/* ===================================
+   CONTROLES
+   =================================== */
+
+/**
+ * Enciende o apaga la linterna (solo cámaras que la soportan)
+ */
+async function handleToggleTorch() {
+    const track = getVideoTrack();
+    if (!track) return;
+
+    try {
+        await track.applyConstraints({ advanced: [{ torch: !cameraState.torchOn }] });
+        cameraState.torchOn = !cameraState.torchOn;
+    } catch (error) {
+        console.error('❌ Error al cambiar la linterna:', error);
+    }
+
+    renderTorchButton();
+}
+
+/**
+ * Cambia entre la cámara trasera y la frontal
+ */
+async function handleFlipCamera() {
+    const previous = cameraState.facingMode;
+    cameraState.facingMode = previous === FACING_MODES.TRASERA ? FACING_MODES.FRONTAL : FACING_MODES.TRASERA;
+
+    try {
+        await startStream();
+    } catch (error) {
+        console.error('❌ Error al cambiar de cámara:', error);
+        cameraState.facingMode = previous;
+        await startStream().catch(() => closeCamera());
+    }
+}
+
+/**
+ * Cambia la categoría de las siguientes fotos
+ * @param {string} categoryId - ID de la categoría
+ */
+window.selectCameraCategory = function(categoryId) {
+    selectCameraCategory(categoryId);
+};
+
+function selectCameraCategory(categoryId) {
+    cameraState.categoryId = categoryId;
+    renderCategories();
+
+    cameraState.onCategoryChange?.(categoryId);
+}
+
+/**
+ * Atajos de teclado: Escape cierra la cámara
+ * @param {KeyboardEvent} e - Evento de teclado
+ */
+function handleKeydown(e) {
+    if (cameraState.isOpen && e.key === 'Escape') {
+        closeCamera();
+    }
+}
+
+/* ===================================
+   RENDER
+   =================================== */
+
+/**
+ * Renderiza las categorías con las fotos tomadas en cada una
+ */
+function renderCategories() {
+    if (!cameraCategories) return;
+
+    cameraCategories.innerHTML = cameraState.categories.map(cat => {
+        const shots = cameraState.shotsByCategory[cat.id] || 0;
+
+        return `
+            <button
+                type="button"
+                class="camera-category ${cat.id === cameraState.categoryId ? 'active' : ''}"
+                onclick="selectCameraCategory('${cat.id}')"
+                style="border-color: ${cat.color};">
+                ${sanitizeString(cat.nombre)}
+                ${shots > 0 ? `<span class="camera-category-count">${shots}</span>` : ''}
+            </button>
+        `;
+    }).join('');
+
+    cameraCategories.querySelector('.camera-category.active')?.scrollIntoView({ block: 'nearest', inline: 'center' });
+}
+
+/**
+ * Renderiza el contador de fotos de la sesión
+ */
+function renderCounter() {
+    if (!cameraCounter) return;
+
+    const count = cameraState.shotCount;
+    cameraCounter.textContent = count === 1 ? '1 foto' : `${count} fotos`;
+}
+
+/**
+ * Muestra la miniatura de la última foto
+ * @param {Blob|null} blob - Foto tomada (null para limpiar)
+ */
+function renderLastShot(blob) {
+    if (!cameraLastShot) return;
+
+    if (cameraState.lastShotUrl) {
+        URL.revokeObjectURL(cameraState.lastShotUrl);
+        cameraState.lastShotUrl = null;
+    }
+
+    if (!blob) {
+        cameraLastShot.classList.add('hidden');
+        cameraLastShot.removeAttribute('src');
+        return;
+    }
+
+    cameraState.lastShotUrl = URL.createObjectURL(blob);
+    cameraLastShot.src = cameraState.lastShotUrl;
+    cameraLastShot.classList.remove('hidden');
+}
+
+/**
+ * Muestra el botón de linterna solo si la cámara la soporta
+ */
+function renderTorchButton() {
+    if (!cameraTorchBtn) return;
+
+    const capabilities = getVideoTrack()?.getCapabilities?.() || {};
+
+    cameraTorchBtn.classList.toggle('hidden', !capabilities.torch);
+    cameraTorchBtn.classList.toggle('active', cameraState.torchOn);
+}
+
+/**
+ * Muestra el botón de cambiar cámara solo si hay más de una
+ */
+async function renderFlipButton() {
+    if (!cameraFlipBtn) return;
+
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const cameras = devices.filter(device => device.kind === 'videoinput');
+        cameraFlipBtn.classList.toggle('hidden', cameras.length < 2);
+    } catch (error) {
+        cameraFlipBtn.classList.add('hidden');
+    }
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    initCamera,
+    isCameraSupported,
+    openCamera,
+    closeCamera,
+    isCameraOpen,
+    updateCameraCategories
+};
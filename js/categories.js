@@ -180,6 +180,43 @@ export function updateCategoryName(categories, categoryId, newName) {
     );
 }
 
+/**
+ * Combina los cambios locales de categorías con la versión remota
+ * (otro dispositivo pudo agregar o quitar categorías mientras se editaba)
+ * @param {Array} remote - Categorías actuales en Firestore
+ * @param {Array} base - Categorías que se cargaron al empezar a editar
+ * @param {Array} local - Categorías editadas localmente
+ * @returns {Array} - Categorías combinadas
+ */
+export function mergeCategoryChanges(remote, base, local) {
+    const baseById = new Map(base.map(cat => [cat.id, cat]));
+    const localIds = new Set(local.map(cat => cat.id));
+    
+    // Quitar las que se eliminaron localmente
+    const merged = remote
+        .filter(cat => !baseById.has(cat.id) || localIds.has(cat.id))
+        .map(cat => {
+            // Conservar los renombres locales
+            const localCat = local.find(item => item.id === cat.id);
+            const baseCat = baseById.get(cat.id);
+            return localCat && baseCat && localCat.nombre !== baseCat.nombre
+                ? { ...cat, nombre: localCat.nombre }
+                : cat;
+        });
+    
+    // Agregar las nuevas locales que no existan ya con el mismo nombre
+    local
+        .filter(cat => !baseById.has(cat.id))
+        .forEach(cat => {
+            const exists = merged.some(item =>
+                item.id === cat.id || item.nombre.toLowerCase() === cat.nombre.toLowerCase()
+            );
+            if (!exists) merged.push(cat);
+        });
+    
+    return merged;
+}
+
 /**
  * Obtiene el siguiente color de la paleta adicional
  * @returns {string} - Código de color hexadecimal
@@ -302,6 +339,7 @@ export default {
     addCategoryToEvent,
     removeCategoryFromEvent,
     updateCategoryName,
+    mergeCategoryChanges,
     resetColorIndex,
     getAvailableCatalogCategories,
     renderCategoryChip,
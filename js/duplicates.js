@@ -0,0 +1,265 @@
+/* ===================================
+   FOTOS REPETIDAS - T&C GROUP
+   Hash de contenido (SHA-256) y hash perceptual (dHash) para detectar duplicados
+   =================================== */
+
+import { convertHeicToJpeg } from './heic.js';
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+// dHash de 64 bits: la imagen se reduce a 9×8 y se comparan pixeles vecinos
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+// Bits distintos (de 64) hasta los que dos fotos se consideran casi iguales
+export const NEAR_DUPLICATE_DISTANCE = 6;
+
+export const DUPLICATE_TYPES = {
+    IDENTICA: 'identica',
+    PARECIDA: 'parecida'
+};
+
+// Hashes ya calculados por archivo, para no volver a decodificar la imagen al subirla
+const fileHashes = new WeakMap();
+
+/* ===================================
+   CÁLCULO DE HASHES
+   =================================== */
+
+/**
+ * Calcula los hashes de un archivo (se calculan una sola vez por archivo)
+ * @param {Blob} file - Imagen original
+ * @returns {Promise<Object>} - {contentHash, perceptualHash} (null si no se pudo calcular)
+ */
+export async function getFileHashes(file) {
+    if (fileHashes.has(file)) {
+        return fileHashes.get(file);
+    }
+
+    const [contentHash, perceptualHash] = await Promise.all([
+        computeContentHash(file).catch(error => {
+            console.warn('⚠️ No se pudo calcular el hash de contenido:', error);
+            return null;
+        }),
+        // Fuera de Safari el navegador no decodifica HEIC
+        convertHeicToJpeg(file).then(computePerceptualHash).catch(error => {
+            console.warn('⚠️ No se pudo calcular el hash perceptual:', error);
+            return null;
+        })
+    ]);
+
+    const hashes = { contentHash, perceptualHash };
+    fileHashes.set(file, hashes);
+    return hashes;
+}
+
+/**
+ * SHA-256 del archivo en hexadecimal (iguala archivos idénticos byte por byte)
+ * @param {Blob} file - Archivo
+ * @returns {Promise<string|null>}
+ */
+export async function computeContentHash(file) {
+    if (!window.crypto?.subtle) return null;
+
+    const buffer = await file.arrayBuffer();
+    const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+
+    return toHex(new Uint8Array(digest));
+}
+
+/**
+ * dHash de la imagen en hexadecimal (16 caracteres)
+ * Resiste cambios de tamaño, compresión y pequeños ajustes de color
+ * @param {Blob} file - Imagen
+ * @returns {Promise<string>}
+ */
+export async function computePerceptualHash(file) {
+    const image = await loadImage(file);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = DHASH_WIDTH;
+    canvas.height = DHASH_HEIGHT;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0, DHASH_WIDTH, DHASH_HEIGHT);
+    image.close?.();
+
+    const { data } = ctx.getImageData(0, 0, DHASH_WIDTH, DHASH_HEIGHT);
+    const bytes = new Uint8Array(8);
+
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            // Cada bit indica si el pixel es más claro que su vecino de la derecha
+            if (getLuminance(data, y * DHASH_WIDTH + x) > getLuminance(data, y * DHASH_WIDTH + x + 1)) {
+                bytes[y] |= 1 << (7 - x);
+            }
+        }
+    }
+
+    return toHex(bytes);
+}
+
+/**
+ * Decodifica una imagen respetando su orientación EXIF
+ * @param {Blob} file - Imagen
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function loadImage(file) {
+    if (window.createImageBitmap) {
+        return createImageBitmap(file, { imageOrientation: 'from-image' });
+    }
+
+    const objectUrl = URL.createObjectURL(file);
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = objectUrl;
+        });
+    } finally {
+        URL.revokeObjectURL(objectUrl);
+    }
+}
+
+/**
+ * Luminancia de un pixel RGBA
+ * @param {Uint8ClampedArray} data - Pixeles
+ * @param {number} index - Posición del pixel
+ * @returns {number}
+ */
+function getLuminance(data, index) {
+    const offset = index * 4;
+    return data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114;
+}
+
+/**
+ * Convierte bytes a hexadecimal
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/* ===================================
+   COMPARACIÓN
+   =================================== */
+
+/**
+ * Cantidad de bits distintos entre dos hashes perceptuales
+ * @param {string} a - Hash en hexadecimal
+ * @param {string} b - Hash en hexadecimal
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+    let distance = 0;
+
+    for (let i = 0; i < a.length; i += 2) {
+        let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+
+    return distance;
+}
+
+/**
+ * Compara dos fotos por sus hashes
+ * @param {Object} a - {contentHash, perceptualHash}
+ * @param {Object} b - {contentHash, perceptualHash}
+ * @returns {string|null} - Tipo de DUPLICATE_TYPES o null si son distintas
+ */
+export function compareHashes(a, b) {
+    if (a.contentHash && a.contentHash === b.contentHash) {
+        return DUPLICATE_TYPES.IDENTICA;
+    }
+
+    if (a.perceptualHash && b.perceptualHash &&
+        hammingDistance(a.perceptualHash, b.perceptualHash) <= NEAR_DUPLICATE_DISTANCE) {
+        return DUPLICATE_TYPES.PARECIDA;
+    }
+
+    return null;
+}
+
+/**
+ * Busca la primera foto repetida de una lista
+ * (las idénticas tienen prioridad sobre las parecidas)
+ * @param {Object} hashes - {contentHash, perceptualHash} de la foto nueva
+ * @param {Array} photos - Fotos existentes con sus hashes
+ * @returns {Object|null} - {photo, type} o null si no hay repetida
+ */
+export function findDuplicate(hashes, photos) {
+    let similar = null;
+
+    for (const photo of photos) {
+        const type = compareHashes(hashes, photo);
+
+        if (type === DUPLICATE_TYPES.IDENTICA) {
+            return { photo, type };
+        }
+        if (type && !similar) {
+            similar = { photo, type };
+        }
+    }
+
+    return similar;
+}
+
+/**
+ * Agrupa las fotos idénticas o parecidas entre sí
+ * @param {Array} photos - Fotos con sus hashes
+ * @returns {Array<Array>} - Grupos de 2 o más fotos, en el orden recibido
+ */
+export function groupSimilarPhotos(photos) {
+    // Unión de conjuntos: cada foto apunta a la primera de su grupo
+    const parents = photos.map((_, index) => index);
+    const findRoot = index => {
+        while (parents[index] !== index) {
+            parents[index] = parents[parents[index]];
+            index = parents[index];
+        }
+        return index;
+    };
+
+    for (let i = 0; i < photos.length; i++) {
+        for (let j = i + 1; j < photos.length; j++) {
+            if (compareHashes(photos[i], photos[j])) {
+                const rootI = findRoot(i);
+                const rootJ = findRoot(j);
+                parents[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+            }
+        }
+    }
+
+    const groups = new Map();
+    photos.forEach((photo, index) => {
+        const root = findRoot(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(photo);
+    });
+
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    NEAR_DUPLICATE_DISTANCE,
+    DUPLICATE_TYPES,
+    getFileHashes,
+    computeContentHash,
+    computePerceptualHash,
+    hammingDistance,
+    compareHashes,
+    findDuplicate,
+    groupSimilarPhotos
+};
@@ -8,6 +8,7 @@ import { collection, addDoc } from 'https://www.gstatic.com/firebasejs/10.7.1/fi
 import { ref, uploadBytes, getDownloadURL } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
 import { showMessage } from './utils.js';
 import { getCurrentUser } from './auth.js';
+import { getReportFormatInfo } from './reports.js';
 
 /* ===================================
    CONFIGURACIÓN
@@ -21,16 +22,19 @@ const EMAIL_COLLECTION = 'mail';
    =================================== */
 
 /**
- * Envía un email con link de descarga del reporte al usuario actual
+ * Envía un email con link de descarga del reporte
+ * Sin destinatarios explícitos se envía al usuario actual
  * @param {string} eventName - Nombre del evento
  * @param {string} responsableNombre - Nombre del responsable del evento
  * @param {number} photoCount - Cantidad de fotos
  * @param {number} categoryCount - Cantidad de categorías
- * @param {Blob} reportBlob - Blob del documento Word
- * @param {string} fileName - Nombre del archivo
+ * @param {Blob|null} reportBlob - Blob del documento (Word o PDF); puede ser null si se pasa downloadURL
+ * @param {string} fileName - Nombre del archivo (su extensión define el formato)
+ * @param {Object|null} recipients - {to, cc, bcc}: arrays de emails (opcional)
+ * @param {string|null} downloadURL - Enlace si el reporte ya se subió (opcional)
  * @returns {Promise<boolean>}
  */
-export async function sendReportByEmail(eventName, responsableNombre, photoCount, categoryCount, reportBlob, fileName) {
+export async function sendReportByEmail(eventName, responsableNombre, photoCount, categoryCount, reportBlob, fileName, recipients = null, downloadURL = null) {
     try {
         console.log('📧 Preparando envío de email...');
         
@@ -42,50 +46,75 @@ export async function sendReportByEmail(eventName, responsableNombre, photoCount
         }
         
         console.log('👤 Usuario actual:', currentUser.email);
-        console.log('📨 El reporte se enviará a:', currentUser.email);
         
-        // Validar email
-        if (!isValidEmail(currentUser.email)) {
-            throw new Error('El email del usuario no es válido');
+        // Destinatarios: los elegidos en el diálogo o el usuario actual
+        const { to, cc, bcc } = normalizeRecipients(recipients || { to: [currentUser.email] });
+        
+        if (to.length === 0) {
+            throw new Error('Agrega al menos un destinatario');
+        }
+        
+        const invalidEmails = getInvalidEmails([...to, ...cc, ...bcc]);
+        if (invalidEmails.length > 0) {
+            throw new Error(`Emails no válidos: ${invalidEmails.join(', ')}`);
         }
         
+        const totalRecipients = to.length + cc.length + bcc.length;
+        console.log('📨 El reporte se enviará a:', { to, cc, bcc });
+        
         // Verificar tamaño del archivo
-        const fileSize = reportBlob.size;
-        const fileSizeMB = (fileSize / (1024 * 1024)).toFixed(2);
-        console.log(`📊 Tamaño del archivo: ${fileSizeMB} MB`);
+        if (reportBlob) {
+            const fileSizeMB = (reportBlob.size / (1024 * 1024)).toFixed(2);
+            console.log(`📊 Tamaño del archivo: ${fileSizeMB} MB`);
+        }
         
-        showMessage('Subiendo reporte a la nube...', 'info', 3000);
+        // El formato se toma de la extensión del archivo (docx o pdf)
+        const formatInfo = getReportFormatInfo(getFileExtension(fileName));
         
-        // Subir archivo a Firebase Storage
-        const downloadURL = await uploadReportToStorage(reportBlob, fileName, eventName);
+        // Subir archivo a Firebase Storage (si no se subió antes)
+        if (!downloadURL) {
+            showMessage('Subiendo reporte a la nube...', 'info', 3000);
+            const upload = await uploadReportToStorage(reportBlob, fileName, eventName, formatInfo.mimeType);
+            downloadURL = upload.url;
+        }
         
-        console.log('✅ Archivo subido, generando email...');
+        console.log('✅ Archivo en la nube, generando email...');
         showMessage('Preparando email...', 'info');
         
-        // Crear email con link de descarga para el usuario actual
+        // Crear email con link de descarga
         const emailData = {
-            to: [currentUser.email], // Array con el email del usuario actual
+            to: to,
             message: {
                 subject: `Reporte Fotográfico - ${eventName}`,
                 html: generateEmailHTML(
-                    currentUser.displayName || 'Usuario',
+                    recipients ? null : (currentUser.displayName || 'Usuario'),
                     eventName,
                     responsableNombre,
                     photoCount,
                     categoryCount,
-                    downloadURL
+                    downloadURL,
+                    formatInfo.label
                 )
             }
         };
         
-        console.log('📤 Enviando email a:', currentUser.email);
+        // La extensión solo acepta cc/bcc si tienen destinatarios
+        if (cc.length > 0) emailData.cc = cc;
+        if (bcc.length > 0) emailData.bcc = bcc;
+        
+        console.log(`📤 Enviando email a ${totalRecipients} destinatario(s)`);
         showMessage('Enviando email...', 'info');
         
         // Agregar a Firestore - la extensión se encarga del envío
         await addDoc(collection(db, EMAIL_COLLECTION), emailData);
         
         console.log('✅ Email agregado a la cola de envío');
-        showMessage(`Email enviado exitosamente a ${currentUser.email}`, 'success');
+        showMessage(
+            totalRecipients === 1
+                ? `Email enviado exitosamente a ${to[0]}`
+                : `Email enviado exitosamente a ${totalRecipients} destinatarios`,
+            'success'
+        );
         
         return true;
         
@@ -97,13 +126,14 @@ export async function sendReportByEmail(eventName, responsableNombre, photoCount
 }
 
 /**
- * Sube el reporte a Firebase Storage y devuelve la URL de descarga
+ * Sube el reporte a Firebase Storage y devuelve la URL de descarga y su ruta
  * @param {Blob} reportBlob - Blob del documento
  * @param {string} fileName - Nombre del archivo
  * @param {string} eventName - Nombre del evento
- * @returns {Promise<string>} - URL de descarga
+ * @param {string} contentType - Tipo MIME del documento
+ * @returns {Promise<Object>} - {url, storagePath}
  */
-async function uploadReportToStorage(reportBlob, fileName, eventName) {
+export async function uploadReportToStorage(reportBlob, fileName, eventName, contentType) {
     try {
         // Crear referencia en Storage con timestamp para evitar duplicados
         const timestamp = Date.now();
@@ -115,7 +145,7 @@ async function uploadReportToStorage(reportBlob, fileName, eventName) {
         // Subir el archivo
         console.log(`📤 Subiendo a: ${storagePath}`);
         await uploadBytes(storageRef, reportBlob, {
-            contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            contentType: contentType,
             customMetadata: {
                 'evento': eventName,
                 'generado': new Date().toISOString()
@@ -126,7 +156,7 @@ async function uploadReportToStorage(reportBlob, fileName, eventName) {
         const downloadURL = await getDownloadURL(storageRef);
         console.log('✅ URL generada:', downloadURL);
         
-        return downloadURL;
+        return { url: downloadURL, storagePath };
         
     } catch (error) {
         console.error('❌ Error al subir archivo a Storage:', error);
@@ -136,15 +166,18 @@ async function uploadReportToStorage(reportBlob, fileName, eventName) {
 
 /**
  * Genera el HTML del email con link de descarga
- * @param {string} userName - Nombre del usuario destinatario
+ * @param {string|null} userName - Nombre del destinatario (null para un saludo general)
  * @param {string} eventName - Nombre del evento
  * @param {string} responsableNombre - Nombre del responsable
  * @param {number} photoCount - Cantidad de fotos
  * @param {number} categoryCount - Cantidad de categorías
  * @param {string} downloadURL - URL de descarga
+ * @param {string} formatLabel - Formato del reporte ('Word' o 'PDF')
  * @returns {string} - HTML del email
  */
-function generateEmailHTML(userName, eventName, responsableNombre, photoCount, categoryCount, downloadURL) {
+function generateEmailHTML(userName, eventName, responsableNombre, photoCount, categoryCount, downloadURL, formatLabel) {
+    const formatDescription = formatLabel === 'PDF' ? 'PDF (.pdf)' : 'Word (.docx)';
+
     return `
         <!DOCTYPE html>
         <html>
@@ -275,10 +308,10 @@ function generateEmailHTML(userName, eventName, responsableNombre, photoCount, c
                 
                 <div class="content">
                     <div class="greeting">
-                        Hola <strong>${userName}</strong>,
+                        Hola${userName ? ` <strong>${userName}</strong>` : ''},
                     </div>
                     
-                    <p>Tu reporte fotográfico ha sido generado exitosamente y está listo para descargar.</p>
+                    <p>${userName ? 'Tu' : 'El'} reporte fotográfico ha sido generado exitosamente y está listo para descargar.</p>
                     
                     <div class="event-info">
                         <h3>Información del Evento</h3>
@@ -305,7 +338,7 @@ function generateEmailHTML(userName, eventName, responsableNombre, photoCount, c
                             <strong>El reporte completo está disponible para descargar:</strong>
                         </p>
                         <a href="${downloadURL}" class="download-button">
-                            📥 Descargar Reporte (Word)
+                            📥 Descargar Reporte (${formatLabel})
                         </a>
                         <p class="note">
                             ⏰ El enlace estará disponible por 7 días
@@ -313,7 +346,7 @@ function generateEmailHTML(userName, eventName, responsableNombre, photoCount, c
                     </div>
                     
                     <div class="alert">
-                        <strong>💡 Nota:</strong> El reporte está en formato Word (.docx) y contiene todas las fotografías organizadas por categorías.
+                        <strong>💡 Nota:</strong> El reporte está en formato ${formatDescription} y contiene todas las fotografías organizadas por categorías.
                     </div>
                     
                     <p>Si tienes alguna pregunta o necesitas ayuda, no dudes en contactarnos.</p>
@@ -350,6 +383,47 @@ function isValidEmail(email) {
     return regex.test(email);
 }
 
+/**
+ * Devuelve los emails que no tienen un formato válido
+ * @param {Array<string>} emails - Emails a validar
+ * @returns {Array<string>}
+ */
+export function getInvalidEmails(emails) {
+    return emails.filter(email => !isValidEmail(email));
+}
+
+/**
+ * Limpia los destinatarios: minúsculas, sin duplicados dentro ni entre campos
+ * (prioridad: to, luego cc, luego bcc)
+ * @param {Object} recipients - {to, cc, bcc}
+ * @returns {Object} - {to, cc, bcc}
+ */
+function normalizeRecipients(recipients) {
+    const seen = new Set();
+    const unique = (emails = []) => emails
+        .map(email => email.trim().toLowerCase())
+        .filter(email => {
+            if (!email || seen.has(email)) return false;
+            seen.add(email);
+            return true;
+        });
+    
+    return {
+        to: unique(recipients.to),
+        cc: unique(recipients.cc),
+        bcc: unique(recipients.bcc)
+    };
+}
+
+/**
+ * Obtiene la extensión de un nombre de archivo
+ * @param {string} fileName - Nombre del archivo
+ * @returns {string} - Extensión en minúsculas, sin punto
+ */
+function getFileExtension(fileName) {
+    return fileName.split('.').pop().toLowerCase();
+}
+
 /**
  * Separa múltiples emails (por coma, punto y coma, o espacio)
  * @param {string} emailsString - String con múltiples emails
@@ -373,5 +447,7 @@ export function parseMultipleEmails(emailsString) {
 
 export default {
     sendReportByEmail,
-    parseMultipleEmails
+    uploadReportToStorage,
+    parseMultipleEmails,
+    getInvalidEmails
 };
\ No newline at end of file
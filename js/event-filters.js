@@ -0,0 +1,225 @@
+/* ===================================
+   FILTROS DE EVENTOS - T&C GROUP
+   Búsqueda, filtros y orden de la lista de eventos
+   =================================== */
+
+import { getEventPhotoCount } from './storage.js';
+import { saveToLocalStorage, getFromLocalStorage } from './utils.js';
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+const FILTERS_STORAGE_KEY = 'filtrosEventos';
+
+export const SORT_OPTIONS = {
+    RECIENTES: 'recientes',
+    NOMBRE: 'nombre',
+    FOTOS: 'fotos'
+};
+
+// Valores de los filtros "con / sin" (vacío = todos)
+export const PRESENCE = {
+    CON: 'con',
+    SIN: 'sin'
+};
+
+export const DEFAULT_FILTERS = Object.freeze({
+    responsableId: '',
+    categoria: '',
+    fechaDesde: '',
+    fechaHasta: '',
+    fotos: '',
+    reporte: '',
+    orden: SORT_OPTIONS.RECIENTES
+});
+
+/* ===================================
+   PERSISTENCIA
+   =================================== */
+
+/**
+ * Carga los filtros guardados en el dispositivo
+ * @returns {Object}
+ */
+export function loadSavedFilters() {
+    const saved = getFromLocalStorage(FILTERS_STORAGE_KEY) || {};
+
+    // Solo se conservan las claves conocidas
+    return Object.keys(DEFAULT_FILTERS).reduce((filters, key) => {
+        filters[key] = typeof saved[key] === 'string' ? saved[key] : DEFAULT_FILTERS[key];
+        return filters;
+    }, {});
+}
+
+/**
+ * Guarda los filtros para la próxima sesión
+ * @param {Object} filters - Filtros actuales
+ */
+export function saveFilters(filters) {
+    saveToLocalStorage(FILTERS_STORAGE_KEY, filters);
+}
+
+/**
+ * Cuenta los filtros activos (el orden no cuenta)
+ * @param {Object} filters - Filtros actuales
+ * @returns {number}
+ */
+export function countActiveFilters(filters) {
+    return Object.keys(DEFAULT_FILTERS)
+        .filter(key => key !== 'orden' && filters[key] !== DEFAULT_FILTERS[key])
+        .length;
+}
+
+/* ===================================
+   APLICACIÓN
+   =================================== */
+
+/**
+ * Filtra y ordena los eventos
+ * @param {Array} events - Todos los eventos
+ * @param {Object} filters - Filtros actuales
+ * @param {string} searchTerm - Texto de búsqueda en minúsculas
+ * @returns {Array}
+ */
+export function applyEventFilters(events, filters, searchTerm = '') {
+    const filtered = events.filter(event =>
+        matchesSearch(event, searchTerm) &&
+        matchesFilters(event, filters)
+    );
+
+    return sortEvents(filtered, filters.orden);
+}
+
+/**
+ * Verifica si un evento coincide con la búsqueda de texto
+ * @param {Object} event - Evento
+ * @param {string} searchTerm - Texto en minúsculas
+ * @returns {boolean}
+ */
+function matchesSearch(event, searchTerm) {
+    if (!searchTerm) return true;
+
+    return event.nombre.toLowerCase().includes(searchTerm) ||
+        event.responsableNombre?.toLowerCase().includes(searchTerm) ||
+        event.cliente?.toLowerCase().includes(searchTerm) ||
+        event.sede?.toLowerCase().includes(searchTerm) ||
+        event.tipoEvento?.toLowerCase().includes(searchTerm) ||
+        event.categorias?.some(cat => cat.nombre.toLowerCase().includes(searchTerm));
+}
+
+/**
+ * Verifica si un evento cumple los filtros del panel
+ * @param {Object} event - Evento
+ * @param {Object} filters - Filtros actuales
+ * @returns {boolean}
+ */
+function matchesFilters(event, filters) {
+    if (filters.responsableId && event.responsableId !== filters.responsableId) {
+        return false;
+    }
+
+    if (filters.categoria && !event.categorias?.some(cat => cat.nombre === filters.categoria)) {
+        return false;
+    }
+
+    if (filters.fotos) {
+        const hasPhotos = getEventPhotoCount(event) > 0;
+        if (hasPhotos !== (filters.fotos === PRESENCE.CON)) return false;
+    }
+
+    if (filters.reporte) {
+        const reportSent = Boolean(event.ultimoReporteEnviado);
+        if (reportSent !== (filters.reporte === PRESENCE.CON)) return false;
+    }
+
+    if (filters.fechaDesde || filters.fechaHasta) {
+        const { start, end } = getEventDateRange(event);
+
+        // El evento debe traslaparse con el rango elegido
+        if (filters.fechaDesde && end < filters.fechaDesde) return false;
+        if (filters.fechaHasta && start > filters.fechaHasta) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Ordena los eventos según la opción elegida
+ * @param {Array} events - Eventos filtrados
+ * @param {string} order - Opción de SORT_OPTIONS
+ * @returns {Array}
+ */
+function sortEvents(events, order) {
+    const sorted = [...events];
+
+    if (order === SORT_OPTIONS.NOMBRE) {
+        return sorted.sort((a, b) => a.nombre.localeCompare(b.nombre, 'es'));
+    }
+
+    if (order === SORT_OPTIONS.FOTOS) {
+        return sorted.sort((a, b) => getEventPhotoCount(b) - getEventPhotoCount(a));
+    }
+
+    return sorted.sort((a, b) => toMillis(b.fechaCreacion) - toMillis(a.fechaCreacion));
+}
+
+/* ===================================
+   FECHAS
+   =================================== */
+
+/**
+ * Obtiene el rango de fechas de un evento como YYYY-MM-DD
+ * (los eventos sin fechas propias usan su fecha de creación)
+ * @param {Object} event - Evento
+ * @returns {{start: string, end: string}}
+ */
+function getEventDateRange(event) {
+    if (event.fechaInicio) {
+        return { start: event.fechaInicio, end: event.fechaFin || event.fechaInicio };
+    }
+
+    const created = toDateKey(event.fechaCreacion);
+    return { start: created, end: created };
+}
+
+/**
+ * Convierte una fecha de Firestore, string o Date a milisegundos
+ * @param {Timestamp|Object|string|Date} date - Fecha
+ * @returns {number}
+ */
+function toMillis(date) {
+    if (!date) return 0;
+    if (typeof date.toMillis === 'function') return date.toMillis();
+    if (date.seconds) return date.seconds * 1000;
+
+    const time = new Date(date).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Convierte una fecha a YYYY-MM-DD en hora local
+ * @param {Timestamp|Object|string|Date} date - Fecha
+ * @returns {string}
+ */
+function toDateKey(date) {
+    const millis = toMillis(date);
+    if (!millis) return '';
+
+    const d = new Date(millis);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    DEFAULT_FILTERS,
+    loadSavedFilters,
+    saveFilters,
+    countActiveFilters,
+    applyEventFilters
+};
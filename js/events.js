@@ -9,7 +9,8 @@ import {
     getEventById, 
     updateEvent, 
     deleteEvent,
-    getActiveUsers 
+    getActiveUsers,
+    subscribeToEvent
 } from './storage.js';
 
 import {
@@ -18,6 +19,7 @@ import {
     createCategoryFromCatalog,
     addCategoryToEvent,
     removeCategoryFromEvent,
+    mergeCategoryChanges,
     validateCategoryName,
     resetColorIndex,
     renderCategoryChip,
@@ -26,6 +28,7 @@ import {
 } from './categories.js';
 
 import { showMessage } from './utils.js';
+import { hasPermission, PERMISSIONS } from './roles.js';
 
 /* ===================================
    ESTADO DEL FORMULARIO
@@ -36,7 +39,9 @@ const formState = {
     currentEventId: null,
     usuarios: [],
     categorias: [],
-    showCatalog: true // Para alternar entre catálogo y campo personalizado
+    showCatalog: true, // Para alternar entre catálogo y campo personalizado
+    baseEvent: null,   // Versión del evento sobre la que se está editando
+    unsubscribeEvent: null // Sincronización en vivo mientras se edita
 };
 
 /* ===================================
@@ -46,6 +51,11 @@ const formState = {
 let eventForm;
 let eventNameInput;
 let responsableSelect;
+let eventClientInput;
+let eventTypeSelect;
+let eventVenueInput;
+let eventStartDateInput;
+let eventEndDateInput;
 let categoryInput;
 let addCategoryBtn;
 let categoriesContainer;
@@ -69,6 +79,11 @@ export async function initEventForm() {
     eventForm = document.getElementById('eventForm');
     eventNameInput = document.getElementById('eventName');
     responsableSelect = document.getElementById('responsableSelect');
+    eventClientInput = document.getElementById('eventClient');
+    eventTypeSelect = document.getElementById('eventType');
+    eventVenueInput = document.getElementById('eventVenue');
+    eventStartDateInput = document.getElementById('eventStartDate');
+    eventEndDateInput = document.getElementById('eventEndDate');
     categoryInput = document.getElementById('categoryInput');
     addCategoryBtn = document.getElementById('addCategoryBtn');
     categoriesContainer = document.getElementById('categoriesContainer');
@@ -123,6 +138,16 @@ function setupFormListeners() {
     if (cancelEventBtn) {
         cancelEventBtn.addEventListener('click', handleCancel);
     }
+
+    // La fecha de fin no puede ser anterior a la de inicio
+    if (eventStartDateInput && eventEndDateInput) {
+        eventStartDateInput.addEventListener('change', () => {
+            eventEndDateInput.min = eventStartDateInput.value;
+            if (eventEndDateInput.value && eventEndDateInput.value < eventStartDateInput.value) {
+                eventEndDateInput.value = eventStartDateInput.value;
+            }
+        });
+    }
 }
 
 /* ===================================
@@ -310,8 +335,15 @@ function renderCategories() {
 async function handleFormSubmit(e) {
     e.preventDefault();
 
+    if (!hasPermission(PERMISSIONS.EDITAR_EVENTOS)) {
+        showMessage('No tienes permiso para guardar eventos', 'error');
+        return;
+    }
+
     const nombreEvento = eventNameInput.value.trim();
     const responsableId = responsableSelect.value;
+    const fechaInicio = eventStartDateInput.value;
+    const fechaFin = eventEndDateInput.value;
     
     // Validaciones
     if (!nombreEvento) {
@@ -324,6 +356,16 @@ async function handleFormSubmit(e) {
         return;
     }
 
+    if (fechaFin && !fechaInicio) {
+        showMessage('Indica la fecha de inicio del evento', 'error');
+        return;
+    }
+
+    if (fechaInicio && fechaFin && fechaFin < fechaInicio) {
+        showMessage('La fecha de fin no puede ser anterior a la de inicio', 'error');
+        return;
+    }
+
     if (formState.categorias.length === 0) {
         const confirm = window.confirm('No has agregado categorías. ¿Deseas continuar sin categorías?');
         if (!confirm) return;
@@ -338,6 +380,12 @@ async function handleFormSubmit(e) {
         nombre: nombreEvento,
         responsableId: responsableId,
         responsableNombre: responsableNombre,
+        cliente: eventClientInput.value.trim(),
+        tipoEvento: eventTypeSelect.value,
+        sede: eventVenueInput.value.trim(),
+        // Fechas en formato YYYY-MM-DD (sin hora ni zona horaria)
+        fechaInicio: fechaInicio,
+        fechaFin: fechaFin || fechaInicio,
         categorias: formState.categorias
     };
 
@@ -401,7 +449,11 @@ async function updateExistingEvent(eventId, eventData) {
     try {
         console.log('💾 Actualizando evento...', eventId);
         
-        await updateEvent(eventId, eventData);
+        // Enviar solo lo que cambió y combinar las categorías con las de Firestore,
+        // para no borrar lo que otro miembro del equipo guardó mientras tanto
+        const changes = getChangedFields(formState.baseEvent || {}, eventData);
+        
+        await updateEvent(eventId, changes, { baseEvent: formState.baseEvent });
         
         showMessage('¡Evento actualizado exitosamente!', 'success');
         
@@ -421,6 +473,22 @@ async function updateExistingEvent(eventId, eventData) {
     }
 }
 
+/**
+ * Obtiene los campos del formulario que difieren del evento original
+ * @param {Object} baseEvent - Evento como se cargó
+ * @param {Object} eventData - Datos del formulario
+ * @returns {Object}
+ */
+function getChangedFields(baseEvent, eventData) {
+    return Object.keys(eventData).reduce((changes, key) => {
+        const before = key === 'categorias' ? JSON.stringify(baseEvent[key] || []) : (baseEvent[key] || '');
+        const after = key === 'categorias' ? JSON.stringify(eventData[key]) : eventData[key];
+        
+        if (before !== after) changes[key] = eventData[key];
+        return changes;
+    }, {});
+}
+
 /* ===================================
    EDICIÓN DE EVENTOS
    =================================== */
@@ -430,6 +498,11 @@ async function updateExistingEvent(eventId, eventData) {
  * @param {string} eventId - ID del evento
  */
 export async function loadEventForEdit(eventId) {
+    if (!hasPermission(PERMISSIONS.EDITAR_EVENTOS)) {
+        showMessage('No tienes permiso para editar eventos', 'error');
+        return;
+    }
+
     try {
         console.log('📝 Cargando evento para editar:', eventId);
         
@@ -447,7 +520,17 @@ export async function loadEventForEdit(eventId) {
         // Llenar formulario
         eventNameInput.value = event.nombre;
         responsableSelect.value = event.responsableId;
+        eventClientInput.value = event.cliente || '';
+        eventTypeSelect.value = event.tipoEvento || '';
+        eventVenueInput.value = event.sede || '';
+        eventStartDateInput.value = event.fechaInicio || '';
+        eventEndDateInput.value = event.fechaFin || '';
+        eventEndDateInput.min = event.fechaInicio || '';
         formState.categorias = event.categorias || [];
+        formState.baseEvent = event;
+        
+        // Recibir los cambios que otros guarden mientras se edita
+        startEditSync(eventId);
 
         // Renderizar categorías y catálogo
         resetColorIndex();
@@ -475,6 +558,91 @@ export async function loadEventForEdit(eventId) {
     }
 }
 
+/**
+ * Campos del formulario que se actualizan en vivo
+ * @returns {Object} - Campo del evento → input
+ */
+function getSyncedInputs() {
+    return {
+        nombre: eventNameInput,
+        responsableId: responsableSelect,
+        cliente: eventClientInput,
+        tipoEvento: eventTypeSelect,
+        sede: eventVenueInput,
+        fechaInicio: eventStartDateInput,
+        fechaFin: eventEndDateInput
+    };
+}
+
+/**
+ * Escucha el evento en edición
+ * @param {string} eventId - ID del evento
+ */
+function startEditSync(eventId) {
+    stopEditSync();
+    
+    formState.unsubscribeEvent = subscribeToEvent(eventId, event => {
+        if (formState.mode !== 'edit' || formState.currentEventId !== eventId) return;
+        handleRemoteEditChange(event);
+    });
+}
+
+/**
+ * Deja de escuchar el evento en edición
+ */
+function stopEditSync() {
+    formState.unsubscribeEvent?.();
+    formState.unsubscribeEvent = null;
+}
+
+/**
+ * Aplica al formulario los cambios guardados desde otro dispositivo
+ * (los campos que el usuario ya modificó se conservan)
+ * @param {Object|null} event - Evento actualizado (null si se eliminó)
+ */
+function handleRemoteEditChange(event) {
+    if (!event) {
+        showMessage('Este evento fue eliminado desde otro dispositivo', 'info', 4000);
+        resetForm();
+        window.navigateToView('homeView');
+        return;
+    }
+    
+    const baseEvent = formState.baseEvent || {};
+    let updated = false;
+    
+    Object.entries(getSyncedInputs()).forEach(([field, input]) => {
+        const before = baseEvent[field] || '';
+        const after = event[field] || '';
+        
+        if (input && input.value === before && before !== after) {
+            input.value = after;
+            updated = true;
+        }
+    });
+    
+    eventEndDateInput.min = eventStartDateInput.value;
+    
+    const categorias = mergeCategoryChanges(
+        event.categorias || [],
+        baseEvent.categorias || [],
+        formState.categorias
+    );
+    
+    if (JSON.stringify(categorias) !== JSON.stringify(formState.categorias)) {
+        formState.categorias = categorias;
+        renderCategories();
+        renderCatalog();
+        updated = true;
+    }
+    
+    formState.baseEvent = event;
+    
+    if (updated) {
+        showMessage('El evento se actualizó desde otro dispositivo', 'info');
+    }
+}
+
 /* ===================================
    RESETEO Y CANCELACIÓN
    =================================== */
@@ -483,14 +651,20 @@ export async function loadEventForEdit(eventId) {
  * Resetea el formulario
  */
 function resetForm() {
+    stopEditSync();
     formState.mode = 'create';
     formState.currentEventId = null;
+    formState.baseEvent = null;
     formState.categorias = [];
     formState.showCatalog = true;
 
     if (eventForm) {
         eventForm.reset();
     }
+    
+    if (eventEndDateInput) {
+        eventEndDateInput.min = '';
+    }
 
     // Resetear categorías
     renderCategories();
@@ -529,6 +703,9 @@ function resetForm() {
 function handleCancel() {
     const hasChanges = eventNameInput.value.trim() !== '' || 
                       responsableSelect.value !== '' || 
+                      eventClientInput.value.trim() !== '' ||
+                      eventVenueInput.value.trim() !== '' ||
+                      eventStartDateInput.value !== '' || 
                       formState.categorias.length > 0;
 
     if (hasChanges) {
@@ -549,6 +726,11 @@ function handleCancel() {
  * @param {string} eventId - ID del evento
  */
 export async function deleteEventById(eventId) {
+    if (!hasPermission(PERMISSIONS.ELIMINAR_EVENTOS)) {
+        showMessage('Solo un administrador puede eliminar eventos', 'error');
+        return;
+    }
+
     const confirm = window.confirm('¿Estás seguro de eliminar este evento? Esta acción no se puede deshacer.');
     
     if (!confirm) return;
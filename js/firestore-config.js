@@ -2,10 +2,10 @@
    CONFIGURACIÓN DE FIREBASE - T&C GROUP
    =================================== */
 
-import { initializeApp } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js";
-import { getAuth } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
-import { getFirestore } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
-import { getStorage } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js";
+import { initializeApp, deleteApp } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js";
+import { getAuth, initializeAuth, inMemoryPersistence, connectAuthEmulator } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { getFirestore, connectFirestoreEmulator } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import { getStorage, connectStorageEmulator } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js";
 
 // Configuración de Firebase
 const firebaseConfig = {
@@ -25,7 +25,39 @@ const auth = getAuth(app);
 const db = getFirestore(app);
 const storage = getStorage(app);
 
+// Emuladores locales (firebase emulators:start, ver firebase.json)
+const EMULATOR_HOSTING_PORT = '5000';
+const AUTH_EMULATOR_URL = 'http://127.0.0.1:9099';
+const useEmulators = ['localhost', '127.0.0.1'].includes(window.location.hostname)
+  && window.location.port === EMULATOR_HOSTING_PORT;
+
+if (useEmulators) {
+  connectAuthEmulator(auth, AUTH_EMULATOR_URL, { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+  connectStorageEmulator(storage, '127.0.0.1', 9199);
+  console.log('🧪 Usando emuladores de Firebase');
+}
+
 console.log('✅ Firebase inicializado correctamente');
 
+/**
+ * Crea una instancia secundaria de Auth que no afecta la sesión actual.
+ * Se usa para dar de alta usuarios sin cerrar la sesión del administrador.
+ * @returns {{auth: Object, dispose: Function}} - Auth secundario y función para liberarlo
+ */
+function createSecondaryAuth() {
+  const secondaryApp = initializeApp(firebaseConfig, `secundaria-${Date.now()}`);
+  const secondaryAuth = initializeAuth(secondaryApp, { persistence: inMemoryPersistence });
+
+  if (useEmulators) {
+    connectAuthEmulator(secondaryAuth, AUTH_EMULATOR_URL, { disableWarnings: true });
+  }
+
+  return {
+    auth: secondaryAuth,
+    dispose: () => deleteApp(secondaryApp)
+  };
+}
+
 // Exportar servicios para usar en otros módulos
-export { app, auth, db, storage };
\ No newline at end of file
+export { app, auth, db, storage, createSecondaryAuth };
\ No newline at end of file
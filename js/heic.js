@@ -0,0 +1,114 @@
+/* ===================================
+   FOTOS HEIC - T&C GROUP
+   Conversión de HEIC/HEIF (iPhone) a JPEG antes de comprimir
+   =================================== */
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+const HEIC_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'];
+const HEIC_EXTENSION = /\.(heic|heif)$/i;
+const JPEG_QUALITY = 0.92;
+
+// Código de los errores de conversión, para informarlos aparte de los de subida
+export const HEIC_CONVERSION_ERROR = 'heic/conversion-failed';
+
+// Conversiones en curso o terminadas por archivo (la revisión de repetidas y la subida comparten una)
+const conversions = new WeakMap();
+
+/* ===================================
+   DETECCIÓN
+   =================================== */
+
+/**
+ * Verifica si un archivo es HEIC/HEIF
+ * Fuera de Safari el navegador suele dejar el tipo vacío, por eso también se revisa la extensión
+ * @param {File|Blob} file - Archivo
+ * @returns {boolean}
+ */
+export function isHeicFile(file) {
+    const type = (file.type || '').toLowerCase();
+    if (HEIC_TYPES.includes(type)) return true;
+
+    return !type && HEIC_EXTENSION.test(file.name || '');
+}
+
+/* ===================================
+   CONVERSIÓN
+   =================================== */
+
+/**
+ * Convierte una foto HEIC/HEIF a JPEG; cualquier otra imagen se devuelve tal cual
+ * Si la foto es HEIC y no se pudo convertir, lanza un error con código HEIC_CONVERSION_ERROR
+ * @param {File} file - Archivo original
+ * @returns {Promise<File>} - Archivo JPEG (con extensión .jpg)
+ */
+export function convertHeicToJpeg(file) {
+    if (!isHeicFile(file)) {
+        return Promise.resolve(file);
+    }
+
+    if (!conversions.has(file)) {
+        const conversion = runConversion(file);
+
+        // Si falla, permitir reintentar con el mismo archivo
+        conversion.catch(() => conversions.delete(file));
+        conversions.set(file, conversion);
+    }
+
+    return conversions.get(file);
+}
+
+/**
+ * Convierte con heic2any
+ * @param {File} file - Archivo HEIC
+ * @returns {Promise<File>}
+ */
+async function runConversion(file) {
+    if (!window.heic2any) {
+        console.error('❌ Librería heic2any no disponible');
+        throw createConversionError(file);
+    }
+
+    console.log(`🔄 Convirtiendo HEIC a JPEG: ${file.name}`);
+
+    try {
+        const result = await window.heic2any({ blob: file, toType: 'image/jpeg', quality: JPEG_QUALITY });
+
+        // Las fotos en ráfaga (Live Photos) traen varias imágenes: usar la primera
+        const blob = Array.isArray(result) ? result[0] : result;
+        const name = (file.name || 'foto.heic').replace(HEIC_EXTENSION, '.jpg');
+
+        console.log('✅ Foto HEIC convertida');
+
+        return new File([blob], name, {
+            type: 'image/jpeg',
+            lastModified: file.lastModified || Date.now()
+        });
+    } catch (error) {
+        console.error('❌ Error al convertir HEIC:', error);
+        throw createConversionError(file);
+    }
+}
+
+/**
+ * Error de conversión con el nombre del archivo
+ * @param {File} file - Archivo HEIC
+ * @returns {Error}
+ */
+function createConversionError(file) {
+    const error = new Error(`No se pudo convertir ${file.name}`);
+    error.code = HEIC_CONVERSION_ERROR;
+    return error;
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    HEIC_CONVERSION_ERROR,
+    isHeicFile,
+    convertHeicToJpeg
+};
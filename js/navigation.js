@@ -3,6 +3,8 @@
    Sistema de navegación entre vistas
    =================================== */
 
+import { canAccessView } from './roles.js';
+
 /**
  * Estado actual de la navegación
  */
@@ -48,6 +50,12 @@ export function navigateToView(viewId) {
         return;
     }
 
+    // Verificar que el rol del usuario permita abrir la vista
+    if (!canAccessView(viewId)) {
+        console.warn(`⛔ Sin permiso para la vista: ${viewId}`);
+        return;
+    }
+
     // Si ya estamos en esa vista, no hacer nada
     if (currentView === viewId) {
         console.log(`ℹ️ Ya estás en la vista: ${viewId}`);
@@ -154,6 +162,13 @@ function handleViewChange(viewId) {
             module.loadReportsView();
         });
     }
+
+    // Cargar usuarios si navegamos a la administración de usuarios
+    if (viewId === 'usersView') {
+        import('./user-management.js').then(module => {
+            module.loadUsersView();
+        });
+    }
 }
 
 // Hacer la función navigateToView global para usar en onclick
@@ -3,27 +3,100 @@
    UI para gestionar fotos de eventos
    =================================== */
 
-import { getEventById, updateEvent } from './storage.js';
 import { 
-    processMultipleFiles, 
+    getEventById, 
+    getEventsPage,
+    getEventPhotos, 
+    addPhotoToEvent, 
+    addPhotosToEvent,
+    deletePhotoFromEvent,
+    updateEventPhoto,
+    movePhotosToCategory,
+    movePhotosToEvent,
+    savePhotoThumbnail,
+    isLocalEventId,
+    resolveEventId,
+    subscribeToEvent,
+    subscribeToEventPhotos
+} from './storage.js';
+import { 
+    createUploadBatch, 
+    BATCH_STATE,
     capturePhoto, 
     selectMultiplePhotos,
     filterPhotosByCategory,
+    sortPhotosByCaptureTime,
     removePhotoById,
-    countPhotosByCategory
+    countPhotosByCategory,
+    copyPhotoInStorage,
+    createMissingThumbnail,
+    getThumbnailUrl,
+    isImageFile
 } from './photos.js';
-import { showMessage } from './utils.js';
+import { showMessage, formatBytes, sanitizeString, openModal, closeModal } from './utils.js';
 import { addCategoryToEvent } from './categories.js';
+import {
+    enqueuePhotoUpload,
+    enqueuePhotoRecord,
+    getQueuedUploads,
+    removeQueuedUpload
+} from './upload-queue.js';
+import { hasPermission, PERMISSIONS } from './roles.js';
+import {
+    initPhotoViewer,
+    openPhotoViewer,
+    updatePhotoViewerPhotos,
+    isPhotoViewerOpen,
+    closePhotoViewer
+} from './photo-viewer.js';
+import {
+    initCamera,
+    isCameraSupported,
+    openCamera,
+    closeCamera,
+    updateCameraCategories
+} from './camera.js';
+import {
+    getFileHashes,
+    computePerceptualHash,
+    findDuplicate,
+    groupSimilarPhotos,
+    compareHashes,
+    DUPLICATE_TYPES
+} from './duplicates.js';
+import { HEIC_CONVERSION_ERROR } from './heic.js';
 
 /* ===================================
    ESTADO DEL GESTOR DE FOTOS
    =================================== */
 
+// Acciones sobre las fotos seleccionadas
+const TRANSFER_MODES = {
+    MOVE: 'mover',
+    COPY: 'copiar'
+};
+
 const photoManagerState = {
     currentEvent: null,
     currentCategoryId: null,
     photos: [],
-    isUploading: false
+    pendingPhotos: [], // Fotos en la cola offline: {id, photo, previewUrl, ...}
+    uploadBatch: null, // Lote de subida en curso (createUploadBatch)
+    isUploading: false,
+    editingPhotoId: null, // Foto cuya descripción se está editando
+    unsubscribeEvent: null,  // Sincronización en vivo del evento abierto
+    unsubscribePhotos: null, // Sincronización en vivo de sus fotos
+    isSelecting: false,      // Modo de selección para mover o copiar
+    selectedPhotoIds: new Set(),
+    transferMode: TRANSFER_MODES.MOVE,
+    transferEvents: [],      // Eventos destino disponibles en el modal
+    transferCursor: null,    // Último evento leído para el modal (getEventsPage)
+    transferHasMore: false,
+    isLoadingTransferEvents: false,
+    capturedPhotos: [],      // Fotos de la cámara esperando subida: {file, categoryId, eventId}
+    isBackfillingThumbnails: false,
+    duplicateGroups: [],       // Grupos de fotos repetidas del modal
+    perceptualHashes: new Map() // photoId → dHash calculado de la miniatura (fotos anteriores)
 };
 
 /* ===================================
@@ -40,6 +113,23 @@ let selectPhotosBtn;
 let backToEventsBtn;
 let addCategoryPhotoBtn;
 let emptyPhotosState;
+let uploadProgressPanel;
+let uploadProgressTitle;
+let uploadProgressPercent;
+let uploadProgressBar;
+let uploadProgressDetail;
+let pauseUploadBtn;
+let cancelUploadBtn;
+let captionForm;
+let captionInput;
+let captionPreview;
+let toggleSelectionBtn;
+let photoSelectionBar;
+let photoSelectionCount;
+let transferPhotosForm;
+let transferEventSelect;
+let transferCategorySelect;
+let loadMoreTransferEventsBtn;
 
 /* ===================================
    INICIALIZACIÓN
@@ -62,10 +152,34 @@ export function initPhotoManager() {
     backToEventsBtn = document.getElementById('backToEventsBtn');
     addCategoryPhotoBtn = document.getElementById('addCategoryPhotoBtn');
     emptyPhotosState = document.getElementById('emptyPhotosState');
+    uploadProgressPanel = document.getElementById('uploadProgressPanel');
+    uploadProgressTitle = document.getElementById('uploadProgressTitle');
+    uploadProgressPercent = document.getElementById('uploadProgressPercent');
+    uploadProgressBar = document.getElementById('uploadProgressBar');
+    uploadProgressDetail = document.getElementById('uploadProgressDetail');
+    pauseUploadBtn = document.getElementById('pauseUploadBtn');
+    cancelUploadBtn = document.getElementById('cancelUploadBtn');
+    captionForm = document.getElementById('captionForm');
+    captionInput = document.getElementById('captionInput');
+    captionPreview = document.getElementById('captionPreview');
+    toggleSelectionBtn = document.getElementById('toggleSelectionBtn');
+    photoSelectionBar = document.getElementById('photoSelectionBar');
+    photoSelectionCount = document.getElementById('photoSelectionCount');
+    transferPhotosForm = document.getElementById('transferPhotosForm');
+    transferEventSelect = document.getElementById('transferEventSelect');
+    transferCategorySelect = document.getElementById('transferCategorySelect');
+    loadMoreTransferEventsBtn = document.getElementById('loadMoreTransferEventsBtn');
     
     // Configurar event listeners
     setupPhotoManagerListeners();
     
+    // Visor a pantalla completa y cámara
+    initPhotoViewer();
+    initCamera();
+    
+    // Escuchar cambios en la cola offline
+    window.addEventListener('uploadQueueChanged', handleUploadQueueChange);
+    
     console.log('✅ Gestor de fotos inicializado');
 }
 
@@ -88,6 +202,56 @@ function setupPhotoManagerListeners() {
     if (addCategoryPhotoBtn) {
         addCategoryPhotoBtn.addEventListener('click', handleAddCategory);
     }
+    
+    if (pauseUploadBtn) {
+        pauseUploadBtn.addEventListener('click', handleTogglePauseUpload);
+    }
+    
+    if (cancelUploadBtn) {
+        cancelUploadBtn.addEventListener('click', handleCancelUpload);
+    }
+    
+    // Modal de descripción
+    if (captionForm) {
+        captionForm.addEventListener('submit', handleSaveCaption);
+    }
+    document.getElementById('closeCaptionModal')?.addEventListener('click', closeCaptionEditor);
+    document.getElementById('cancelCaptionBtn')?.addEventListener('click', closeCaptionEditor);
+    document.getElementById('captionModal')?.querySelector('.modal-overlay')?.addEventListener('click', closeCaptionEditor);
+    
+    // Selección para mover o copiar
+    if (toggleSelectionBtn) {
+        toggleSelectionBtn.addEventListener('click', () => {
+            if (photoManagerState.isSelecting) {
+                exitSelectionMode();
+            } else {
+                enterSelectionMode();
+            }
+        });
+    }
+    document.getElementById('selectAllPhotosBtn')?.addEventListener('click', handleSelectAllPhotos);
+    document.getElementById('movePhotosBtn')?.addEventListener('click', () => openTransferModal(TRANSFER_MODES.MOVE));
+    document.getElementById('copyPhotosBtn')?.addEventListener('click', () => openTransferModal(TRANSFER_MODES.COPY));
+    document.getElementById('cancelSelectionBtn')?.addEventListener('click', exitSelectionMode);
+    
+    // Fotos repetidas
+    document.getElementById('findDuplicatesBtn')?.addEventListener('click', handleFindDuplicates);
+    document.getElementById('closeDuplicatesModal')?.addEventListener('click', () => closeModal('duplicatesModal'));
+    document.getElementById('duplicatesModal')?.querySelector('.modal-overlay')?.addEventListener('click', () => closeModal('duplicatesModal'));
+    
+    // Modal de mover o copiar
+    if (transferPhotosForm) {
+        transferPhotosForm.addEventListener('submit', handleTransferPhotos);
+    }
+    if (transferEventSelect) {
+        transferEventSelect.addEventListener('change', renderTransferCategoryOptions);
+    }
+    if (loadMoreTransferEventsBtn) {
+        loadMoreTransferEventsBtn.addEventListener('click', loadTransferEvents);
+    }
+    document.getElementById('closeTransferPhotosModal')?.addEventListener('click', closeTransferModal);
+    document.getElementById('cancelTransferPhotosBtn')?.addEventListener('click', closeTransferModal);
+    document.getElementById('transferPhotosModal')?.querySelector('.modal-overlay')?.addEventListener('click', closeTransferModal);
 }
 
 /* ===================================
@@ -110,22 +274,25 @@ export async function openPhotoManager(eventId) {
             return;
         }
         
+        // Dejar de escuchar el evento abierto anteriormente
+        stopLiveSync();
+        
         // Guardar en estado
         photoManagerState.currentEvent = event;
-        photoManagerState.photos = event.fotos || [];
+        photoManagerState.currentCategoryId = null;
+        photoManagerState.photos = await getEventPhotos(eventId, event);
         
-        // Renderizar información del evento
-        renderEventInfo(event);
+        // Cargar fotos pendientes de la cola offline
+        await refreshPendingPhotos();
         
-        // Renderizar tabs de categorías
-        renderCategoryTabs(event.categorias);
+        // Renderizar evento, tabs y primera categoría
+        renderCurrentEvent();
         
-        // Seleccionar primera categoría o mostrar mensaje
-        if (event.categorias && event.categorias.length > 0) {
-            selectCategory(event.categorias[0].id);
-        } else {
-            showNoCategoriesMessage();
-        }
+        // Recibir en vivo lo que agreguen otros miembros del equipo
+        startLiveSync(eventId);
+        
+        // Completar en segundo plano las miniaturas de fotos anteriores
+        backfillThumbnails();
         
         // Navegar a la vista
         window.navigateToView('photoManagerView');
@@ -137,6 +304,97 @@ export async function openPhotoManager(eventId) {
     }
 }
 
+/**
+ * Renderiza el evento abierto y conserva la categoría seleccionada
+ * (si ya no existe, selecciona la primera)
+ */
+function renderCurrentEvent() {
+    const event = photoManagerState.currentEvent;
+    if (!event) return;
+    
+    const categories = event.categorias || [];
+    
+    renderEventInfo(event);
+    renderCategoryTabs(categories);
+    updateCameraCategories(categories);
+    
+    if (categories.length === 0) {
+        photoManagerState.currentCategoryId = null;
+        hideEmptyPhotosState();
+        showNoCategoriesMessage();
+        return;
+    }
+    
+    const current = categories.find(cat => cat.id === photoManagerState.currentCategoryId);
+    selectCategory(current ? current.id : categories[0].id);
+}
+
+/* ===================================
+   SINCRONIZACIÓN EN VIVO
+   =================================== */
+
+/**
+ * Escucha el evento abierto en Firestore
+ * @param {string} eventId - ID del evento
+ */
+function startLiveSync(eventId) {
+    photoManagerState.unsubscribeEvent = subscribeToEvent(eventId, event => {
+        if (photoManagerState.currentEvent?.id !== eventId) return;
+        handleRemoteEventChange(event);
+    });
+}
+
+/**
+ * Deja de escuchar el evento y sus fotos
+ */
+function stopLiveSync() {
+    photoManagerState.unsubscribeEvent?.();
+    photoManagerState.unsubscribePhotos?.();
+    photoManagerState.unsubscribeEvent = null;
+    photoManagerState.unsubscribePhotos = null;
+}
+
+/**
+ * Aplica los cambios del evento hechos en otro dispositivo
+ * @param {Object|null} event - Evento actualizado (null si se eliminó)
+ */
+function handleRemoteEventChange(event) {
+    if (!event) {
+        showMessage('Este evento fue eliminado desde otro dispositivo', 'info', 4000);
+        handleBackToEvents();
+        return;
+    }
+    
+    photoManagerState.currentEvent = event;
+    
+    // Las fotos se escuchan cuando el evento ya no tiene el arreglo embebido
+    // (si aún no se migra, la subcolección está vacía y las ocultaría)
+    if (!photoManagerState.unsubscribePhotos && !Array.isArray(event.fotos)) {
+        photoManagerState.unsubscribePhotos = subscribeToEventPhotos(event.id, photos => {
+            if (photoManagerState.currentEvent?.id !== event.id) return;
+            handleRemotePhotosChange(photos);
+        });
+    }
+    
+    renderCurrentEvent();
+}
+
+/**
+ * Aplica las fotos agregadas, editadas o eliminadas en otro dispositivo
+ * @param {Array} photos - Fotos actuales del evento
+ */
+function handleRemotePhotosChange(photos) {
+    photoManagerState.photos = photos;
+    
+    // La foto en edición pudo eliminarse en otro dispositivo
+    if (photoManagerState.editingPhotoId && !photos.some(p => p.id === photoManagerState.editingPhotoId)) {
+        closeCaptionEditor();
+        showMessage('La foto que editabas fue eliminada', 'info');
+    }
+    
+    renderCurrentEvent();
+}
+
 /**
  * Renderiza la información del evento
  * @param {Object} event - Evento
@@ -144,7 +402,8 @@ export async function openPhotoManager(eventId) {
 function renderEventInfo(event) {
     if (!eventInfoSection) return;
     
-    const totalPhotos = event.fotos?.length || 0;
+    const totalPhotos = photoManagerState.photos.length;
+    const pendingCount = photoManagerState.pendingPhotos.length;
     
     eventInfoSection.innerHTML = `
         <div class="event-info-card">
@@ -165,6 +424,14 @@ function renderEventInfo(event) {
                     </svg>
                     ${totalPhotos} fotos
                 </span>
+                ${pendingCount > 0 ? `
+                <span class="event-info-item">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <polyline points="23 4 23 10 17 10" stroke="currentColor" stroke-width="2"/>
+                        <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10" stroke="currentColor" stroke-width="2"/>
+                    </svg>
+                    ${pendingCount} pendientes de subir
+                </span>` : ''}
             </div>
         </div>
     `;
@@ -183,7 +450,8 @@ function renderCategoryTabs(categories) {
     }
     
     categoriesTabsContainer.innerHTML = categories.map(cat => {
-        const photoCount = countPhotosByCategory(photoManagerState.photos, cat.id);
+        const photoCount = countPhotosByCategory(photoManagerState.photos, cat.id) +
+            countPhotosByCategory(getPendingPhotoObjects(), cat.id);
         
         return `
             <button 
@@ -203,6 +471,10 @@ function renderCategoryTabs(categories) {
  * @param {string} categoryId - ID de la categoría
  */
 window.selectPhotoCategory = function(categoryId) {
+    // La selección es por categoría
+    if (categoryId !== photoManagerState.currentCategoryId) {
+        photoManagerState.selectedPhotoIds.clear();
+    }
     selectCategory(categoryId);
 };
 
@@ -234,28 +506,72 @@ function selectCategory(categoryId) {
 function renderPhotosGrid(categoryId) {
     if (!photosGridContainer) return;
     
-    const photos = filterPhotosByCategory(photoManagerState.photos, categoryId);
+    const photos = getCategoryPhotos(categoryId);
+    const pending = photoManagerState.pendingPhotos.filter(item => item.photo.categoryId === categoryId);
+    
+    // Mantener el visor al día con altas, bajas y cambios de categoría
+    updatePhotoViewerPhotos(photos, photoManagerState.currentEvent?.categorias || []);
+    
+    // Soltar las fotos seleccionadas que se eliminaron o cambiaron de categoría
+    const { selectedPhotoIds, isSelecting } = photoManagerState;
+    selectedPhotoIds.forEach(photoId => {
+        if (!photos.some(p => p.id === photoId)) selectedPhotoIds.delete(photoId);
+    });
+    updateSelectionBar();
     
-    if (photos.length === 0) {
+    if (photos.length === 0 && pending.length === 0) {
         showEmptyPhotosState();
         return;
     }
     
     hideEmptyPhotosState();
     
-    photosGridContainer.innerHTML = photos.map(photo => `
-        <div class="photo-card" data-photo-id="${photo.id}">
-            <img src="${photo.url}" alt="${photo.fileName}" class="photo-image" loading="lazy">
-            <button class="photo-delete-btn" onclick="deletePhoto('${photo.id}')" type="button">
+    // Los visores solo pueden ver las fotos
+    const canEdit = hasPermission(PERMISSIONS.EDITAR_FOTOS);
+    
+    const pendingHTML = pending.map(item => `
+        <div class="photo-card pending" data-photo-id="${item.id}" title="${getPendingPhotoTitle(item)}">
+            <img src="${item.previewUrl}" alt="${item.photo.fileName}" class="photo-image" loading="lazy">
+            <span class="photo-pending-badge${item.failed ? ' failed' : ''}">${item.failed ? 'No se subió' : 'Pendiente'}</span>
+            <button class="photo-delete-btn" onclick="cancelPendingPhoto('${item.id}')" type="button">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" stroke-width="2"/>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+    
+    photosGridContainer.innerHTML = pendingHTML + photos.map(photo => `
+        <div class="photo-card${isSelecting ? ' selectable' : ''}${selectedPhotoIds.has(photo.id) ? ' selected' : ''}" data-photo-id="${photo.id}" onclick="${isSelecting ? 'togglePhotoSelection' : 'openPhotoInViewer'}('${photo.id}')">
+            <img src="${getThumbnailUrl(photo)}" alt="${photo.fileName}" class="photo-image" loading="lazy">
+            ${photo.caption ? `<span class="photo-caption">${sanitizeString(photo.caption)}</span>` : ''}
+            ${isSelecting ? `
+            <span class="photo-select-check">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <polyline points="20 6 9 17 4 12" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+            </span>
+            ` : canEdit ? `
+            <button class="photo-delete-btn" onclick="event.stopPropagation(); deletePhoto('${photo.id}')" type="button">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                     <polyline points="3 6 5 6 21 6" stroke="currentColor" stroke-width="2"/>
                     <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" stroke="currentColor" stroke-width="2"/>
                 </svg>
             </button>
+            ` : ''}
         </div>
     `).join('');
 }
 
+/**
+ * Fotos de una categoría en el orden en que se tomaron
+ * @param {string} categoryId - ID de la categoría
+ * @returns {Array}
+ */
+function getCategoryPhotos(categoryId) {
+    return sortPhotosByCaptureTime(filterPhotosByCategory(photoManagerState.photos, categoryId));
+}
+
 /**
  * Muestra el estado vacío
  */
@@ -303,6 +619,7 @@ function showNoCategoriesMessage() {
 
 /**
  * Maneja la captura de foto con cámara
+ * Usa la cámara de la app; si no está disponible, la cámara del sistema
  */
 async function handleCapturePhoto() {
     if (!photoManagerState.currentCategoryId) {
@@ -310,6 +627,23 @@ async function handleCapturePhoto() {
         return;
     }
     
+    if (isCameraSupported()) {
+        try {
+            await openCamera({
+                categories: photoManagerState.currentEvent.categorias || [],
+                categoryId: photoManagerState.currentCategoryId,
+                onCapture: handleCameraCapture,
+                onCategoryChange: selectCategory
+            });
+            return;
+        } catch (error) {
+            console.error('❌ Error al abrir la cámara de la app:', error);
+            if (error.name === 'NotAllowedError') {
+                showMessage('Sin permiso para usar la cámara. Se abrirá la cámara del sistema', 'info', 3000);
+            }
+        }
+    }
+    
     try {
         showMessage('Abriendo cámara...', 'info', 2000);
         
@@ -322,6 +656,37 @@ async function handleCapturePhoto() {
     }
 }
 
+/**
+ * Recibe una foto de la cámara de la app y la agrega a la subida
+ * @param {File} file - Foto tomada
+ * @param {string} categoryId - Categoría elegida en la cámara
+ */
+function handleCameraCapture(file, categoryId) {
+    photoManagerState.capturedPhotos.push({
+        file,
+        categoryId,
+        eventId: photoManagerState.currentEvent.id
+    });
+    
+    uploadCapturedPhotos();
+}
+
+/**
+ * Sube las fotos de la cámara en lotes por categoría
+ * Las que se toman durante una subida esperan al siguiente lote
+ * (processAndAddPhoto vuelve a llamar esta función al terminar)
+ */
+async function uploadCapturedPhotos() {
+    const next = photoManagerState.capturedPhotos[0];
+    if (!next || photoManagerState.isUploading) return;
+    
+    const isSameBatch = item => item.categoryId === next.categoryId && item.eventId === next.eventId;
+    const files = photoManagerState.capturedPhotos.filter(isSameBatch).map(item => item.file);
+    photoManagerState.capturedPhotos = photoManagerState.capturedPhotos.filter(item => !isSameBatch(item));
+    
+    await processAndAddPhoto(files, { categoryId: next.categoryId, eventId: next.eventId });
+}
+
 /**
  * Maneja la selección múltiple de fotos
  */
@@ -332,7 +697,10 @@ async function handleSelectPhotos() {
     }
     
     try {
-        const files = await selectMultiplePhotos();
+        const selected = skipUnsupportedFiles(await selectMultiplePhotos());
+        const files = await skipDuplicateFiles(selected);
+        if (files.length === 0) return;
+        
         await processAndAddPhoto(files);
         
     } catch (error) {
@@ -343,11 +711,87 @@ async function handleSelectPhotos() {
     }
 }
 
+/**
+ * Descarta los archivos en formatos que no se pueden subir
+ * y pregunta si se continúa con los demás
+ * @param {FileList|Array} files - Archivos elegidos
+ * @returns {Array} - Archivos compatibles (vacío si se cancela)
+ */
+function skipUnsupportedFiles(files) {
+    const allFiles = Array.from(files);
+    const supported = allFiles.filter(isImageFile);
+    const unsupported = allFiles.filter(file => !isImageFile(file)).map(file => file.name);
+
+    if (unsupported.length === 0) return supported;
+
+    if (supported.length === 0) {
+        showMessage(`Formato no compatible: ${unsupported.join(', ')}. Usa JPG, PNG, WebP, GIF o HEIC`, 'error', 6000);
+        return [];
+    }
+
+    const proceed = window.confirm(
+        `No se pueden subir ${unsupported.join(', ')}: formato no compatible (usa JPG, PNG, WebP, GIF o HEIC).\n\n` +
+        'Aceptar: subir las demás\nCancelar: no subir nada'
+    );
+    return proceed ? supported : [];
+}
+
+/**
+ * Revisa si las fotos elegidas ya están en el evento (o se repiten en la selección)
+ * y pregunta si se omiten las repetidas
+ * @param {FileList|Array} files - Archivos elegidos
+ * @returns {Promise<Array>} - Archivos a subir
+ */
+async function skipDuplicateFiles(files) {
+    const allFiles = Array.from(files);
+    const images = allFiles.filter(isImageFile);
+    if (images.length === 0) return allFiles;
+    
+    showMessage('Buscando fotos repetidas...', 'info', 2000);
+    
+    // Las fotos en la cola offline también cuentan
+    const known = [
+        ...photoManagerState.photos,
+        ...photoManagerState.pendingPhotos.map(item => item.photo)
+    ];
+    const duplicates = [];
+    
+    for (const file of images) {
+        const hashes = await getFileHashes(file);
+        const match = findDuplicate(hashes, known);
+        
+        if (match) {
+            duplicates.push({ file, type: match.type });
+        } else {
+            known.push(hashes);
+        }
+    }
+    
+    if (duplicates.length === 0) return allFiles;
+    
+    const identical = duplicates.filter(item => item.type === DUPLICATE_TYPES.IDENTICA).length;
+    const similar = duplicates.length - identical;
+    const details = [
+        identical > 0 ? `${identical} idéntica(s)` : '',
+        similar > 0 ? `${similar} muy parecida(s)` : ''
+    ].filter(Boolean).join(' y ');
+    
+    const skip = window.confirm(
+        `${duplicates.length} de las fotos elegidas ya están en el evento o se repiten: ${details}.\n\n` +
+        'Aceptar: omitir las repetidas\nCancelar: subir todas'
+    );
+    if (!skip) return allFiles;
+    
+    const skipped = new Set(duplicates.map(item => item.file));
+    return allFiles.filter(file => !skipped.has(file));
+}
+
 /**
  * Procesa y agrega fotos
  * @param {FileList|Array} files - Archivos a procesar
+ * @param {Object} target - {categoryId, eventId} (por defecto, la categoría y el evento abiertos)
  */
-async function processAndAddPhoto(files) {
+async function processAndAddPhoto(files, target = {}) {
     if (photoManagerState.isUploading) {
         showMessage('Ya hay una carga en progreso', 'error');
         return;
@@ -356,64 +800,199 @@ async function processAndAddPhoto(files) {
     photoManagerState.isUploading = true;
     
     try {
-        showMessage(`Subiendo ${files.length} foto(s) a la nube...`, 'info');
-        
-        // Procesar y subir fotos a Firebase Storage
-        const newPhotos = await processMultipleFiles(
-            files, 
-            photoManagerState.currentCategoryId,
-            photoManagerState.currentEvent.id, // Pasar eventId
-            (current, total, photo) => {
-                showMessage(`Subiendo foto ${current} de ${total}...`, 'info', 1000);
+        const eventId = target.eventId || photoManagerState.currentEvent.id;
+        const categoryId = target.categoryId || photoManagerState.currentCategoryId;
+        let queuedCount = 0;
+        let savedCount = 0;
+        const unconvertedFiles = [];
+        const failedFiles = [];
+        
+        // Subir con concurrencia limitada; cada foto se registra al terminar
+        const batch = createUploadBatch(
+            files,
+            categoryId,
+            eventId,
+            {
+                onProgress: renderUploadProgress,
+                onFileComplete: async (photo) => {
+                    try {
+                        await addPhotoToEvent(eventId, photo);
+                        savedCount++;
+                        
+                        // El listener también la entrega; evitar duplicarla
+                        if (photoManagerState.currentEvent?.id === eventId &&
+                            !photoManagerState.photos.some(p => p.id === photo.id)) {
+                            photoManagerState.photos = [...photoManagerState.photos, photo];
+                            renderCurrentEvent();
+                        }
+                    } catch (error) {
+                        // La foto ya está en Storage: encolar solo el registro en el evento
+                        console.error('❌ Error al guardar la foto en el evento:', error);
+                        await enqueuePhotoRecord(eventId, photo);
+                        queuedCount++;
+                    }
+                },
+                onFailed: async (prepared) => {
+                    // La subida falló: guardar en la cola offline para reintentar
+                    await enqueuePhotoUpload(eventId, prepared);
+                    queuedCount++;
+                },
+                onError: (file, error) => {
+                    // No quedaron en la cola: se informan por nombre, las HEIC aparte
+                    if (error.code === HEIC_CONVERSION_ERROR) {
+                        unconvertedFiles.push(file.name);
+                    } else {
+                        failedFiles.push(file.name);
+                    }
+                }
             }
         );
         
-        if (newPhotos.length === 0) {
-            showMessage('No se pudo subir ninguna foto', 'error');
-            photoManagerState.isUploading = false;
-            return;
-        }
-        
-        // Agregar a las fotos del evento
-        photoManagerState.photos = [...photoManagerState.photos, ...newPhotos];
+        photoManagerState.uploadBatch = batch;
+        showUploadProgress();
         
-        // Guardar en Firestore (solo las URLs)
-        await savePhotosToEvent();
+        await batch.promise;
+        const summary = batch.getSummary();
         
-        // Re-renderizar
-        renderCategoryTabs(photoManagerState.currentEvent.categorias);
-        renderPhotosGrid(photoManagerState.currentCategoryId);
+        if (photoManagerState.currentEvent?.id === eventId) {
+            await refreshPendingPhotos();
+            
+            // Re-renderizar
+            renderCurrentEvent();
+        }
         
-        showMessage(`✅ ${newPhotos.length} foto(s) subida(s) correctamente`, 'success');
+        if (summary.state === BATCH_STATE.CANCELLED) {
+            showMessage(`Subida cancelada. ${savedCount} foto(s) guardada(s)`, 'info');
+        } else if (unconvertedFiles.length > 0 || failedFiles.length > 0) {
+            const results = [
+                savedCount > 0 ? `✅ ${savedCount} foto(s) subida(s)` : '',
+                queuedCount > 0 ? `📴 ${queuedCount} en cola offline` : '',
+                failedFiles.length > 0 ? `No se pudo subir ${failedFiles.join(', ')}` : '',
+                unconvertedFiles.length > 0 ? `No se pudo convertir ${unconvertedFiles.join(', ')}` : ''
+            ].filter(Boolean).join(' · ');
+            showMessage(results, 'error', 6000);
+        } else if (queuedCount > 0) {
+            showMessage(`📴 ${queuedCount} foto(s) guardada(s) sin conexión. Se subirán automáticamente al recuperar la señal`, 'info', 5000);
+        } else if (savedCount > 0) {
+            showMessage(`✅ ${savedCount} foto(s) subida(s) correctamente`, 'success');
+        } else {
+            showMessage('No se pudo subir ninguna foto', 'error');
+        }
         
     } catch (error) {
         console.error('❌ Error al procesar fotos:', error);
         showMessage('Error al subir las fotos', 'error');
     } finally {
         photoManagerState.isUploading = false;
+        photoManagerState.uploadBatch = null;
+        hideUploadProgress();
+        
+        // Fotos que se tomaron con la cámara durante esta subida
+        uploadCapturedPhotos();
+    }
+}
+
+/* ===================================
+   PROGRESO DE SUBIDA
+   =================================== */
+
+/**
+ * Muestra el panel de progreso
+ */
+function showUploadProgress() {
+    if (uploadProgressPanel) {
+        uploadProgressPanel.classList.remove('hidden');
+    }
+}
+
+/**
+ * Oculta el panel de progreso
+ */
+function hideUploadProgress() {
+    if (uploadProgressPanel) {
+        uploadProgressPanel.classList.add('hidden');
+    }
+}
+
+/**
+ * Actualiza el panel con el resumen del lote
+ * @param {Object} summary - Resumen de createUploadBatch
+ */
+function renderUploadProgress(summary) {
+    if (!uploadProgressPanel) return;
+    
+    const processed = summary.completed + summary.offline + summary.failed + summary.cancelled;
+    const titles = {
+        [BATCH_STATE.RUNNING]: 'Subiendo fotos...',
+        [BATCH_STATE.PAUSED]: 'Subida en pausa',
+        [BATCH_STATE.CANCELLED]: 'Cancelando...',
+        [BATCH_STATE.DONE]: 'Subida terminada'
+    };
+    
+    uploadProgressTitle.textContent = titles[summary.state];
+    uploadProgressPercent.textContent = `${summary.percent}%`;
+    uploadProgressBar.style.width = `${summary.percent}%`;
+    uploadProgressPanel.classList.toggle('paused', summary.state === BATCH_STATE.PAUSED);
+    
+    const offlineText = summary.offline > 0 ? ` · ${summary.offline} en cola offline` : '';
+    const failedText = summary.failed > 0 ? ` · ${summary.failed} con error` : '';
+    uploadProgressDetail.textContent = 
+        `${processed} de ${summary.total} fotos · ` +
+        `${formatBytes(summary.bytesTransferred)} de ${formatBytes(summary.totalBytes)}${offlineText}${failedText}`;
+    
+    pauseUploadBtn.textContent = summary.state === BATCH_STATE.PAUSED ? 'Reanudar' : 'Pausar';
+    pauseUploadBtn.disabled = summary.state === BATCH_STATE.CANCELLED || summary.state === BATCH_STATE.DONE;
+    cancelUploadBtn.disabled = pauseUploadBtn.disabled;
+}
+
+/**
+ * Pausa o reanuda la subida en curso
+ */
+function handleTogglePauseUpload() {
+    const batch = photoManagerState.uploadBatch;
+    if (!batch) return;
+    
+    if (batch.getSummary().state === BATCH_STATE.PAUSED) {
+        batch.resume();
+    } else {
+        batch.pause();
     }
 }
 
+/**
+ * Cancela la subida en curso (las fotos ya subidas se conservan)
+ */
+function handleCancelUpload() {
+    const batch = photoManagerState.uploadBatch;
+    if (!batch) return;
+    
+    const confirm = window.confirm('¿Cancelar la subida? Las fotos que ya terminaron se conservan.');
+    if (!confirm) return;
+    
+    batch.cancel();
+}
+
 /**
  * Elimina una foto
  * @param {string} photoId - ID de la foto
  */
 window.deletePhoto = async function(photoId) {
+    if (!hasPermission(PERMISSIONS.EDITAR_FOTOS)) return;
+    
     const confirm = window.confirm('¿Eliminar esta foto?');
     if (!confirm) return;
     
     try {
         console.log('🗑️ Eliminando foto:', photoId);
         
+        // Eliminar el registro de Firestore
+        await deletePhotoFromEvent(photoManagerState.currentEvent.id, photoId);
+        
         // Eliminar del array Y de Storage (esperar a que termine)
         photoManagerState.photos = await removePhotoById(photoManagerState.photos, photoId);
         
-        // Guardar en Firestore
-        await savePhotosToEvent();
-        
         // Re-renderizar
-        renderCategoryTabs(photoManagerState.currentEvent.categorias);
-        renderPhotosGrid(photoManagerState.currentCategoryId);
+        renderCurrentEvent();
         
         showMessage('Foto eliminada', 'success');
         
@@ -424,44 +1003,687 @@ window.deletePhoto = async function(photoId) {
 };
 
 /* ===================================
-   GUARDAR EN FIRESTORE
+   VISOR DE FOTOS
+   =================================== */
+
+/**
+ * Abre el visor con las fotos de la categoría actual
+ * @param {string} photoId - Foto a mostrar
+ */
+window.openPhotoInViewer = function(photoId) {
+    openPhotoViewer({
+        photos: getCategoryPhotos(photoManagerState.currentCategoryId),
+        photoId,
+        categories: photoManagerState.currentEvent?.categorias || [],
+        actions: {
+            onDelete: photo => window.deletePhoto(photo.id),
+            onEditCaption: photo => window.editPhotoCaption(photo.id),
+            onMove: movePhotoToCategory
+        }
+    });
+};
+
+/**
+ * Mueve una foto a otra categoría del evento
+ * @param {Object} photo - Foto
+ * @param {string} categoryId - Categoría destino
+ */
+async function movePhotoToCategory(photo, categoryId) {
+    if (!hasPermission(PERMISSIONS.EDITAR_FOTOS)) return;
+    
+    const category = photoManagerState.currentEvent?.categorias?.find(cat => cat.id === categoryId);
+    if (!category) return;
+    
+    await updateEventPhoto(photoManagerState.currentEvent.id, photo.id, { categoryId });
+    
+    photoManagerState.photos = photoManagerState.photos.map(p =>
+        p.id === photo.id ? { ...p, categoryId } : p
+    );
+    renderCurrentEvent();
+    
+    showMessage(`Foto movida a ${category.nombre}`, 'success');
+}
+
+/* ===================================
+   MOVER Y COPIAR FOTOS
+   =================================== */
+
+/**
+ * Activa la selección de fotos de la categoría actual
+ */
+function enterSelectionMode() {
+    if (!hasPermission(PERMISSIONS.EDITAR_FOTOS)) return;
+    
+    photoManagerState.isSelecting = true;
+    photoManagerState.selectedPhotoIds.clear();
+    toggleSelectionBtn?.classList.add('active');
+    photoSelectionBar?.classList.remove('hidden');
+    
+    renderPhotosGrid(photoManagerState.currentCategoryId);
+}
+
+/**
+ * Sale del modo de selección
+ */
+function exitSelectionMode() {
+    photoManagerState.isSelecting = false;
+    photoManagerState.selectedPhotoIds.clear();
+    toggleSelectionBtn?.classList.remove('active');
+    photoSelectionBar?.classList.add('hidden');
+    
+    if (photoManagerState.currentCategoryId) {
+        renderPhotosGrid(photoManagerState.currentCategoryId);
+    }
+}
+
+/**
+ * Marca o desmarca una foto
+ * @param {string} photoId - ID de la foto
+ */
+window.togglePhotoSelection = function(photoId) {
+    const { selectedPhotoIds } = photoManagerState;
+    
+    if (selectedPhotoIds.has(photoId)) {
+        selectedPhotoIds.delete(photoId);
+    } else {
+        selectedPhotoIds.add(photoId);
+    }
+    
+    photosGridContainer
+        ?.querySelector(`.photo-card[data-photo-id="${photoId}"]`)
+        ?.classList.toggle('selected', selectedPhotoIds.has(photoId));
+    updateSelectionBar();
+};
+
+/**
+ * Selecciona todas las fotos de la categoría (o las suelta si ya lo estaban)
+ */
+function handleSelectAllPhotos() {
+    const photos = filterPhotosByCategory(photoManagerState.photos, photoManagerState.currentCategoryId);
+    const { selectedPhotoIds } = photoManagerState;
+    const allSelected = photos.length > 0 && photos.every(p => selectedPhotoIds.has(p.id));
+    
+    selectedPhotoIds.clear();
+    if (!allSelected) {
+        photos.forEach(p => selectedPhotoIds.add(p.id));
+    }
+    
+    renderPhotosGrid(photoManagerState.currentCategoryId);
+}
+
+/**
+ * Actualiza el contador y los botones de la barra de selección
+ */
+function updateSelectionBar() {
+    if (!photoSelectionBar) return;
+    
+    const count = photoManagerState.selectedPhotoIds.size;
+    photoSelectionCount.textContent = count === 1 ? '1 seleccionada' : `${count} seleccionadas`;
+    document.getElementById('movePhotosBtn').disabled = count === 0;
+    document.getElementById('copyPhotosBtn').disabled = count === 0;
+}
+
+/**
+ * Abre el modal para elegir el evento y la categoría destino
+ * @param {string} mode - Opción de TRANSFER_MODES
+ */
+async function openTransferModal(mode) {
+    if (photoManagerState.selectedPhotoIds.size === 0) return;
+    
+    const currentEvent = photoManagerState.currentEvent;
+    const isCopy = mode === TRANSFER_MODES.COPY;
+    photoManagerState.transferMode = mode;
+    
+    document.getElementById('transferPhotosTitle').textContent = isCopy ? 'Copiar fotos' : 'Mover fotos';
+    document.getElementById('confirmTransferPhotosBtn').textContent = isCopy ? 'Copiar' : 'Mover';
+    
+    // Mientras cargan los demás eventos, el actual ya está disponible
+    photoManagerState.transferEvents = [currentEvent];
+    photoManagerState.transferCursor = null;
+    photoManagerState.transferHasMore = false;
+    transferEventSelect.innerHTML = '';
+    renderTransferEventOptions();
+    openModal('transferPhotosModal');
+    
+    await loadTransferEvents();
+}
+
+/**
+ * Agrega al selector la siguiente página de eventos destino
+ */
+async function loadTransferEvents() {
+    if (photoManagerState.isLoadingTransferEvents) return;
+    
+    photoManagerState.isLoadingTransferEvents = true;
+    updateLoadMoreTransferEventsBtn();
+    
+    try {
+        const page = await getEventsPage({ cursor: photoManagerState.transferCursor });
+        const knownIds = new Set(photoManagerState.transferEvents.map(event => event.id));
+        
+        // Los eventos sin sincronizar todavía no pueden recibir fotos
+        photoManagerState.transferEvents = [
+            ...photoManagerState.transferEvents,
+            ...page.events.filter(event =>
+                !knownIds.has(event.id) &&
+                !isLocalEventId(event.id) &&
+                event.categorias?.length > 0
+            )
+        ];
+        photoManagerState.transferCursor = page.cursor;
+        photoManagerState.transferHasMore = page.hasMore;
+        
+        renderTransferEventOptions();
+    } finally {
+        photoManagerState.isLoadingTransferEvents = false;
+        updateLoadMoreTransferEventsBtn();
+    }
+}
+
+/**
+ * Muestra el botón para cargar más eventos mientras queden páginas
+ */
+function updateLoadMoreTransferEventsBtn() {
+    if (!loadMoreTransferEventsBtn) return;
+    
+    loadMoreTransferEventsBtn.classList.toggle('hidden',
+        !photoManagerState.transferHasMore && !photoManagerState.isLoadingTransferEvents);
+    loadMoreTransferEventsBtn.disabled = photoManagerState.isLoadingTransferEvents;
+    loadMoreTransferEventsBtn.textContent = photoManagerState.isLoadingTransferEvents
+        ? 'Cargando eventos...'
+        : 'Cargar más eventos';
+}
+
+/**
+ * Cierra el modal de mover o copiar
+ */
+function closeTransferModal() {
+    closeModal('transferPhotosModal');
+}
+
+/**
+ * Llena el selector de eventos destino (conserva el elegido)
+ */
+function renderTransferEventOptions() {
+    if (!transferEventSelect) return;
+    
+    const currentEventId = photoManagerState.currentEvent?.id;
+    const selected = transferEventSelect.value || currentEventId;
+    
+    transferEventSelect.innerHTML = photoManagerState.transferEvents.map(event => `
+        <option value="${event.id}" ${event.id === selected ? 'selected' : ''}>
+            ${sanitizeString(event.nombre)}${event.id === currentEventId ? ' (este evento)' : ''}
+        </option>
+    `).join('');
+    
+    renderTransferCategoryOptions();
+}
+
+/**
+ * Llena el selector de categorías del evento destino
+ */
+function renderTransferCategoryOptions() {
+    if (!transferCategorySelect) return;
+    
+    const targetEvent = photoManagerState.transferEvents.find(event => event.id === transferEventSelect.value);
+    const isSameEvent = targetEvent?.id === photoManagerState.currentEvent?.id;
+    
+    // Mover a la misma categoría no cambiaría nada
+    const categories = (targetEvent?.categorias || []).filter(cat =>
+        !(isSameEvent && photoManagerState.transferMode === TRANSFER_MODES.MOVE &&
+          cat.id === photoManagerState.currentCategoryId)
+    );
+    
+    transferCategorySelect.innerHTML = categories.map(cat => `
+        <option value="${cat.id}">${sanitizeString(cat.nombre)}</option>
+    `).join('');
+    
+    document.getElementById('confirmTransferPhotosBtn').disabled = categories.length === 0;
+}
+
+/**
+ * Mueve o copia las fotos seleccionadas al destino elegido
+ * @param {Event} e - Evento submit
+ */
+async function handleTransferPhotos(e) {
+    e.preventDefault();
+    
+    if (!hasPermission(PERMISSIONS.EDITAR_FOTOS)) return;
+    
+    const sourceEvent = photoManagerState.currentEvent;
+    const targetEvent = photoManagerState.transferEvents.find(event => event.id === transferEventSelect.value);
+    const category = targetEvent?.categorias?.find(cat => cat.id === transferCategorySelect.value);
+    const photos = photoManagerState.photos.filter(p => photoManagerState.selectedPhotoIds.has(p.id));
+    
+    if (!targetEvent || !category || photos.length === 0) return;
+    
+    // Las escrituras en lote y la copia de archivos necesitan conexión
+    if (!navigator.onLine) {
+        showMessage('Se necesita conexión para mover o copiar fotos', 'error');
+        return;
+    }
+    
+    const isCopy = photoManagerState.transferMode === TRANSFER_MODES.COPY;
+    const isSameEvent = targetEvent.id === sourceEvent.id;
+    const confirmBtn = document.getElementById('confirmTransferPhotosBtn');
+    const confirmText = confirmBtn.textContent;
+    
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = isCopy ? 'Copiando...' : 'Moviendo...';
+    
+    try {
+        if (isCopy) {
+            // Una por una para no saturar la conexión móvil
+            const copies = [];
+            try {
+                for (const photo of photos) {
+                    copies.push(await copyPhotoInStorage(photo, targetEvent.id, category.id));
+                }
+                await addPhotosToEvent(targetEvent.id, copies);
+            } catch (error) {
+                // Los archivos ya copiados no quedaron en ningún evento: borrarlos
+                for (const copy of copies) {
+                    await removePhotoById(copies, copy.id);
+                }
+                throw error;
+            }
+            
+            // El listener también las entrega; evitar duplicarlas
+            if (isSameEvent) {
+                const newCopies = copies.filter(copy => !photoManagerState.photos.some(p => p.id === copy.id));
+                photoManagerState.photos = [...photoManagerState.photos, ...newCopies];
+            }
+        } else if (isSameEvent) {
+            await movePhotosToCategory(sourceEvent.id, photos.map(p => p.id), category.id);
+            
+            photoManagerState.photos = photoManagerState.photos.map(p =>
+                photoManagerState.selectedPhotoIds.has(p.id) ? { ...p, categoryId: category.id } : p
+            );
+        } else {
+            await movePhotosToEvent(sourceEvent.id, photos, targetEvent.id, category.id);
+            
+            photoManagerState.photos = photoManagerState.photos.filter(p => !photoManagerState.selectedPhotoIds.has(p.id));
+        }
+        
+        closeTransferModal();
+        exitSelectionMode();
+        renderCurrentEvent();
+        
+        const action = isCopy ? 'copiada(s)' : 'movida(s)';
+        const destination = isSameEvent ? category.nombre : `${category.nombre} de ${targetEvent.nombre}`;
+        showMessage(`${photos.length} foto(s) ${action} a ${destination}`, 'success');
+        
+    } catch (error) {
+        console.error(`❌ Error al ${photoManagerState.transferMode} fotos:`, error);
+        showMessage(isCopy ? 'Error al copiar las fotos' : 'Error al mover las fotos', 'error');
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = confirmText;
+    }
+}
+
+/* ===================================
+   DESCRIPCIONES
    =================================== */
 
 /**
- * Guarda las fotos en el evento
+ * Abre el editor de descripción de una foto
+ * @param {string} photoId - ID de la foto
+ */
+window.editPhotoCaption = function(photoId) {
+    if (!hasPermission(PERMISSIONS.EDITAR_FOTOS)) return;
+    
+    const photo = photoManagerState.photos.find(p => p.id === photoId);
+    if (!photo) return;
+    
+    photoManagerState.editingPhotoId = photoId;
+    
+    if (captionPreview) captionPreview.src = photo.url;
+    if (captionInput) captionInput.value = photo.caption || '';
+    
+    openModal('captionModal');
+    captionInput?.focus();
+};
+
+/**
+ * Cierra el editor de descripción
  */
-async function savePhotosToEvent() {
+function closeCaptionEditor() {
+    photoManagerState.editingPhotoId = null;
+    closeModal('captionModal');
+    
+    // closeModal libera el scroll, pero el visor sigue abierto debajo
+    if (isPhotoViewerOpen()) {
+        document.body.style.overflow = 'hidden';
+    }
+}
+
+/**
+ * Guarda la descripción de la foto en edición
+ * @param {Event} e - Evento submit
+ */
+async function handleSaveCaption(e) {
+    e.preventDefault();
+    
+    const photoId = photoManagerState.editingPhotoId;
+    const photo = photoManagerState.photos.find(p => p.id === photoId);
+    if (!photo) return;
+    
+    const caption = captionInput.value.trim();
+    
+    if (caption === (photo.caption || '')) {
+        closeCaptionEditor();
+        return;
+    }
+    
+    const saveBtn = document.getElementById('saveCaptionBtn');
+    if (saveBtn) saveBtn.disabled = true;
+    
     try {
-        await updateEvent(photoManagerState.currentEvent.id, {
-            fotos: photoManagerState.photos
-        });
+        await updateEventPhoto(photoManagerState.currentEvent.id, photoId, { caption });
+        
+        photo.caption = caption;
+        renderPhotosGrid(photoManagerState.currentCategoryId);
+        closeCaptionEditor();
         
-        console.log('✅ Fotos guardadas en Firestore');
+        showMessage('Descripción guardada', 'success');
     } catch (error) {
-        console.error('❌ Error al guardar fotos:', error);
-        throw error;
+        console.error('❌ Error al guardar descripción:', error);
+        showMessage('Error al guardar la descripción', 'error');
+    } finally {
+        if (saveBtn) saveBtn.disabled = false;
     }
 }
 
 /* ===================================
-   NAVEGACIÓN
+   FOTOS REPETIDAS
    =================================== */
 
 /**
- * Vuelve a la lista de eventos
+ * Busca y agrupa las fotos repetidas de todo el evento
  */
-async function handleBackToEvents() {
-    // Guardar antes de salir
+async function handleFindDuplicates() {
+    const container = document.getElementById('duplicatesContainer');
+    if (!container || !photoManagerState.currentEvent) return;
+    
+    container.innerHTML = `
+        <div class="duplicates-loading">
+            <span class="spinner"></span>
+            Comparando fotos...
+        </div>
+    `;
+    openModal('duplicatesModal');
+    
+    await loadMissingPerceptualHashes();
+    renderDuplicateGroups();
+}
+
+/**
+ * Calcula el dHash de las fotos subidas antes de guardar hashes, a partir de su miniatura
+ * (queda en memoria; el dHash casi no cambia al reducir la imagen)
+ */
+async function loadMissingPerceptualHashes() {
+    const { perceptualHashes } = photoManagerState;
+    const missing = photoManagerState.photos.filter(photo =>
+        !photo.perceptualHash && !perceptualHashes.has(photo.id) && photo.url
+    );
+    
+    for (const photo of missing) {
+        try {
+            const response = await fetch(getThumbnailUrl(photo));
+            perceptualHashes.set(photo.id, await computePerceptualHash(await response.blob()));
+        } catch (error) {
+            console.warn(`⚠️ No se pudo comparar la foto ${photo.id}:`, error);
+            perceptualHashes.set(photo.id, null);
+        }
+    }
+}
+
+/**
+ * Renderiza los grupos de fotos repetidas en el modal
+ */
+function renderDuplicateGroups() {
+    const container = document.getElementById('duplicatesContainer');
+    if (!container) return;
+    
+    const photos = sortPhotosByCaptureTime(photoManagerState.photos).map(photo => ({
+        ...photo,
+        perceptualHash: photo.perceptualHash || photoManagerState.perceptualHashes.get(photo.id) || null
+    }));
+    
+    const groups = groupSimilarPhotos(photos);
+    photoManagerState.duplicateGroups = groups;
+    
+    if (groups.length === 0) {
+        container.innerHTML = '<p class="duplicates-summary">No se encontraron fotos repetidas en este evento.</p>';
+        return;
+    }
+    
+    const canEdit = hasPermission(PERMISSIONS.EDITAR_FOTOS);
+    const categories = photoManagerState.currentEvent?.categorias || [];
+    const extraCount = groups.reduce((sum, group) => sum + group.length - 1, 0);
+    
+    container.innerHTML = `
+        <p class="duplicates-summary">
+            ${groups.length} grupo(s) con ${extraCount} foto(s) de más. En cada grupo la primera es la más antigua.
+        </p>
+        ${groups.map((group, index) => {
+            const isIdentical = group.every(photo => compareHashes(group[0], photo) === DUPLICATE_TYPES.IDENTICA);
+            
+            return `
+                <div class="duplicate-group">
+                    <div class="duplicate-group-header">
+                        <span>${group.length} fotos ${isIdentical ? 'idénticas' : 'parecidas'}</span>
+                        ${canEdit ? `<button type="button" class="btn-upload-control danger" onclick="deleteDuplicateGroup(${index})">Conservar solo la primera</button>` : ''}
+                    </div>
+                    <div class="duplicate-group-photos">
+                        ${group.map(photo => {
+                            const category = categories.find(cat => cat.id === photo.categoryId);
+                            
+                            return `
+                                <div class="duplicate-photo">
+                                    <img src="${getThumbnailUrl(photo)}" alt="${photo.fileName}" loading="lazy">
+                                    <span>${category ? sanitizeString(category.nombre) : 'Sin categoría'}</span>
+                                    ${canEdit ? `<button type="button" class="duplicate-photo-delete" onclick="deleteDuplicatePhoto('${photo.id}')">Eliminar</button>` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+/**
+ * Elimina una foto desde el modal de repetidas
+ * @param {string} photoId - ID de la foto
+ */
+window.deleteDuplicatePhoto = async function(photoId) {
+    await window.deletePhoto(photoId);
+    renderDuplicateGroups();
+};
+
+/**
+ * Elimina todas las fotos de un grupo menos la primera
+ * @param {number} groupIndex - Posición del grupo
+ */
+window.deleteDuplicateGroup = async function(groupIndex) {
+    if (!hasPermission(PERMISSIONS.EDITAR_FOTOS)) return;
+    
+    const group = photoManagerState.duplicateGroups[groupIndex];
+    if (!group) return;
+    
+    const extra = group.slice(1);
+    const confirm = window.confirm(`¿Eliminar ${extra.length} foto(s) repetida(s) y conservar la primera?`);
+    if (!confirm) return;
+    
+    const eventId = photoManagerState.currentEvent.id;
+    let deletedCount = 0;
+    
+    for (const photo of extra) {
+        try {
+            await deletePhotoFromEvent(eventId, photo.id);
+            photoManagerState.photos = await removePhotoById(photoManagerState.photos, photo.id);
+            deletedCount++;
+        } catch (error) {
+            console.error('❌ Error al eliminar foto repetida:', error);
+        }
+    }
+    
+    renderCurrentEvent();
+    renderDuplicateGroups();
+    
+    if (deletedCount === extra.length) {
+        showMessage(`${deletedCount} foto(s) repetida(s) eliminada(s)`, 'success');
+    } else {
+        showMessage(`Se eliminaron ${deletedCount} de ${extra.length} fotos`, 'error');
+    }
+};
+
+/* ===================================
+   MINIATURAS
+   =================================== */
+
+/**
+ * Genera las miniaturas que faltan en las fotos del evento abierto
+ * (fotos subidas antes de existir las miniaturas). Corre una foto a la vez
+ * y se detiene si se cambia de evento
+ */
+async function backfillThumbnails() {
+    const event = photoManagerState.currentEvent;
+    
+    if (photoManagerState.isBackfillingThumbnails || !event || isLocalEventId(event.id)) return;
+    if (!hasPermission(PERMISSIONS.EDITAR_FOTOS) || !navigator.onLine) return;
+    
+    const missing = photoManagerState.photos.filter(photo => photo.url && !photo.thumbnailUrl);
+    if (missing.length === 0) return;
+    
+    console.log(`🖼️ Generando ${missing.length} miniatura(s) faltante(s)...`);
+    photoManagerState.isBackfillingThumbnails = true;
+    
     try {
-        await savePhotosToEvent();
+        for (const photo of missing) {
+            if (photoManagerState.currentEvent?.id !== event.id || !navigator.onLine) break;
+            
+            const thumbnail = await createMissingThumbnail(photo, event.id);
+            if (!thumbnail) continue;
+            
+            await savePhotoThumbnail(event.id, photo.id, thumbnail);
+            
+            if (photoManagerState.currentEvent?.id === event.id) {
+                photoManagerState.photos = photoManagerState.photos.map(p =>
+                    p.id === photo.id ? { ...p, ...thumbnail } : p
+                );
+            }
+        }
+        
+        if (photoManagerState.currentEvent?.id === event.id) {
+            renderCurrentEvent();
+        }
     } catch (error) {
-        console.error('Error al guardar:', error);
+        console.error('❌ Error al completar miniaturas:', error);
+    } finally {
+        photoManagerState.isBackfillingThumbnails = false;
+    }
+}
+
+/* ===================================
+   COLA OFFLINE
+   =================================== */
+
+/**
+ * Recarga las fotos pendientes del evento actual desde la cola offline
+ */
+async function refreshPendingPhotos() {
+    // Liberar las vistas previas anteriores
+    photoManagerState.pendingPhotos.forEach(item => {
+        if (item.previewUrl && item.previewUrl.startsWith('blob:')) {
+            URL.revokeObjectURL(item.previewUrl);
+        }
+    });
+    
+    if (!photoManagerState.currentEvent) {
+        photoManagerState.pendingPhotos = [];
+        return;
+    }
+    
+    const items = await getQueuedUploads(photoManagerState.currentEvent.id);
+    
+    photoManagerState.pendingPhotos = items.map(item => ({
+        ...item,
+        previewUrl: item.blob ? URL.createObjectURL(item.blob) : item.photo.url
+    }));
+}
+
+/**
+ * Texto de ayuda de una foto pendiente
+ * @param {Object} item - Elemento de la cola
+ * @returns {string}
+ */
+function getPendingPhotoTitle(item) {
+    if (item.failed) return `No se pudo subir: ${item.lastError}. Descártala para liberar espacio`;
+    return item.lastError ? `Último error: ${item.lastError}` : 'Se subirá al recuperar la conexión';
+}
+
+/**
+ * Obtiene los objetos de foto de los elementos pendientes
+ * @returns {Array}
+ */
+function getPendingPhotoObjects() {
+    return photoManagerState.pendingPhotos.map(item => item.photo);
+}
+
+/**
+ * Reacciona a los cambios de la cola offline
+ * @param {CustomEvent} e - Evento uploadQueueChanged
+ */
+async function handleUploadQueueChange(e) {
+    const { action, item } = e.detail;
+    const currentEvent = photoManagerState.currentEvent;
+    
+    if (!currentEvent) return;
+    if (item.eventId && resolveEventId(item.eventId) !== resolveEventId(currentEvent.id)) return;
+    
+    // Una foto de la cola terminó de subirse: agregarla al estado
+    if (action === 'completed' && !photoManagerState.photos.some(p => p.id === item.photo.id)) {
+        photoManagerState.photos = [...photoManagerState.photos, item.photo];
     }
     
+    await refreshPendingPhotos();
+    
+    renderCurrentEvent();
+}
+
+/**
+ * Descarta una foto pendiente de la cola offline
+ * @param {string} photoId - ID de la foto en cola
+ */
+window.cancelPendingPhoto = async function(photoId) {
+    const confirm = window.confirm('Esta foto aún no se ha subido. ¿Descartarla?');
+    if (!confirm) return;
+    
+    await removeQueuedUpload(photoId);
+    showMessage('Foto pendiente descartada', 'success');
+};
+
+/* ===================================
+   NAVEGACIÓN
+   =================================== */
+
+/**
+ * Vuelve a la lista de eventos
+ */
+async function handleBackToEvents() {
     // Limpiar estado
+    closeCamera();
+    closePhotoViewer();
+    exitSelectionMode();
+    stopLiveSync();
     photoManagerState.currentEvent = null;
     photoManagerState.currentCategoryId = null;
     photoManagerState.photos = [];
+    await refreshPendingPhotos();
     
     // Navegar y recargar eventos
     window.navigateToView('homeView');
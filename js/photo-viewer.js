@@ -0,0 +1,615 @@
+/* ===================================
+   VISOR DE FOTOS - T&C GROUP
+   Pantalla completa con deslizamiento, zoom y acciones por foto
+   =================================== */
+
+import { formatBytes, sanitizeString, showMessage } from './utils.js';
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const DOUBLE_TAP_SCALE = 2.5;
+const SWIPE_THRESHOLD_PX = 60;
+const DOUBLE_TAP_MS = 300;
+const TAP_TOLERANCE_PX = 10;
+
+/* ===================================
+   ESTADO DEL VISOR
+   =================================== */
+
+const viewerState = {
+    isOpen: false,
+    photos: [],        // Fotos de la categoría que se está viendo
+    index: 0,
+    categories: [],
+    actions: {},       // {onDelete, onMove, onEditCaption}
+    scale: 1,
+    translateX: 0,
+    translateY: 0,
+    pointers: new Map(), // Dedos/punteros activos: pointerId → {x, y}
+    gesture: null,       // Gesto en curso (arrastre o pellizco)
+    lastTapAt: 0
+};
+
+/* ===================================
+   ELEMENTOS DEL DOM
+   =================================== */
+
+let photoViewer;
+let viewerStage;
+let viewerImage;
+let viewerCounter;
+let viewerCaption;
+let viewerMeta;
+let viewerDetails;
+let viewerCategorySelect;
+let viewerPrevBtn;
+let viewerNextBtn;
+
+/* ===================================
+   INICIALIZACIÓN
+   =================================== */
+
+/**
+ * Inicializa el visor de fotos
+ */
+export function initPhotoViewer() {
+    photoViewer = document.getElementById('photoViewer');
+    viewerStage = document.getElementById('photoViewerStage');
+    viewerImage = document.getElementById('photoViewerImage');
+    viewerCounter = document.getElementById('photoViewerCounter');
+    viewerCaption = document.getElementById('photoViewerCaption');
+    viewerMeta = document.getElementById('photoViewerMeta');
+    viewerDetails = document.getElementById('photoViewerDetails');
+    viewerCategorySelect = document.getElementById('photoViewerCategory');
+    viewerPrevBtn = document.getElementById('photoViewerPrev');
+    viewerNextBtn = document.getElementById('photoViewerNext');
+
+    if (!photoViewer) return;
+
+    document.getElementById('closePhotoViewer')?.addEventListener('click', closePhotoViewer);
+    document.getElementById('photoViewerInfoBtn')?.addEventListener('click', toggleDetails);
+    document.getElementById('photoViewerDownloadBtn')?.addEventListener('click', handleDownload);
+    document.getElementById('photoViewerCaptionBtn')?.addEventListener('click', handleEditCaption);
+    document.getElementById('photoViewerDeleteBtn')?.addEventListener('click', handleDelete);
+
+    viewerPrevBtn?.addEventListener('click', () => showPhoto(viewerState.index - 1));
+    viewerNextBtn?.addEventListener('click', () => showPhoto(viewerState.index + 1));
+    viewerCategorySelect?.addEventListener('change', handleMove);
+
+    // Gestos: deslizar, pellizcar y doble toque
+    viewerStage.addEventListener('pointerdown', handlePointerDown);
+    viewerStage.addEventListener('pointermove', handlePointerMove);
+    viewerStage.addEventListener('pointerup', handlePointerUp);
+    viewerStage.addEventListener('pointercancel', handlePointerUp);
+    viewerStage.addEventListener('wheel', handleWheel, { passive: false });
+
+    document.addEventListener('keydown', handleKeydown);
+}
+
+/* ===================================
+   APERTURA Y CIERRE
+   =================================== */
+
+/**
+ * Abre el visor en una foto
+ * @param {Object} options - {photos, photoId, categories, actions}
+ * @param {Array} options.photos - Fotos entre las que se puede deslizar
+ * @param {string} options.photoId - Foto inicial
+ * @param {Array} options.categories - Categorías del evento (para mover la foto)
+ * @param {Object} options.actions - {onDelete, onMove, onEditCaption}, cada una recibe la foto
+ */
+export function openPhotoViewer({ photos, photoId, categories = [], actions = {} }) {
+    if (!photoViewer || photos.length === 0) return;
+
+    viewerState.photos = photos;
+    viewerState.categories = categories;
+    viewerState.actions = actions;
+    viewerState.isOpen = true;
+
+    renderCategoryOptions();
+
+    photoViewer.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+
+    showPhoto(Math.max(0, photos.findIndex(photo => photo.id === photoId)));
+}
+
+/**
+ * Cierra el visor
+ */
+export function closePhotoViewer() {
+    if (!viewerState.isOpen) return;
+
+    viewerState.isOpen = false;
+    viewerState.photos = [];
+    viewerState.pointers.clear();
+    viewerState.gesture = null;
+
+    photoViewer.classList.add('hidden');
+    document.body.style.overflow = '';
+    viewerImage.removeAttribute('src');
+}
+
+/**
+ * Indica si el visor está abierto
+ * @returns {boolean}
+ */
+export function isPhotoViewerOpen() {
+    return viewerState.isOpen;
+}
+
+/**
+ * Actualiza las fotos del visor abierto (altas, bajas o cambios en otro dispositivo)
+ * Conserva la foto actual si sigue existiendo
+ * @param {Array} photos - Fotos actuales
+ * @param {Array} categories - Categorías actuales (opcional)
+ */
+export function updatePhotoViewerPhotos(photos, categories = viewerState.categories) {
+    if (!viewerState.isOpen) return;
+
+    if (photos.length === 0) {
+        closePhotoViewer();
+        return;
+    }
+
+    const currentId = getCurrentPhoto()?.id;
+    const newIndex = photos.findIndex(photo => photo.id === currentId);
+
+    viewerState.photos = photos;
+    viewerState.categories = categories;
+    renderCategoryOptions();
+
+    if (newIndex !== -1) {
+        viewerState.index = newIndex;
+        renderPhotoDetails();
+        renderNavigation();
+    } else {
+        // La foto actual ya no está: mostrar la que quedó en su lugar
+        showPhoto(Math.min(viewerState.index, photos.length - 1));
+    }
+}
+
+/* ===================================
+   RENDER
+   =================================== */
+
+/**
+ * Obtiene la foto que se está viendo
+ * @returns {Object|null}
+ */
+function getCurrentPhoto() {
+    return viewerState.photos[viewerState.index] || null;
+}
+
+/**
+ * Muestra la foto en la posición indicada
+ * @param {number} index - Posición en viewerState.photos
+ */
+function showPhoto(index) {
+    if (index < 0 || index >= viewerState.photos.length) {
+        resetZoom();
+        return;
+    }
+
+    viewerState.index = index;
+    const photo = getCurrentPhoto();
+
+    resetZoom();
+    viewerImage.src = photo.url;
+    viewerImage.alt = photo.caption || photo.fileName || 'Foto';
+
+    renderPhotoDetails();
+    renderNavigation();
+    preloadNeighbors();
+}
+
+/**
+ * Muestra contador, descripción y datos de la foto actual
+ */
+function renderPhotoDetails() {
+    const photo = getCurrentPhoto();
+    if (!photo) return;
+
+    viewerCounter.textContent = `${viewerState.index + 1} de ${viewerState.photos.length}`;
+
+    viewerCaption.textContent = photo.caption || '';
+    viewerCaption.classList.toggle('hidden', !photo.caption);
+
+    const category = viewerState.categories.find(cat => cat.id === photo.categoryId);
+    const rows = [
+        ['Archivo', photo.fileName],
+        ['Tamaño', photo.fileSize ? formatBytes(photo.fileSize) : ''],
+        ['Dimensiones', photo.width && photo.height ? `${photo.width} × ${photo.height} px` : ''],
+        ['Original', photo.originalWidth && photo.originalHeight ? `${photo.originalWidth} × ${photo.originalHeight} px` : ''],
+        ['Tomada', formatPhotoTime(photo.takenAt)],
+        ['Dispositivo', photo.device],
+        ['Ubicación', photo.location ? `${photo.location.lat.toFixed(5)}, ${photo.location.lng.toFixed(5)}` : ''],
+        ['Subida', formatPhotoTime(photo.uploadedAt)],
+        ['Subida por', photo.uploadedByName],
+        ['Categoría', category?.nombre]
+    ].filter(([, value]) => value);
+
+    viewerMeta.innerHTML = rows.map(([label, value]) => `
+        <div class="photo-viewer-meta-row">
+            <dt>${label}</dt>
+            <dd>${sanitizeString(String(value))}</dd>
+        </div>
+    `).join('');
+
+    if (viewerCategorySelect) {
+        viewerCategorySelect.value = photo.categoryId || '';
+    }
+}
+
+/**
+ * Llena el selector para mover la foto de categoría
+ */
+function renderCategoryOptions() {
+    if (!viewerCategorySelect) return;
+
+    viewerCategorySelect.replaceChildren(
+        ...viewerState.categories.map(cat => new Option(cat.nombre, cat.id))
+    );
+}
+
+/**
+ * Muestra u oculta las flechas según la posición
+ */
+function renderNavigation() {
+    viewerPrevBtn?.classList.toggle('hidden', viewerState.index === 0);
+    viewerNextBtn?.classList.toggle('hidden', viewerState.index >= viewerState.photos.length - 1);
+}
+
+/**
+ * Precarga las fotos vecinas para que el deslizamiento sea inmediato
+ */
+function preloadNeighbors() {
+    [viewerState.index - 1, viewerState.index + 1].forEach(index => {
+        const photo = viewerState.photos[index];
+        if (photo?.url) {
+            new Image().src = photo.url;
+        }
+    });
+}
+
+/**
+ * Formatea la fecha y hora de captura o de subida
+ * @param {string|Object} value - ISO string o Timestamp
+ * @returns {string}
+ */
+function formatPhotoTime(value) {
+    if (!value) return '';
+
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    if (isNaN(date.getTime())) return '';
+
+    return date.toLocaleString('es-MX', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Muestra u oculta el panel de datos
+ */
+function toggleDetails() {
+    viewerDetails?.classList.toggle('hidden');
+}
+
+/* ===================================
+   ACCIONES
+   =================================== */
+
+/**
+ * Descarga la foto actual con su nombre original
+ */
+async function handleDownload() {
+    const photo = getCurrentPhoto();
+    if (!photo) return;
+
+    try {
+        const response = await fetch(photo.url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = photo.fileName || `${photo.id}.jpg`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        window.URL.revokeObjectURL(url);
+    } catch (error) {
+        // Sin CORS o sin conexión: abrir la foto para guardarla desde el navegador
+        console.error('❌ Error al descargar la foto:', error);
+        window.open(photo.url, '_blank', 'noopener');
+    }
+}
+
+/**
+ * Abre el editor de descripción de la foto actual
+ */
+function handleEditCaption() {
+    const photo = getCurrentPhoto();
+    if (photo && viewerState.actions.onEditCaption) {
+        viewerState.actions.onEditCaption(photo);
+    }
+}
+
+/**
+ * Elimina la foto actual (la confirmación la pide quien abrió el visor)
+ */
+function handleDelete() {
+    const photo = getCurrentPhoto();
+    if (photo && viewerState.actions.onDelete) {
+        viewerState.actions.onDelete(photo);
+    }
+}
+
+/**
+ * Mueve la foto actual a la categoría elegida
+ * @param {Event} e - Evento change del selector
+ */
+async function handleMove(e) {
+    const photo = getCurrentPhoto();
+    const categoryId = e.target.value;
+
+    if (!photo || categoryId === photo.categoryId || !viewerState.actions.onMove) return;
+
+    try {
+        await viewerState.actions.onMove(photo, categoryId);
+    } catch (error) {
+        console.error('❌ Error al mover la foto:', error);
+        showMessage('Error al cambiar la categoría', 'error');
+        e.target.value = photo.categoryId || '';
+    }
+}
+
+/* ===================================
+   GESTOS Y ZOOM
+   =================================== */
+
+/**
+ * Registra un dedo o puntero sobre la foto
+ * @param {PointerEvent} e - Evento pointerdown
+ */
+function handlePointerDown(e) {
+    if (e.target.closest('button')) return;
+
+    viewerStage.setPointerCapture(e.pointerId);
+    viewerState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (viewerState.pointers.size === 2) {
+        // Dos dedos: empezar a pellizcar
+        viewerState.gesture = {
+            type: 'pinch',
+            startDistance: getPointersDistance(),
+            startScale: viewerState.scale
+        };
+    } else if (viewerState.pointers.size === 1) {
+        viewerState.gesture = {
+            type: 'drag',
+            startX: e.clientX,
+            startY: e.clientY,
+            startTranslateX: viewerState.translateX,
+            startTranslateY: viewerState.translateY,
+            moved: false
+        };
+    }
+}
+
+/**
+ * Pellizca, mueve la foto ampliada o la desliza hacia los lados
+ * @param {PointerEvent} e - Evento pointermove
+ */
+function handlePointerMove(e) {
+    if (!viewerState.pointers.has(e.pointerId)) return;
+
+    viewerState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const gesture = viewerState.gesture;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch' && viewerState.pointers.size === 2) {
+        const ratio = getPointersDistance() / gesture.startDistance;
+        viewerState.scale = clamp(gesture.startScale * ratio, MIN_SCALE, MAX_SCALE);
+        clampTranslation();
+        applyTransform();
+        return;
+    }
+
+    if (gesture.type !== 'drag') return;
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+
+    if (Math.abs(dx) > TAP_TOLERANCE_PX || Math.abs(dy) > TAP_TOLERANCE_PX) {
+        gesture.moved = true;
+    }
+
+    if (viewerState.scale > MIN_SCALE) {
+        // Foto ampliada: recorrerla
+        viewerState.translateX = gesture.startTranslateX + dx;
+        viewerState.translateY = gesture.startTranslateY + dy;
+        clampTranslation();
+    } else {
+        // Tamaño normal: la foto sigue al dedo mientras se desliza
+        viewerState.translateX = dx;
+        viewerState.translateY = 0;
+    }
+
+    applyTransform(false);
+}
+
+/**
+ * Termina el gesto: cambia de foto, regresa a su lugar o aplica el doble toque
+ * @param {PointerEvent} e - Evento pointerup o pointercancel
+ */
+function handlePointerUp(e) {
+    if (!viewerState.pointers.has(e.pointerId)) return;
+
+    viewerState.pointers.delete(e.pointerId);
+    const gesture = viewerState.gesture;
+
+    // Al soltar un dedo del pellizco, el otro continúa como arrastre
+    if (gesture?.type === 'pinch') {
+        const [remaining] = [...viewerState.pointers.values()];
+
+        viewerState.gesture = remaining ? {
+            type: 'drag',
+            startX: remaining.x,
+            startY: remaining.y,
+            startTranslateX: viewerState.translateX,
+            startTranslateY: viewerState.translateY,
+            moved: true // Nunca cuenta como toque
+        } : null;
+
+        if (viewerState.scale <= MIN_SCALE) resetZoom();
+        return;
+    }
+
+    viewerState.gesture = null;
+    if (!gesture || gesture.type !== 'drag') return;
+
+    if (!gesture.moved) {
+        handleTap();
+        return;
+    }
+
+    if (viewerState.scale <= MIN_SCALE) {
+        const dx = e.clientX - gesture.startX;
+
+        if (dx <= -SWIPE_THRESHOLD_PX && viewerState.index < viewerState.photos.length - 1) {
+            showPhoto(viewerState.index + 1);
+        } else if (dx >= SWIPE_THRESHOLD_PX && viewerState.index > 0) {
+            showPhoto(viewerState.index - 1);
+        } else {
+            resetZoom();
+        }
+    }
+}
+
+/**
+ * Doble toque: amplía o regresa al tamaño normal
+ */
+function handleTap() {
+    const now = Date.now();
+
+    if (now - viewerState.lastTapAt < DOUBLE_TAP_MS) {
+        viewerState.lastTapAt = 0;
+
+        if (viewerState.scale > MIN_SCALE) {
+            resetZoom();
+        } else {
+            viewerState.scale = DOUBLE_TAP_SCALE;
+            applyTransform();
+        }
+        return;
+    }
+
+    viewerState.lastTapAt = now;
+}
+
+/**
+ * Zoom con la rueda del mouse (escritorio)
+ * @param {WheelEvent} e - Evento wheel
+ */
+function handleWheel(e) {
+    e.preventDefault();
+
+    const factor = e.deltaY < 0 ? 1.15 : 1 / 1.15;
+    viewerState.scale = clamp(viewerState.scale * factor, MIN_SCALE, MAX_SCALE);
+
+    if (viewerState.scale <= MIN_SCALE) {
+        resetZoom();
+        return;
+    }
+
+    clampTranslation();
+    applyTransform();
+}
+
+/**
+ * Atajos de teclado: flechas para navegar, Escape para cerrar
+ * @param {KeyboardEvent} e - Evento keydown
+ */
+function handleKeydown(e) {
+    if (!viewerState.isOpen) return;
+
+    // No interferir con el editor de descripción abierto encima
+    if (e.target.closest('input, textarea, select')) return;
+
+    if (e.key === 'Escape') {
+        closePhotoViewer();
+    } else if (e.key === 'ArrowLeft') {
+        showPhoto(viewerState.index - 1);
+    } else if (e.key === 'ArrowRight') {
+        showPhoto(viewerState.index + 1);
+    }
+}
+
+/**
+ * Regresa la foto a su tamaño y posición normales
+ */
+function resetZoom() {
+    viewerState.scale = MIN_SCALE;
+    viewerState.translateX = 0;
+    viewerState.translateY = 0;
+    applyTransform();
+}
+
+/**
+ * Evita que la foto ampliada se salga de la pantalla
+ */
+function clampTranslation() {
+    const maxX = (viewerStage.clientWidth * (viewerState.scale - 1)) / 2;
+    const maxY = (viewerStage.clientHeight * (viewerState.scale - 1)) / 2;
+
+    viewerState.translateX = clamp(viewerState.translateX, -maxX, maxX);
+    viewerState.translateY = clamp(viewerState.translateY, -maxY, maxY);
+}
+
+/**
+ * Aplica la escala y el desplazamiento a la imagen
+ * @param {boolean} animate - Animar la transición (false mientras se arrastra)
+ */
+function applyTransform(animate = true) {
+    if (!viewerImage) return;
+
+    viewerImage.classList.toggle('dragging', !animate);
+    viewerImage.style.transform =
+        `translate(${viewerState.translateX}px, ${viewerState.translateY}px) scale(${viewerState.scale})`;
+}
+
+/**
+ * Distancia entre los dos dedos activos
+ * @returns {number}
+ */
+function getPointersDistance() {
+    const [a, b] = [...viewerState.pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+}
+
+/**
+ * Limita un valor a un rango
+ * @param {number} value - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    initPhotoViewer,
+    openPhotoViewer,
+    closePhotoViewer,
+    isPhotoViewerOpen,
+    updatePhotoViewerPhotos
+};
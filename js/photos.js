@@ -6,11 +6,15 @@
 import { storage } from './firestore-config.js';
 import { 
     ref, 
-    uploadBytes, 
+    uploadBytesResumable, 
     getDownloadURL, 
+    getBlob,
     deleteObject 
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
 import { generateId } from './utils.js';
+import { getCurrentUser } from './auth.js';
+import { getFileHashes } from './duplicates.js';
+import { isHeicFile, convertHeicToJpeg } from './heic.js';
 
 /* ===================================
    CONFIGURACIÓN DE COMPRESIÓN
@@ -23,27 +27,75 @@ const COMPRESSION_OPTIONS = {
     fileType: 'image/jpeg'
 };
 
+// Miniaturas para el grid y las tarjetas de eventos
+const THUMBNAIL_OPTIONS = {
+    maxSizeMB: 0.05,
+    maxWidthOrHeight: 400,
+    useWebWorker: true,
+    fileType: 'image/jpeg'
+};
+
+// Formatos que se pueden subir y su extensión en Storage (HEIC se convierte antes a JPEG)
+const FILE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+// Cantidad de fotos que se comprimen y suben al mismo tiempo
+const UPLOAD_CONCURRENCY = 3;
+
+// Estados de un lote de subida
+const BATCH_STATE = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    DONE: 'done'
+};
+
 /* ===================================
    FUNCIONES DE FIREBASE STORAGE
    =================================== */
 
 /**
- * Sube una foto a Firebase Storage
+ * Ruta de una foto en Storage: eventos/{eventId}/{fileId}.{extensión}
+ * @param {string} eventId - ID del evento
+ * @param {string} fileId - ID del archivo (foto o miniatura)
+ * @param {string} type - Tipo MIME del archivo
+ * @returns {string}
+ */
+export function getPhotoStoragePath(eventId, fileId, type) {
+    return `eventos/${eventId}/${fileId}.${FILE_EXTENSIONS[type] || 'jpg'}`;
+}
+
+/**
+ * Sube una foto a Firebase Storage con subida reanudable
  * @param {File} file - Archivo comprimido
  * @param {string} eventId - ID del evento
  * @param {string} photoId - ID de la foto
+ * @param {Function} onTaskCreated - Recibe el UploadTask (progreso, pausa, cancelación)
  * @returns {Promise<string>} - URL de descarga
  */
-export async function uploadPhotoToStorage(file, eventId, photoId) {
+export async function uploadPhotoToStorage(file, eventId, photoId, onTaskCreated = null) {
     try {
-        // Crear referencia en Storage: eventos/{eventId}/{photoId}.jpg
-        const fileName = `${photoId}.jpg`;
-        const storageRef = ref(storage, `eventos/${eventId}/${fileName}`);
+        // La extensión y el tipo de contenido corresponden al archivo que se sube
+        const contentType = file.type;
+        if (!FILE_EXTENSIONS[contentType]) {
+            throw new Error(`Formato no compatible: ${contentType || 'desconocido'}`);
+        }
         
-        console.log(`☁️ Subiendo foto a Storage: ${fileName}`);
+        const storagePath = getPhotoStoragePath(eventId, photoId, contentType);
+        const storageRef = ref(storage, storagePath);
+        
+        console.log(`☁️ Subiendo foto a Storage: ${storagePath}`);
         
         // Subir archivo
-        const snapshot = await uploadBytes(storageRef, file);
+        const uploadTask = uploadBytesResumable(storageRef, file, { contentType });
+        if (onTaskCreated) {
+            onTaskCreated(uploadTask);
+        }
+        const snapshot = await uploadTask;
         
         // Obtener URL de descarga
         const downloadURL = await getDownloadURL(snapshot.ref);
@@ -80,6 +132,165 @@ export async function deletePhotoFromStorage(photoUrl) {
     }
 }
 
+/**
+ * Copia el archivo de una foto en Storage y crea su nuevo objeto de foto
+ * (cada copia tiene su propio archivo para que eliminar una no afecte a la otra)
+ * @param {Object} photo - Foto original
+ * @param {string} eventId - Evento destino
+ * @param {string} categoryId - Categoría destino
+ * @returns {Promise<Object>} - Objeto de la copia
+ */
+export async function copyPhotoInStorage(photo, eventId, categoryId) {
+    const photoId = generateId();
+    const blob = await getBlob(ref(storage, photo.storagePath || photo.url));
+    
+    // Las reglas de Storage solo aceptan imágenes
+    const file = new Blob([blob], { type: photo.fileType || 'image/jpeg' });
+    const downloadURL = await uploadPhotoToStorage(file, eventId, photoId);
+    const thumbnail = await uploadThumbnail(file, eventId, photoId);
+    const currentUser = getCurrentUser();
+    
+    return {
+        ...photo,
+        ...thumbnail,
+        id: photoId,
+        categoryId: categoryId,
+        url: downloadURL,
+        storagePath: getPhotoStoragePath(eventId, photoId, file.type),
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: currentUser?.uid || null,
+        uploadedByName: currentUser?.displayName || currentUser?.email || ''
+    };
+}
+
+/* ===================================
+   MINIATURAS
+   =================================== */
+
+/**
+ * Genera la miniatura de una imagen
+ * @param {Blob} file - Imagen (normalmente ya comprimida)
+ * @returns {Promise<Blob|null>} - Miniatura o null si no se pudo generar
+ */
+export async function createThumbnail(file) {
+    if (!window.imageCompression) return null;
+    
+    try {
+        return await window.imageCompression(file, THUMBNAIL_OPTIONS);
+    } catch (error) {
+        console.error('❌ Error al generar miniatura:', error);
+        return null;
+    }
+}
+
+/**
+ * Genera y sube la miniatura de una foto: eventos/{eventId}/{photoId}_mini.jpg
+ * Si falla, la foto se guarda sin miniatura y se completa después;
+ * si se cancela (con el lote), lanza el error para que la cancelación se respete
+ * @param {Blob} file - Imagen de la foto
+ * @param {string} eventId - ID del evento
+ * @param {string} photoId - ID de la foto
+ * @param {Function} onTaskCreated - Recibe el UploadTask, para pausarla o cancelarla con el lote (opcional)
+ * @returns {Promise<Object>} - {thumbnailUrl, thumbnailPath} (null si falló)
+ */
+export async function uploadThumbnail(file, eventId, photoId, onTaskCreated = null) {
+    const thumbnail = await createThumbnail(file);
+    if (!thumbnail) {
+        return { thumbnailUrl: null, thumbnailPath: null };
+    }
+    
+    try {
+        const thumbnailId = `${photoId}_mini`;
+        return {
+            thumbnailUrl: await uploadPhotoToStorage(thumbnail, eventId, thumbnailId, onTaskCreated),
+            thumbnailPath: getPhotoStoragePath(eventId, thumbnailId, thumbnail.type)
+        };
+    } catch (error) {
+        if (error.code === 'storage/canceled') throw error;
+        
+        console.error('❌ Error al subir miniatura:', error);
+        return { thumbnailUrl: null, thumbnailPath: null };
+    }
+}
+
+/**
+ * Genera la miniatura de una foto subida antes de existir las miniaturas
+ * @param {Object} photo - Foto sin miniatura
+ * @param {string} eventId - ID del evento
+ * @returns {Promise<Object|null>} - {thumbnailUrl, thumbnailPath} o null si falló
+ */
+export async function createMissingThumbnail(photo, eventId) {
+    try {
+        const blob = await getBlob(ref(storage, photo.storagePath || photo.url));
+        const thumbnail = await uploadThumbnail(blob, eventId, photo.id);
+        
+        return thumbnail.thumbnailUrl ? thumbnail : null;
+    } catch (error) {
+        console.error(`❌ Error al generar la miniatura de ${photo.id}:`, error);
+        return null;
+    }
+}
+
+/**
+ * URL para mostrar la foto en tamaño pequeño (grid, tarjetas)
+ * @param {Object} photo - Foto
+ * @returns {string}
+ */
+export function getThumbnailUrl(photo) {
+    return photo.thumbnailUrl || photo.url;
+}
+
+/* ===================================
+   METADATOS EXIF
+   =================================== */
+
+/**
+ * Lee los metadatos EXIF del archivo original
+ * Las fotos sin EXIF (ej. las de la cámara de la app) usan la fecha del archivo
+ * @param {File} file - Archivo de imagen sin comprimir
+ * @returns {Promise<Object>} - {takenAt, location, device, orientation, originalWidth, originalHeight}
+ */
+export async function readPhotoMetadata(file) {
+    const fallbackDate = file.lastModified ? new Date(file.lastModified).toISOString() : null;
+    const metadata = {
+        takenAt: fallbackDate,
+        location: null,
+        device: '',
+        orientation: null,
+        originalWidth: null,
+        originalHeight: null
+    };
+    
+    if (!window.exifr) {
+        console.warn('⚠️ Librería EXIF no disponible, se omiten los metadatos');
+        return metadata;
+    }
+    
+    try {
+        // translateValues: false para conservar la orientación como número (1-8)
+        const exif = await window.exifr.parse(file, { gps: true, translateValues: false });
+        if (!exif) return metadata;
+        
+        const takenAt = exif.DateTimeOriginal || exif.CreateDate;
+        if (takenAt instanceof Date && !isNaN(takenAt.getTime())) {
+            metadata.takenAt = takenAt.toISOString();
+        }
+        
+        if (Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude)) {
+            metadata.location = { lat: exif.latitude, lng: exif.longitude };
+        }
+        
+        metadata.device = [exif.Make, exif.Model].filter(Boolean).join(' ').trim();
+        metadata.orientation = exif.Orientation || null;
+        metadata.originalWidth = exif.ExifImageWidth || exif.ImageWidth || null;
+        metadata.originalHeight = exif.ExifImageHeight || exif.ImageHeight || null;
+    } catch (error) {
+        console.warn(`⚠️ No se pudo leer el EXIF de ${file.name}:`, error);
+    }
+    
+    return metadata;
+}
+
 /* ===================================
    FUNCIONES DE CARGA DE FOTOS
    =================================== */
@@ -124,74 +335,341 @@ export function fileToBase64(file) {
 }
 
 /**
- * Crea un objeto de foto y lo sube a Storage
+ * Comprime una imagen y arma el objeto de foto, sin subirlo todavía
  * @param {File} file - Archivo de imagen
  * @param {string} categoryId - ID de la categoría
  * @param {string} eventId - ID del evento
- * @returns {Promise<Object>} - Objeto de foto
+ * @returns {Promise<Object>} - {photo, file}: objeto de foto sin URL y archivo comprimido
  */
-export async function createPhotoObject(file, categoryId, eventId) {
+export async function preparePhotoObject(file, categoryId, eventId) {
     const photoId = generateId();
     
-    try {
-        // Comprimir imagen
-        const compressedFile = await compressImage(file);
-        
-        // Subir a Firebase Storage
-        const downloadURL = await uploadPhotoToStorage(compressedFile, eventId, photoId);
-        
-        return {
+    // La compresión vuelve a codificar la imagen y descarta el EXIF
+    const metadata = await readPhotoMetadata(file);
+    
+    // Hashes del original para detectar fotos repetidas (ya calculados si se revisó antes de subir)
+    const hashes = await getFileHashes(file);
+    
+    // La librería de compresión no decodifica HEIC (iPhone): convertir a JPEG primero
+    const source = await convertHeicToJpeg(file);
+    
+    // Comprimir imagen
+    const compressedFile = await compressImage(source);
+    
+    // Dimensiones reales, para respetar la proporción en los reportes
+    const dimensions = await getFileDimensions(compressedFile);
+    
+    const currentUser = getCurrentUser();
+    
+    return {
+        photo: {
             id: photoId,
             categoryId: categoryId,
-            fileName: file.name,
+            fileName: source.name,
             fileSize: compressedFile.size,
             fileType: compressedFile.type,
-            url: downloadURL,
-            storagePath: `eventos/${eventId}/${photoId}.jpg`,
-            uploadedAt: new Date().toISOString()
-        };
+            width: dimensions ? dimensions.width : null,
+            height: dimensions ? dimensions.height : null,
+            caption: '',
+            url: null,
+            storagePath: getPhotoStoragePath(eventId, photoId, compressedFile.type),
+            thumbnailUrl: null,
+            thumbnailPath: null,
+            uploadedAt: null,
+            uploadedBy: currentUser?.uid || null,
+            uploadedByName: currentUser?.displayName || currentUser?.email || '',
+            ...metadata,
+            ...hashes
+        },
+        file: compressedFile
+    };
+}
+
+/**
+ * Sube a Storage una foto preparada con preparePhotoObject, junto con su miniatura
+ * @param {Object} prepared - {photo, file}
+ * @param {string} eventId - ID del evento
+ * @param {Function} onTaskCreated - Recibe cada UploadTask: la foto y después la miniatura (opcional)
+ * @returns {Promise<Object>} - Objeto de foto con URL
+ */
+export async function uploadPreparedPhoto(prepared, eventId, onTaskCreated = null) {
+    const downloadURL = await uploadPhotoToStorage(prepared.file, eventId, prepared.photo.id, onTaskCreated);
+    
+    let thumbnail;
+    try {
+        thumbnail = await uploadThumbnail(prepared.file, eventId, prepared.photo.id, onTaskCreated);
+    } catch (error) {
+        // Cancelada durante la miniatura: no dejar la foto en Storage sin registro
+        await deletePhotoFromStorage(downloadURL);
+        throw error;
+    }
+    
+    return {
+        ...prepared.photo,
+        ...thumbnail,
+        url: downloadURL,
+        uploadedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Crea un objeto de foto y lo sube a Storage
+ * Si la subida falla, el error lleva la foto preparada en error.preparedPhoto
+ * para que pueda guardarse en la cola offline
+ * @param {File} file - Archivo de imagen
+ * @param {string} categoryId - ID de la categoría
+ * @param {string} eventId - ID del evento
+ * @param {Function} onTaskCreated - Recibe el UploadTask (opcional)
+ * @returns {Promise<Object>} - Objeto de foto
+ */
+export async function createPhotoObject(file, categoryId, eventId, onTaskCreated = null) {
+    const prepared = await preparePhotoObject(file, categoryId, eventId);
+    
+    try {
+        // Sin conexión no tiene caso esperar a que Storage agote sus reintentos
+        if (!navigator.onLine) {
+            const offlineError = new Error('Sin conexión a internet');
+            offlineError.code = 'offline';
+            throw offlineError;
+        }
+        
+        return await uploadPreparedPhoto(prepared, eventId, onTaskCreated);
     } catch (error) {
         console.error('❌ Error al crear objeto de foto:', error);
+        error.preparedPhoto = prepared;
         throw error;
     }
 }
 
 /**
- * Procesa múltiples archivos y los sube a Storage
- * @param {FileList} files - Lista de archivos
+ * Crea un lote de subida con concurrencia limitada, progreso por bytes
+ * y controles de pausa, reanudación y cancelación
+ * @param {FileList|Array} files - Archivos a subir
  * @param {string} categoryId - ID de la categoría
  * @param {string} eventId - ID del evento
- * @param {Function} onProgress - Callback de progreso
- * @returns {Promise<Array>} - Array de objetos de foto
+ * @param {Object} options - Opciones del lote
+ * @param {number} options.concurrency - Subidas simultáneas (default: 3)
+ * @param {Function} options.onProgress - Recibe el resumen del lote en cada cambio
+ * @param {Function} options.onFileComplete - Recibe cada foto subida
+ * @param {Function} options.onFailed - Recibe la foto preparada cuando la subida falla (queda en cola offline)
+ * @param {Function} options.onError - Recibe (file, error) cuando la foto no se pudo preparar (conversión o compresión)
+ * @returns {Object} - {pause, resume, cancel, getSummary, promise}
  */
-export async function processMultipleFiles(files, categoryId, eventId, onProgress = null) {
+export function createUploadBatch(files, categoryId, eventId, options = {}) {
+    const {
+        concurrency = UPLOAD_CONCURRENCY,
+        onProgress = null,
+        onFileComplete = null,
+        onFailed = null,
+        onError = null
+    } = options;
+    
+    // Una entrada por archivo válido; el tamaño se ajusta tras comprimir
+    const entries = Array.from(files)
+        .filter(file => {
+            if (!isImageFile(file)) {
+                console.warn(`⚠️ Archivo ignorado (formato no compatible): ${file.name}`);
+                return false;
+            }
+            return true;
+        })
+        .map(file => ({
+            file: file,
+            status: 'queued', // queued | uploading | done | offline | failed | cancelled
+            bytesTransferred: 0,
+            totalBytes: file.size,
+            task: null
+        }));
+    
     const photos = [];
-    const total = files.length;
+    let state = BATCH_STATE.RUNNING;
+    let nextIndex = 0;
+    let resumeWaiters = [];
     
-    for (let i = 0; i < total; i++) {
-        const file = files[i];
+    /**
+     * Resumen del lote para la UI
+     * @returns {Object}
+     */
+    function getSummary() {
+        const totalBytes = entries.reduce((sum, entry) => sum + entry.totalBytes, 0);
+        const bytesTransferred = entries.reduce((sum, entry) => sum + entry.bytesTransferred, 0);
         
-        // Validar que sea imagen
-        if (!file.type.startsWith('image/')) {
-            console.warn(`⚠️ Archivo ignorado (no es imagen): ${file.name}`);
-            continue;
+        return {
+            state: state,
+            total: entries.length,
+            completed: entries.filter(entry => entry.status === 'done').length,
+            offline: entries.filter(entry => entry.status === 'offline').length,
+            failed: entries.filter(entry => entry.status === 'failed').length,
+            cancelled: entries.filter(entry => entry.status === 'cancelled').length,
+            bytesTransferred: bytesTransferred,
+            totalBytes: totalBytes,
+            percent: totalBytes > 0 ? Math.round((bytesTransferred / totalBytes) * 100) : 0
+        };
+    }
+    
+    function notifyProgress() {
+        if (onProgress) {
+            onProgress(getSummary());
         }
+    }
+    
+    /**
+     * Espera mientras el lote esté en pausa
+     */
+    function waitWhilePaused() {
+        if (state !== BATCH_STATE.PAUSED) return Promise.resolve();
+        return new Promise(resolve => resumeWaiters.push(resolve));
+    }
+    
+    /**
+     * Procesa una entrada: comprime, sube y reporta progreso
+     * @param {Object} entry - Entrada del lote
+     */
+    async function processEntry(entry) {
+        entry.status = 'uploading';
+        notifyProgress();
         
         try {
-            const photo = await createPhotoObject(file, categoryId, eventId);
+            const photo = await createPhotoObject(entry.file, categoryId, eventId, (task) => {
+                // Primero se sube la foto y después su miniatura: sumar los bytes ya subidos
+                const doneBytes = entry.task ? entry.bytesTransferred : 0;
+                
+                entry.task = task;
+                entry.totalBytes = doneBytes + task.snapshot.totalBytes;
+                
+                // Si se pausó mientras se comprimía, pausar de inmediato
+                if (state === BATCH_STATE.PAUSED) task.pause();
+                if (state === BATCH_STATE.CANCELLED) task.cancel();
+                
+                task.on('state_changed', (snapshot) => {
+                    entry.bytesTransferred = doneBytes + snapshot.bytesTransferred;
+                    entry.totalBytes = doneBytes + snapshot.totalBytes;
+                    notifyProgress();
+                });
+            });
+            
+            entry.status = 'done';
+            entry.bytesTransferred = entry.totalBytes;
             photos.push(photo);
             
-            // Llamar callback de progreso
-            if (onProgress) {
-                onProgress(i + 1, total, photo);
+            if (onFileComplete) {
+                await onFileComplete(photo);
             }
         } catch (error) {
-            console.error(`❌ Error procesando ${file.name}:`, error);
-            // Continuar con las demás fotos
+            if (error.code === 'storage/canceled' || state === BATCH_STATE.CANCELLED) {
+                entry.status = 'cancelled';
+            } else {
+                console.error(`❌ Error procesando ${entry.file.name}:`, error);
+                entry.status = 'failed';
+                
+                // Solo las fotos ya comprimidas se pueden guardar para reintentar
+                if (onFailed && error.preparedPhoto) {
+                    try {
+                        await onFailed(error.preparedPhoto, error);
+                        entry.status = 'offline';
+                    } catch (queueError) {
+                        // Sin cola (p. ej. IndexedDB llena): queda fallida sin detener el lote
+                        console.error(`❌ No se pudo guardar ${entry.file.name} para reintentar:`, queueError);
+                        onError?.(entry.file, queueError);
+                    }
+                } else if (onError) {
+                    onError(entry.file, error);
+                }
+            }
+        } finally {
+            entry.task = null;
+            notifyProgress();
         }
     }
     
-    return photos;
+    /**
+     * Toma archivos de la lista hasta que se acaben o se cancele
+     */
+    async function worker() {
+        while (nextIndex < entries.length) {
+            await waitWhilePaused();
+            if (state === BATCH_STATE.CANCELLED) return;
+            
+            const entry = entries[nextIndex++];
+            await processEntry(entry);
+        }
+    }
+    
+    const workerCount = Math.max(1, Math.min(concurrency, entries.length));
+    const promise = Promise.all(Array.from({ length: workerCount }, () => worker()))
+        .then(() => {
+            // Lo que no se alcanzó a procesar queda como cancelado
+            entries
+                .filter(entry => entry.status === 'queued')
+                .forEach(entry => { entry.status = 'cancelled'; });
+            
+            if (state !== BATCH_STATE.CANCELLED) {
+                state = BATCH_STATE.DONE;
+            }
+            notifyProgress();
+            return photos;
+        });
+    
+    notifyProgress();
+    
+    return {
+        pause() {
+            if (state !== BATCH_STATE.RUNNING) return;
+            state = BATCH_STATE.PAUSED;
+            entries.forEach(entry => entry.task?.pause());
+            notifyProgress();
+        },
+        resume() {
+            if (state !== BATCH_STATE.PAUSED) return;
+            state = BATCH_STATE.RUNNING;
+            entries.forEach(entry => entry.task?.resume());
+            resumeWaiters.forEach(resolve => resolve());
+            resumeWaiters = [];
+            notifyProgress();
+        },
+        cancel() {
+            if (state === BATCH_STATE.DONE || state === BATCH_STATE.CANCELLED) return;
+            state = BATCH_STATE.CANCELLED;
+            entries.forEach(entry => entry.task?.cancel());
+            resumeWaiters.forEach(resolve => resolve());
+            resumeWaiters = [];
+            notifyProgress();
+        },
+        getSummary,
+        promise
+    };
+}
+
+/**
+ * Procesa múltiples archivos y los sube a Storage
+ * @param {FileList} files - Lista de archivos
+ * @param {string} categoryId - ID de la categoría
+ * @param {string} eventId - ID del evento
+ * @param {Function} onProgress - Callback de progreso
+ * @param {Function} onFailed - Callback con la foto preparada cuando la subida falla
+ * @returns {Promise<Array>} - Array de objetos de foto
+ */
+export async function processMultipleFiles(files, categoryId, eventId, onProgress = null, onFailed = null) {
+    const batch = createUploadBatch(files, categoryId, eventId, {
+        onFileComplete: (photo) => {
+            if (onProgress) {
+                const summary = batch.getSummary();
+                onProgress(summary.completed, summary.total, photo);
+            }
+        },
+        onFailed
+    });
+    
+    return batch.promise;
+}
+
+/**
+ * Verifica si un archivo es una imagen en un formato que la app puede subir
+ * @param {File|Blob} file - Archivo
+ * @returns {boolean}
+ */
+export function isImageFile(file) {
+    return Boolean(FILE_EXTENSIONS[file.type]) || isHeicFile(file);
 }
 
 /**
@@ -202,10 +680,10 @@ export async function processMultipleFiles(files, categoryId, eventId, onProgres
  */
 export function validateImageFile(file, maxSizeMB = 10) {
     // Validar tipo
-    if (!file.type.startsWith('image/')) {
+    if (!isImageFile(file)) {
         return {
             valid: false,
-            error: 'El archivo debe ser una imagen'
+            error: 'La imagen debe ser JPG, PNG, WebP, GIF o HEIC'
         };
     }
     
@@ -254,7 +732,7 @@ export async function selectMultiplePhotos() {
     return new Promise((resolve, reject) => {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = 'image/*';
+        input.accept = 'image/*,.heic,.heif';
         input.multiple = true;
         
         input.onchange = (e) => {
@@ -305,6 +783,24 @@ export function getImageDimensions(url) {
     });
 }
 
+/**
+ * Obtiene las dimensiones de un archivo o blob de imagen
+ * @param {Blob} file - Imagen
+ * @returns {Promise<Object|null>} - {width, height} o null si no se puede leer
+ */
+export async function getFileDimensions(file) {
+    const objectUrl = URL.createObjectURL(file);
+    
+    try {
+        return await getImageDimensions(objectUrl);
+    } catch (error) {
+        console.warn('⚠️ No se pudieron leer las dimensiones de la imagen:', error);
+        return null;
+    } finally {
+        URL.revokeObjectURL(objectUrl);
+    }
+}
+
 /**
  * Cuenta fotos por categoría
  * @param {Array} photos - Array de fotos
@@ -327,6 +823,30 @@ export function filterPhotosByCategory(photos, categoryId) {
     return photos.filter(photo => photo.categoryId === categoryId);
 }
 
+/**
+ * Fecha de una foto para ordenarla: la de captura o, si no la tiene, la de subida
+ * @param {Object} photo - Foto
+ * @returns {number} - Milisegundos
+ */
+export function getPhotoTime(photo) {
+    const date = photo.takenAt || photo.uploadedAt;
+    if (!date) return 0;
+    if (typeof date.toMillis === 'function') return date.toMillis();
+    
+    const time = new Date(date).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Ordena fotos por fecha de captura (las más antiguas primero)
+ * @param {Array} photos - Array de fotos
+ * @returns {Array} - Nuevo array ordenado
+ */
+export function sortPhotosByCaptureTime(photos) {
+    if (!photos || !Array.isArray(photos)) return [];
+    return [...photos].sort((a, b) => getPhotoTime(a) - getPhotoTime(b));
+}
+
 /**
  * Obtiene fotos sin categoría
  * @param {Array} photos - Array de todas las fotos
@@ -380,6 +900,10 @@ export async function removePhotoById(photos, photoId) {
         await deletePhotoFromStorage(photo.url);
     }
     
+    if (photo && photo.thumbnailUrl) {
+        await deletePhotoFromStorage(photo.thumbnailUrl);
+    }
+    
     return photos.filter(p => p.id !== photoId);
 }
 
@@ -428,19 +952,37 @@ export function getPhotosStats(photos) {
    EXPORTACIONES
    =================================== */
 
+export {
+    BATCH_STATE
+};
+
 export default {
     uploadPhotoToStorage,
+    getPhotoStoragePath,
     deletePhotoFromStorage,
+    copyPhotoInStorage,
+    createThumbnail,
+    uploadThumbnail,
+    createMissingThumbnail,
+    getThumbnailUrl,
     compressImage,
+    readPhotoMetadata,
     fileToBase64,
+    preparePhotoObject,
+    uploadPreparedPhoto,
     createPhotoObject,
+    createUploadBatch,
     processMultipleFiles,
+    isImageFile,
     validateImageFile,
     capturePhoto,
     selectMultiplePhotos,
     getImageDimensions,
+    getFileDimensions,
     countPhotosByCategory,
     filterPhotosByCategory,
+    getPhotoTime,
+    sortPhotosByCaptureTime,
     getUncategorizedPhotos,
     groupPhotosByCategory,
     removePhotoById,
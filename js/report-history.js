@@ -0,0 +1,117 @@
+/* ===================================
+   HISTORIAL DE REPORTES - T&C GROUP
+   Registro de cada reporte subido a Storage
+   =================================== */
+
+import { db, COLLECTIONS } from './storage.js';
+import {
+    collection,
+    doc,
+    getDocs,
+    addDoc,
+    updateDoc,
+    query,
+    where,
+    arrayUnion,
+    Timestamp
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getCurrentUser } from './auth.js';
+
+/* ===================================
+   REGISTRO
+   =================================== */
+
+/**
+ * Registra un reporte generado y subido a Storage
+ * @param {Object} data - {eventoId, eventoNombre, plantilla, formato, fileName, storagePath, url, tamano, totalFotos}
+ * @returns {Promise<string|null>} - ID del registro o null si falla
+ */
+export async function logGeneratedReport(data) {
+    try {
+        const currentUser = getCurrentUser();
+
+        const docRef = await addDoc(collection(db, COLLECTIONS.REPORTES), {
+            eventoId: data.eventoId,
+            eventoNombre: data.eventoNombre,
+            plantillaId: data.plantilla.id,
+            plantillaNombre: data.plantilla.nombre,
+            formato: data.formato,
+            fileName: data.fileName,
+            storagePath: data.storagePath,
+            url: data.url,
+            tamano: data.tamano,
+            totalFotos: data.totalFotos,
+            generadoPor: {
+                uid: currentUser?.uid || null,
+                email: currentUser?.email || null,
+                nombre: currentUser?.displayName || null
+            },
+            destinatarios: [],
+            fecha: Timestamp.now()
+        });
+
+        console.log('✅ Reporte registrado en el historial:', docRef.id);
+        return docRef.id;
+
+    } catch (error) {
+        // El historial no debe impedir compartir el reporte
+        console.error('❌ Error al registrar el reporte:', error);
+        return null;
+    }
+}
+
+/**
+ * Agrega destinatarios a un reporte del historial
+ * @param {string} reportId - ID del registro
+ * @param {Array<string>} emails - Emails a los que se envió
+ * @returns {Promise<boolean>}
+ */
+export async function addReportRecipients(reportId, emails) {
+    if (!reportId || emails.length === 0) return false;
+
+    try {
+        await updateDoc(doc(db, COLLECTIONS.REPORTES, reportId), {
+            destinatarios: arrayUnion(...emails),
+            fechaUltimoEnvio: Timestamp.now()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error al actualizar destinatarios del reporte:', error);
+        return false;
+    }
+}
+
+/* ===================================
+   CONSULTA
+   =================================== */
+
+/**
+ * Obtiene los reportes de un evento, del más reciente al más antiguo
+ * @param {string} eventId - ID del evento
+ * @returns {Promise<Array>}
+ */
+export async function getEventReports(eventId) {
+    try {
+        // Se ordena en el cliente para no requerir un índice compuesto
+        const q = query(collection(db, COLLECTIONS.REPORTES), where('eventoId', '==', eventId));
+        const querySnapshot = await getDocs(q);
+
+        return querySnapshot.docs
+            .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+            .sort((a, b) => (b.fecha?.toMillis?.() || 0) - (a.fecha?.toMillis?.() || 0));
+
+    } catch (error) {
+        console.error('❌ Error al obtener historial de reportes:', error);
+        return [];
+    }
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    logGeneratedReport,
+    addReportRecipients,
+    getEventReports
+};
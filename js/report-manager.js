@@ -3,10 +3,21 @@
    UI para gestionar generación y envío de reportes
    =================================== */
 
-import { getAllEvents } from './storage.js';
-import { generateWordReport, downloadReport } from './reports.js';
-import { sendReportByEmail, parseMultipleEmails } from './email-sender.js';
-import { showMessage, openModal, closeModal, toggleButtonLoading } from './utils.js';
+import { getAllEvents, getEventPhotoCount, getActiveUsers, getContacts, saveContacts, markEventReportSent } from './storage.js';
+import { generateReport, getReportFormatInfo, REPORT_FORMATS, downloadReport } from './reports.js';
+import { sendReportByEmail, uploadReportToStorage, parseMultipleEmails, getInvalidEmails } from './email-sender.js';
+import { getReportTemplates, saveReportTemplate, deleteReportTemplate, DEFAULT_TEMPLATE, DEFAULT_TEMPLATE_ID } from './report-templates.js';
+import { logGeneratedReport, addReportRecipients, getEventReports } from './report-history.js';
+import { showMessage, openModal, closeModal, sanitizeString, copyToClipboard, formatBytes } from './utils.js';
+import { getCurrentUser } from './auth.js';
+import { hasPermission, PERMISSIONS } from './roles.js';
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+// Vista previa de documentos Word (módulo ES, se importa bajo demanda)
+const DOCX_PREVIEW_URL = 'https://cdn.jsdelivr.net/npm/docx-preview@0.3.2/+esm';
 
 /* ===================================
    ESTADO
@@ -14,9 +25,19 @@ import { showMessage, openModal, closeModal, toggleButtonLoading } from './utils
 
 const reportManagerState = {
     events: [],
+    templates: [],
     currentReportBlob: null,
     currentEventName: null,
-    isGenerating: false
+    isGenerating: false,
+    currentReportKey: null, // evento|formato|plantilla|modificación del reporte en caché
+    currentReportIsPreview: false, // El reporte en caché usa miniaturas (solo sirve para la vista previa)
+    currentReportFileName: null,
+    currentReportUrl: null, // Enlace de Storage del reporte en caché (se sube una sola vez)
+    currentReportRecordId: null, // Registro en el historial del reporte en caché
+    history: {}, // eventId -> reportes del historial ya cargados
+    previewUrl: null,
+    pendingSend: null, // {eventId, historyReportId?} mientras el diálogo de envío está abierto
+    userEmails: new Set() // Emails de usuarios activos (no se guardan como contactos)
 };
 
 /* ===================================
@@ -25,6 +46,14 @@ const reportManagerState = {
 
 let reportsContainer;
 let emptyReportsState;
+let templateSelect;
+let templateForm;
+let deleteTemplateBtn;
+let sendReportForm;
+let recipientsTo;
+let recipientsCc;
+let recipientsBcc;
+let reportPreviewContainer;
 
 /* ===================================
    INICIALIZACIÓN
@@ -39,6 +68,14 @@ export function initReportManager() {
     // Obtener elementos del DOM
     reportsContainer = document.getElementById('reportsContainer');
     emptyReportsState = document.getElementById('emptyReportsState');
+    templateSelect = document.getElementById('templateSelect');
+    templateForm = document.getElementById('templateForm');
+    deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+    sendReportForm = document.getElementById('sendReportForm');
+    recipientsTo = document.getElementById('recipientsTo');
+    recipientsCc = document.getElementById('recipientsCc');
+    recipientsBcc = document.getElementById('recipientsBcc');
+    reportPreviewContainer = document.getElementById('reportPreviewContainer');
     
     // Configurar event listeners
     setupEventListeners();
@@ -50,8 +87,36 @@ export function initReportManager() {
  * Configura los event listeners
  */
 function setupEventListeners() {
-    // Ya no necesitamos listeners del modal
-    console.log('Event listeners configurados');
+    // Modal de plantillas
+    document.getElementById('manageTemplatesBtn')?.addEventListener('click', openTemplateManager);
+    document.getElementById('closeTemplateModal')?.addEventListener('click', () => closeModal('templateModal'));
+    document.getElementById('templateModal')?.querySelector('.modal-overlay')?.addEventListener('click', () => {
+        closeModal('templateModal');
+    });
+
+    if (templateSelect) {
+        templateSelect.addEventListener('change', () => fillTemplateForm(templateSelect.value));
+    }
+
+    if (templateForm) {
+        templateForm.addEventListener('submit', handleSaveTemplate);
+    }
+
+    if (deleteTemplateBtn) {
+        deleteTemplateBtn.addEventListener('click', handleDeleteTemplate);
+    }
+    
+    // Diálogo de envío
+    if (sendReportForm) {
+        sendReportForm.addEventListener('submit', handleSendReportSubmit);
+    }
+    document.getElementById('closeSendReportModal')?.addEventListener('click', closeSendReportDialog);
+    document.getElementById('cancelSendReportBtn')?.addEventListener('click', closeSendReportDialog);
+    document.getElementById('sendReportModal')?.querySelector('.modal-overlay')?.addEventListener('click', closeSendReportDialog);
+    
+    // Vista previa
+    document.getElementById('closeReportPreview')?.addEventListener('click', closeReportPreview);
+    document.getElementById('reportPreviewModal')?.querySelector('.modal-overlay')?.addEventListener('click', closeReportPreview);
 }
 
 /* ===================================
@@ -65,12 +130,15 @@ export async function loadReportsView() {
     try {
         console.log('🔥 Cargando eventos para reportes...');
         
-        const events = await getAllEvents();
+        const [events, templates] = await Promise.all([
+            getAllEvents(),
+            getReportTemplates()
+        ]);
+        
+        reportManagerState.templates = templates;
         
         // Filtrar solo eventos con fotos
-        const eventsWithPhotos = events.filter(event => 
-            event.fotos && event.fotos.length > 0
-        );
+        const eventsWithPhotos = events.filter(event => getEventPhotoCount(event) > 0);
         
         reportManagerState.events = eventsWithPhotos;
         
@@ -96,12 +164,15 @@ function renderReportsList(events) {
     
     hideEmptyState();
     
+    // Subir y enviar reportes requiere permiso; descargar no
+    const canShare = hasPermission(PERMISSIONS.COMPARTIR_REPORTES);
+    
     reportsContainer.innerHTML = events.map(event => {
-        const photoCount = event.fotos?.length || 0;
+        const photoCount = getEventPhotoCount(event);
         const categoryCount = event.categorias?.length || 0;
         
         return `
-            <div class="report-card">
+            <div class="report-card" data-event-id="${event.id}">
                 <div class="report-header">
                     <div class="report-info">
                         <h3>${event.nombre}</h3>
@@ -127,21 +198,84 @@ function renderReportsList(events) {
                         Listo
                     </span>
                 </div>
-                <div class="report-actions">
-                    <button class="btn-generate-report" onclick="generateReport('${event.id}', '${event.nombre.replace(/'/g, "\\'")}')">
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <div class="report-options">
+                    <div class="report-option">
+                        <label for="reportFormat-${event.id}">Formato</label>
+                        <select id="reportFormat-${event.id}">
+                            <option value="${REPORT_FORMATS.WORD}">Word (.docx)</option>
+                            <option value="${REPORT_FORMATS.PDF}">PDF (.pdf)</option>
+                        </select>
+                    </div>
+                    <div class="report-option">
+                        <label for="reportTemplate-${event.id}">Plantilla</label>
+                        <select id="reportTemplate-${event.id}">
+                            ${renderTemplateOptions()}
+                        </select>
+                    </div>
+                </div>
+                <div class="report-secondary-actions">
+                    <button class="btn-report-action" onclick="previewReport('${event.id}')" type="button">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" stroke="currentColor" stroke-width="2"/>
+                            <circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2"/>
+                        </svg>
+                        <span>Vista previa</span>
+                    </button>
+                    <button class="btn-report-action" onclick="downloadReportFile('${event.id}')" type="button">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                             <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" stroke="currentColor" stroke-width="2"/>
                             <polyline points="7 10 12 15 17 10" stroke="currentColor" stroke-width="2"/>
                             <line x1="12" y1="15" x2="12" y2="3" stroke="currentColor" stroke-width="2"/>
                         </svg>
-                        <span>Generar y Enviar Reporte</span>
+                        <span>Descargar</span>
+                    </button>
+                    ${canShare ? `
+                    <button class="btn-report-action" onclick="copyReportLink('${event.id}')" type="button">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" stroke="currentColor" stroke-width="2"/>
+                            <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" stroke="currentColor" stroke-width="2"/>
+                        </svg>
+                        <span>Copiar enlace</span>
                     </button>
+                    ` : ''}
                 </div>
+                ${canShare ? `
+                <div class="report-actions">
+                    <button class="btn-generate-report" onclick="sendReport('${event.id}')" type="button">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z" stroke="currentColor" stroke-width="2"/>
+                            <polyline points="22,6 12,13 2,6" stroke="currentColor" stroke-width="2"/>
+                        </svg>
+                        <span>Enviar por email</span>
+                    </button>
+                </div>
+                ` : ''}
+                <button class="btn-report-history" onclick="toggleReportHistory('${event.id}')" type="button">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <circle cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"/>
+                        <polyline points="12 6 12 12 16 14" stroke="currentColor" stroke-width="2"/>
+                    </svg>
+                    <span>Historial de reportes</span>
+                </button>
+                <div class="report-history hidden" id="reportHistory-${event.id}"></div>
             </div>
         `;
     }).join('');
 }
 
+/**
+ * Genera las opciones del selector de plantillas
+ * @param {string} selectedId - ID de la plantilla seleccionada
+ * @returns {string} - HTML de las opciones
+ */
+function renderTemplateOptions(selectedId = DEFAULT_TEMPLATE_ID) {
+    return reportManagerState.templates.map(template => `
+        <option value="${template.id}" ${template.id === selectedId ? 'selected' : ''}>
+            ${sanitizeString(template.nombre)}
+        </option>
+    `).join('');
+}
+
 /**
  * Muestra el estado vacío
  */
@@ -168,103 +302,775 @@ function hideEmptyState() {
    =================================== */
 
 /**
- * Genera el reporte para un evento
+ * Lee el formato y la plantilla elegidos en la tarjeta del evento
  * @param {string} eventId - ID del evento
- * @param {string} eventName - Nombre del evento
+ * @returns {Object} - {format, formatInfo, template}
  */
-window.generateReport = async function(eventId, eventName) {
+function getReportSelection(eventId) {
+    const formatSelect = document.getElementById(`reportFormat-${eventId}`);
+    const format = formatSelect ? formatSelect.value : REPORT_FORMATS.WORD;
+    
+    const templateId = document.getElementById(`reportTemplate-${eventId}`)?.value;
+    
+    return {
+        format,
+        formatInfo: getReportFormatInfo(format),
+        template: getTemplateById(templateId)
+    };
+}
+
+/**
+ * Clave del reporte en caché: cambia si cambia el evento, el formato o la plantilla
+ * @param {Object} event - Evento
+ * @param {string} format - Formato
+ * @param {Object} template - Plantilla
+ * @returns {string}
+ */
+function getReportCacheKey(event, format, template) {
+    const modified = event.fechaModificacion;
+    const modifiedKey = typeof modified?.toMillis === 'function' ? modified.toMillis() : String(modified || '');
+    const templateKey = `${template.id}:${JSON.stringify(template)}`;
+    
+    return `${event.id}|${format}|${templateKey}|${modifiedKey}`;
+}
+
+/**
+ * Devuelve el reporte del evento, generándolo solo si no está en caché
+ * La vista previa se genera con miniaturas; descargar o compartir usa las fotos completas
+ * @param {string} eventId - ID del evento
+ * @param {Object} options - {preview}
+ * @returns {Promise<Object>} - {blob, fileName, format, formatInfo, template, event}
+ */
+async function getCurrentReport(eventId, { preview = false } = {}) {
+    const event = reportManagerState.events.find(e => e.id === eventId);
+    
+    if (!event) {
+        throw new Error('Evento no encontrado');
+    }
+    
+    const { format, formatInfo, template } = getReportSelection(eventId);
+    const cacheKey = getReportCacheKey(event, format, template);
+    
+    // Un reporte completo en caché también sirve para la vista previa
+    const isCached = reportManagerState.currentReportBlob &&
+        reportManagerState.currentReportKey === cacheKey &&
+        (preview || !reportManagerState.currentReportIsPreview);
+    
+    if (isCached) {
+        console.log('♻️ Usando reporte en caché:', reportManagerState.currentReportFileName);
+        return {
+            blob: reportManagerState.currentReportBlob,
+            fileName: reportManagerState.currentReportFileName,
+            format,
+            formatInfo,
+            template,
+            event
+        };
+    }
+    
+    console.log('📄 Generando reporte para:', event.nombre, `(${formatInfo.label})`);
+    showMessage(`Generando documento ${formatInfo.label}...`, 'info');
+    
+    const reportBlob = await generateReport(eventId, format, template, { preview });
+    
+    if (!reportBlob) {
+        throw new Error(`No se pudo generar el documento ${formatInfo.label}`);
+    }
+    
+    console.log('✅ Documento generado:', {
+        size: reportBlob.size,
+        type: reportBlob.type
+    });
+    
+    // Guardar en caché (un reporte a la vez)
+    reportManagerState.currentReportBlob = reportBlob;
+    reportManagerState.currentReportKey = cacheKey;
+    reportManagerState.currentReportIsPreview = preview;
+    reportManagerState.currentReportFileName = `Reporte_${event.nombre.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.${format}`;
+    reportManagerState.currentReportUrl = null;
+    reportManagerState.currentReportRecordId = null;
+    reportManagerState.currentEventName = event.nombre;
+    
+    return {
+        blob: reportBlob,
+        fileName: reportManagerState.currentReportFileName,
+        format,
+        formatInfo,
+        template,
+        event
+    };
+}
+
+/**
+ * Sube el reporte en caché a Storage (una sola vez), lo registra en el historial
+ * y devuelve su enlace
+ * @param {string} eventId - ID del evento
+ * @returns {Promise<string>} - URL de descarga
+ */
+async function getCurrentReportUrl(eventId) {
+    if (!hasPermission(PERMISSIONS.COMPARTIR_REPORTES)) {
+        throw new Error('No tienes permiso para compartir reportes');
+    }
+    
+    const report = await getCurrentReport(eventId);
+    
+    if (!reportManagerState.currentReportUrl) {
+        showMessage('Subiendo reporte a la nube...', 'info', 3000);
+        const upload = await uploadReportToStorage(
+            report.blob,
+            report.fileName,
+            report.event.nombre,
+            report.formatInfo.mimeType
+        );
+        
+        reportManagerState.currentReportUrl = upload.url;
+        reportManagerState.currentReportRecordId = await logGeneratedReport({
+            eventoId: eventId,
+            eventoNombre: report.event.nombre,
+            plantilla: report.template,
+            formato: report.format,
+            fileName: report.fileName,
+            storagePath: upload.storagePath,
+            url: upload.url,
+            tamano: report.blob.size,
+            totalFotos: getEventPhotoCount(report.event)
+        });
+        
+        refreshReportHistory(eventId);
+    }
+    
+    return reportManagerState.currentReportUrl;
+}
+
+/**
+ * Ejecuta una acción de la tarjeta bloqueando sus botones mientras trabaja
+ * @param {string} eventId - ID del evento
+ * @param {Function} action - Acción asíncrona
+ */
+async function runReportAction(eventId, action) {
     if (reportManagerState.isGenerating) {
         showMessage('Ya hay un reporte generándose', 'error');
         return;
     }
     
     reportManagerState.isGenerating = true;
+    setCardBusy(eventId, true);
     
-    // Obtener botón para mostrar loading
-    const btn = event.target.closest('.btn-generate-report');
-    const originalContent = btn ? btn.innerHTML : null;
-    
-    if (btn) {
-        btn.disabled = true;
-        btn.innerHTML = `
-            <span class="spinner"></span>
-            <span>Generando y enviando...</span>
-        `;
+    try {
+        await action();
+    } catch (error) {
+        console.error('❌ Error al procesar reporte:', error);
+        showMessage(error.message || 'Error al procesar el reporte', 'error', 6000);
+    } finally {
+        reportManagerState.isGenerating = false;
+        setCardBusy(eventId, false);
     }
+}
+
+/**
+ * Muestra u oculta el estado de procesamiento en una tarjeta
+ * @param {string} eventId - ID del evento
+ * @param {boolean} busy - Si está procesando
+ */
+function setCardBusy(eventId, busy) {
+    const card = reportsContainer?.querySelector(`.report-card[data-event-id="${eventId}"]`);
+    if (!card) return;
     
-    try {
-        console.log('📄 Generando reporte para:', eventName);
-        
-        showMessage('Generando reporte...', 'info');
+    card.querySelectorAll('button, select').forEach(element => {
+        element.disabled = busy;
+    });
+    
+    const badge = card.querySelector('.status-badge');
+    if (badge) {
+        badge.classList.toggle('success', !busy);
+        badge.classList.toggle('info', busy);
+        badge.textContent = busy ? 'Procesando...' : 'Listo';
+    }
+}
+
+/* ===================================
+   ACCIONES DEL REPORTE
+   =================================== */
+
+/**
+ * Muestra la vista previa del reporte
+ * @param {string} eventId - ID del evento
+ */
+window.previewReport = function(eventId) {
+    runReportAction(eventId, async () => {
+        const report = await getCurrentReport(eventId, { preview: true });
         
-        // Obtener datos del evento completo
-        const { getEventById } = await import('./storage.js');
-        const eventData = await getEventById(eventId);
+        document.getElementById('reportPreviewTitle').textContent = report.fileName;
+        reportPreviewContainer.innerHTML = '<div class="report-preview-loading"><span class="spinner"></span></div>';
+        openModal('reportPreviewModal');
         
-        if (!eventData) {
-            throw new Error('Evento no encontrado');
+        if (report.format === REPORT_FORMATS.PDF) {
+            reportManagerState.previewUrl = URL.createObjectURL(report.blob);
+            reportPreviewContainer.innerHTML = `<iframe class="report-preview-frame" src="${reportManagerState.previewUrl}" title="Vista previa"></iframe>`;
+        } else {
+            // docx-preview se carga solo cuando se necesita
+            const { renderAsync } = await import(DOCX_PREVIEW_URL);
+            reportPreviewContainer.innerHTML = '';
+            await renderAsync(report.blob, reportPreviewContainer, null, {
+                className: 'docx-preview',
+                inWrapper: true
+            });
         }
+    });
+};
+
+/**
+ * Descarga el reporte al dispositivo
+ * @param {string} eventId - ID del evento
+ */
+window.downloadReportFile = function(eventId) {
+    runReportAction(eventId, async () => {
+        const report = await getCurrentReport(eventId);
+        downloadReport(report.blob, report.fileName);
+        showMessage('Reporte descargado', 'success');
+    });
+};
+
+/**
+ * Sube el reporte y copia el enlace para compartirlo
+ * @param {string} eventId - ID del evento
+ */
+window.copyReportLink = function(eventId) {
+    runReportAction(eventId, async () => {
+        const url = await getCurrentReportUrl(eventId);
+        const copied = await copyToClipboard(url);
         
-        if (!eventData.fotos || eventData.fotos.length === 0) {
-            throw new Error('Este evento no tiene fotos');
+        if (copied) {
+            showMessage('Enlace copiado al portapapeles', 'success');
+        } else {
+            // Sin permiso de portapapeles: mostrar el enlace para copiarlo a mano
+            window.prompt('Copia el enlace del reporte:', url);
         }
+    });
+};
+
+/**
+ * Abre el diálogo de destinatarios para enviar el reporte
+ * @param {string} eventId - ID del evento
+ */
+window.sendReport = async function(eventId) {
+    if (reportManagerState.isGenerating) {
+        showMessage('Ya hay un reporte generándose', 'error');
+        return;
+    }
+    
+    const event = reportManagerState.events.find(e => e.id === eventId);
+    if (!event) return;
+    
+    reportManagerState.pendingSend = { eventId };
+    
+    await openSendReportDialog(event.nombre);
+};
+
+/**
+ * Envía por email el enlace del reporte
+ * @param {string} eventId - ID del evento
+ * @param {Object} recipients - {to, cc, bcc}
+ */
+async function emailCurrentReport(eventId, recipients) {
+    const report = await getCurrentReport(eventId);
+    const downloadURL = await getCurrentReportUrl(eventId);
+    const event = report.event;
+    
+    showMessage('Enviando reporte por email...', 'info');
+    
+    await sendReportByEmail(
+        event.nombre,                                   // eventName
+        event.responsableNombre || 'Responsable',       // responsableNombre
+        getEventPhotoCount(event),                      // photoCount
+        event.categorias?.length || 0,                  // categoryCount
+        report.blob,                                    // reportBlob
+        report.fileName,                                // fileName
+        recipients,                                     // {to, cc, bcc}
+        downloadURL                                     // enlace ya subido
+    );
+    
+    await addReportRecipients(reportManagerState.currentReportRecordId, getAllRecipients(recipients));
+    await notifyReportSent(eventId);
+    refreshReportHistory(eventId);
+    
+    console.log('✅ Reporte enviado exitosamente');
+}
+
+/**
+ * Une los destinatarios de todos los campos
+ * @param {Object} recipients - {to, cc, bcc}
+ * @returns {Array<string>}
+ */
+function getAllRecipients(recipients) {
+    return [...recipients.to, ...recipients.cc, ...recipients.bcc].map(email => email.toLowerCase());
+}
+
+/**
+ * Cierra la vista previa y libera el documento
+ */
+function closeReportPreview() {
+    closeModal('reportPreviewModal');
+    
+    if (reportPreviewContainer) {
+        reportPreviewContainer.innerHTML = '';
+    }
+    
+    if (reportManagerState.previewUrl) {
+        URL.revokeObjectURL(reportManagerState.previewUrl);
+        reportManagerState.previewUrl = null;
+    }
+}
+
+/* ===================================
+   DESTINATARIOS
+   =================================== */
+
+/**
+ * Abre el diálogo de envío con el usuario actual como destinatario inicial
+ * @param {string} eventName - Nombre del evento
+ * @param {string|null} versionDate - Fecha de la versión del historial que se reenvía (opcional)
+ */
+async function openSendReportDialog(eventName, versionDate = null) {
+    const currentUser = getCurrentUser();
+    
+    document.getElementById('sendReportEventName').textContent = versionDate
+        ? `Se reenviará el reporte de "${eventName}" generado el ${versionDate}.`
+        : `Se generará el reporte de "${eventName}" y se enviará un enlace de descarga a los destinatarios.`;
+    
+    recipientsTo.value = currentUser?.email || '';
+    recipientsCc.value = '';
+    recipientsBcc.value = '';
+    
+    openModal('sendReportModal');
+    
+    // Contactos y usuarios activos para elegir con un toque
+    const savedContactsList = document.getElementById('savedContactsList');
+    const activeUsersList = document.getElementById('activeUsersList');
+    savedContactsList.innerHTML = '<span class="helper-text">Cargando...</span>';
+    activeUsersList.innerHTML = '';
+    
+    const [contacts, users] = await Promise.all([getContacts(), getActiveUsers()]);
+    
+    reportManagerState.userEmails = new Set(
+        users.filter(user => user.email).map(user => user.email.toLowerCase())
+    );
+    if (currentUser?.email) {
+        reportManagerState.userEmails.add(currentUser.email.toLowerCase());
+    }
+    
+    renderRecipientOptions(savedContactsList, contacts, 'No hay contactos guardados');
+    renderRecipientOptions(activeUsersList, users.filter(user => user.email), 'No hay usuarios activos con email');
+}
+
+/**
+ * Renderiza opciones de destinatarios como etiquetas
+ * @param {HTMLElement} container - Contenedor
+ * @param {Array} people - Personas con {nombre, email}
+ * @param {string} emptyText - Texto si no hay opciones
+ */
+function renderRecipientOptions(container, people, emptyText) {
+    if (people.length === 0) {
+        container.innerHTML = `<span class="helper-text">${emptyText}</span>`;
+        return;
+    }
+    
+    container.innerHTML = people.map(person => `
+        <button type="button" class="email-tag" data-email="${sanitizeString(person.email)}" title="${sanitizeString(person.email)}">
+            ${sanitizeString(person.nombre || person.email)}
+        </button>
+    `).join('');
+    
+    container.querySelectorAll('.email-tag').forEach(tag => {
+        tag.addEventListener('click', () => addRecipient(tag.dataset.email));
+    });
+}
+
+/**
+ * Agrega un email al campo "Para" si todavía no está en ningún campo
+ * @param {string} email - Email a agregar
+ */
+function addRecipient(email) {
+    const all = [recipientsTo, recipientsCc, recipientsBcc]
+        .flatMap(field => parseMultipleEmails(field.value))
+        .map(value => value.toLowerCase());
+    
+    if (all.includes(email.toLowerCase())) {
+        showMessage(`${email} ya está en los destinatarios`, 'info', 2000);
+        return;
+    }
+    
+    const current = recipientsTo.value.trim();
+    recipientsTo.value = current ? `${current}, ${email}` : email;
+}
+
+/**
+ * Cierra el diálogo de envío sin generar el reporte
+ */
+function closeSendReportDialog() {
+    reportManagerState.pendingSend = null;
+    closeModal('sendReportModal');
+}
+
+/**
+ * Valida los destinatarios y lanza la generación y envío
+ * @param {Event} e - Evento submit
+ */
+async function handleSendReportSubmit(e) {
+    e.preventDefault();
+    
+    const pending = reportManagerState.pendingSend;
+    if (!pending) return;
+    
+    const recipients = {
+        to: parseMultipleEmails(recipientsTo.value),
+        cc: parseMultipleEmails(recipientsCc.value),
+        bcc: parseMultipleEmails(recipientsBcc.value)
+    };
+    
+    if (recipients.to.length === 0) {
+        showMessage('Agrega al menos un destinatario en "Para"', 'error');
+        return;
+    }
+    
+    const allEmails = [...recipients.to, ...recipients.cc, ...recipients.bcc];
+    const invalidEmails = getInvalidEmails(allEmails);
+    
+    if (invalidEmails.length > 0) {
+        showMessage(`Emails no válidos: ${invalidEmails.join(', ')}`, 'error', 5000);
+        return;
+    }
+    
+    closeSendReportDialog();
+    
+    // Guardar los correos nuevos como contactos (sin bloquear el envío si falla)
+    if (document.getElementById('saveNewContacts')?.checked) {
+        const { userEmails } = reportManagerState;
+        saveContacts(allEmails.filter(email => !userEmails.has(email.toLowerCase())))
+            .catch(error => console.error('❌ Error al guardar contactos:', error));
+    }
+    
+    if (pending.historyReportId) {
+        await runReportAction(pending.eventId, () => emailHistoryReport(pending.eventId, pending.historyReportId, recipients));
+    } else {
+        await runReportAction(pending.eventId, () => emailCurrentReport(pending.eventId, recipients));
+    }
+}
+
+/* ===================================
+   HISTORIAL
+   =================================== */
+
+/**
+ * Muestra u oculta el historial de reportes de un evento
+ * @param {string} eventId - ID del evento
+ */
+window.toggleReportHistory = async function(eventId) {
+    const container = document.getElementById(`reportHistory-${eventId}`);
+    if (!container) return;
+    
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    
+    container.classList.remove('hidden');
+    await refreshReportHistory(eventId, true);
+};
+
+/**
+ * Recarga el historial de un evento si su panel está abierto
+ * @param {string} eventId - ID del evento
+ * @param {boolean} force - Cargar aunque el panel esté oculto
+ */
+async function refreshReportHistory(eventId, force = false) {
+    const container = document.getElementById(`reportHistory-${eventId}`);
+    if (!container || (!force && container.classList.contains('hidden'))) return;
+    
+    container.innerHTML = '<p class="report-history-empty">Cargando historial...</p>';
+    
+    const reports = await getEventReports(eventId);
+    reportManagerState.history[eventId] = reports;
+    
+    if (reports.length === 0) {
+        container.innerHTML = '<p class="report-history-empty">Aún no se han compartido reportes de este evento</p>';
+        return;
+    }
+    
+    container.innerHTML = reports.map(report => {
+        const author = report.generadoPor?.nombre || report.generadoPor?.email || 'Usuario';
+        const recipients = report.destinatarios?.length
+            ? `Enviado a: ${report.destinatarios.map(sanitizeString).join(', ')}`
+            : 'Sin envíos por email';
         
-        console.log('📊 Datos del evento:', {
-            nombre: eventData.nombre,
-            responsable: eventData.responsableNombre,
-            fotos: eventData.fotos.length,
-            categorias: eventData.categorias?.length || 0
-        });
-        
-        showMessage('Generando documento Word...', 'info');
-        
-        // Generar el reporte Word
-        const reportBlob = await generateWordReport(eventId);
+        return `
+            <div class="report-history-item">
+                <div class="report-history-info">
+                    <strong>${formatHistoryDate(report.fecha)}</strong>
+                    <span>${getReportFormatInfo(report.formato).label} · ${sanitizeString(report.plantillaNombre || 'Predeterminada')} · ${report.totalFotos} fotos · ${formatBytes(report.tamano || 0)}</span>
+                    <span>Generado por ${sanitizeString(author)}</span>
+                    <span>${recipients}</span>
+                </div>
+                <div class="report-history-actions">
+                    <button type="button" onclick="downloadHistoryReport('${eventId}', '${report.id}')">Descargar</button>
+                    ${hasPermission(PERMISSIONS.COMPARTIR_REPORTES) ? `<button type="button" onclick="resendHistoryReport('${eventId}', '${report.id}')">Reenviar</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Busca un reporte del historial ya cargado
+ * @param {string} eventId - ID del evento
+ * @param {string} reportId - ID del registro
+ * @returns {Object|null}
+ */
+function getHistoryReport(eventId, reportId) {
+    return (reportManagerState.history[eventId] || []).find(report => report.id === reportId) || null;
+}
+
+/**
+ * Descarga una versión anterior del reporte
+ * @param {string} eventId - ID del evento
+ * @param {string} reportId - ID del registro
+ */
+window.downloadHistoryReport = function(eventId, reportId) {
+    const report = getHistoryReport(eventId, reportId);
+    if (!report) return;
+    
+    runReportAction(eventId, async () => {
+        const response = await fetch(report.url);
         
-        if (!reportBlob) {
-            throw new Error('No se pudo generar el documento Word');
+        if (!response.ok) {
+            throw new Error('El archivo del reporte ya no está disponible');
         }
         
-        console.log('✅ Documento generado:', {
-            size: reportBlob.size,
-            type: reportBlob.type
-        });
-        
-        showMessage('Enviando reporte por email...', 'info');
-        
-        // Preparar nombre del archivo
-        const fileName = `Reporte_${eventName.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.docx`;
-        
-        // Preparar datos para el email
-        const photoCount = eventData.fotos?.length || 0;
-        const categoryCount = eventData.categorias?.length || 0;
-        const responsableNombre = eventData.responsableNombre || 'Responsable';
-        
-        // Enviar por email con los parámetros correctos
-        await sendReportByEmail(
-            eventData.nombre,        // eventName
-            responsableNombre,       // responsableNombre
-            photoCount,              // photoCount
-            categoryCount,           // categoryCount
-            reportBlob,              // reportBlob
-            fileName                 // fileName
-        );
-        
-        console.log('✅ Reporte enviado exitosamente');
-        
+        downloadReport(await response.blob(), report.fileName);
+        showMessage('Reporte descargado', 'success');
+    });
+};
+
+/**
+ * Abre el diálogo de envío para una versión anterior del reporte
+ * @param {string} eventId - ID del evento
+ * @param {string} reportId - ID del registro
+ */
+window.resendHistoryReport = async function(eventId, reportId) {
+    if (reportManagerState.isGenerating) {
+        showMessage('Ya hay un reporte generándose', 'error');
+        return;
+    }
+    
+    const report = getHistoryReport(eventId, reportId);
+    if (!report) return;
+    
+    reportManagerState.pendingSend = { eventId, historyReportId: reportId };
+    
+    await openSendReportDialog(report.eventoNombre, formatHistoryDate(report.fecha));
+};
+
+/**
+ * Envía por email el enlace de una versión anterior del reporte
+ * @param {string} eventId - ID del evento
+ * @param {string} reportId - ID del registro
+ * @param {Object} recipients - {to, cc, bcc}
+ */
+async function emailHistoryReport(eventId, reportId, recipients) {
+    const report = getHistoryReport(eventId, reportId);
+    const event = reportManagerState.events.find(e => e.id === eventId);
+    
+    if (!report || !event) {
+        throw new Error('Reporte no encontrado');
+    }
+    
+    await sendReportByEmail(
+        report.eventoNombre,
+        event.responsableNombre || 'Responsable',
+        report.totalFotos,
+        event.categorias?.length || 0,
+        null,
+        report.fileName,
+        recipients,
+        report.url
+    );
+    
+    await addReportRecipients(reportId, getAllRecipients(recipients));
+    await notifyReportSent(eventId);
+    refreshReportHistory(eventId);
+}
+
+/**
+ * Marca el evento con reporte enviado y avisa a la lista de eventos
+ * @param {string} eventId - ID del evento
+ */
+async function notifyReportSent(eventId) {
+    if (await markEventReportSent(eventId)) {
+        window.dispatchEvent(new CustomEvent('eventUpdated', { detail: { eventId } }));
+    }
+}
+
+/**
+ * Formatea la fecha de un reporte con hora
+ * @param {any} date - Timestamp de Firestore
+ * @returns {string}
+ */
+function formatHistoryDate(date) {
+    const d = typeof date?.toDate === 'function' ? date.toDate() : new Date(date);
+    return d.toLocaleString('es-MX', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/* ===================================
+   PLANTILLAS
+   =================================== */
+
+/**
+ * Busca una plantilla cargada por su ID
+ * @param {string} templateId - ID de la plantilla
+ * @returns {Object} - Plantilla (la predeterminada si no existe)
+ */
+function getTemplateById(templateId) {
+    return reportManagerState.templates.find(template => template.id === templateId) || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Abre el modal para crear o editar plantillas
+ */
+async function openTemplateManager() {
+    if (!hasPermission(PERMISSIONS.GESTIONAR_PLANTILLAS)) return;
+
+    if (reportManagerState.templates.length === 0) {
+        reportManagerState.templates = await getReportTemplates();
+    }
+
+    renderTemplateSelect('');
+    fillTemplateForm('');
+    openModal('templateModal');
+}
+
+/**
+ * Renderiza el selector del modal (la predeterminada no es editable)
+ * @param {string} selectedId - ID seleccionado ('' para nueva plantilla)
+ */
+function renderTemplateSelect(selectedId) {
+    if (!templateSelect) return;
+
+    const customTemplates = reportManagerState.templates.filter(template => template.id !== DEFAULT_TEMPLATE_ID);
+
+    templateSelect.innerHTML = `
+        <option value="">+ Nueva plantilla</option>
+        ${customTemplates.map(template => `
+            <option value="${template.id}">${sanitizeString(template.nombre)}</option>
+        `).join('')}
+    `;
+    templateSelect.value = selectedId;
+}
+
+/**
+ * Llena el formulario con una plantilla (o con los valores predeterminados)
+ * @param {string} templateId - ID de la plantilla ('' para nueva)
+ */
+function fillTemplateForm(templateId) {
+    const template = templateId ? getTemplateById(templateId) : { ...DEFAULT_TEMPLATE, nombre: '' };
+
+    document.getElementById('templateName').value = template.nombre;
+    document.getElementById('templateColumns').value = String(template.columnas);
+    document.getElementById('templateImageSize').value = template.tamanoImagen;
+    document.getElementById('templateProportion').value = template.proporcionImagen;
+    document.getElementById('templateFit').value = template.ajusteImagen;
+    document.getElementById('templateLogoUrl').value = template.logoUrl;
+    document.getElementById('templatePrimaryColor').value = template.colorPrimario.toLowerCase();
+    document.getElementById('templateSecondaryColor').value = template.colorSecundario.toLowerCase();
+    document.getElementById('templateHeader').value = template.encabezado;
+    document.getElementById('templateFooter').value = template.piePagina;
+    document.getElementById('templatePageBreaks').checked = template.saltoPaginaCategorias;
+    document.getElementById('templatePageNumbers').checked = template.numerarPaginas;
+
+    deleteTemplateBtn?.classList.toggle('hidden', !templateId);
+}
+
+/**
+ * Lee los datos del formulario de plantilla
+ * @returns {Object}
+ */
+function getTemplateFormData() {
+    return {
+        id: templateSelect?.value || null,
+        nombre: document.getElementById('templateName').value,
+        columnas: document.getElementById('templateColumns').value,
+        tamanoImagen: document.getElementById('templateImageSize').value,
+        proporcionImagen: document.getElementById('templateProportion').value,
+        ajusteImagen: document.getElementById('templateFit').value,
+        logoUrl: document.getElementById('templateLogoUrl').value,
+        colorPrimario: document.getElementById('templatePrimaryColor').value,
+        colorSecundario: document.getElementById('templateSecondaryColor').value,
+        encabezado: document.getElementById('templateHeader').value,
+        piePagina: document.getElementById('templateFooter').value,
+        saltoPaginaCategorias: document.getElementById('templatePageBreaks').checked,
+        numerarPaginas: document.getElementById('templatePageNumbers').checked
+    };
+}
+
+/**
+ * Guarda la plantilla del formulario
+ * @param {Event} e - Evento submit
+ */
+async function handleSaveTemplate(e) {
+    e.preventDefault();
+
+    const saveBtn = document.getElementById('saveTemplateBtn');
+    if (saveBtn) saveBtn.disabled = true;
+
+    try {
+        const saved = await saveReportTemplate(getTemplateFormData());
+
+        reportManagerState.templates = await getReportTemplates();
+        renderTemplateSelect(saved.id);
+        fillTemplateForm(saved.id);
+        refreshReportsList();
+
+        showMessage('Plantilla guardada', 'success');
     } catch (error) {
-        console.error('❌ Error al generar/enviar reporte:', error);
-        showMessage(error.message || 'Error al procesar el reporte', 'error', 6000);
+        console.error('❌ Error al guardar plantilla:', error);
+        showMessage(error.message || 'Error al guardar la plantilla', 'error');
     } finally {
-        reportManagerState.isGenerating = false;
-        
-        // Restaurar botón
-        if (btn && originalContent) {
-            btn.disabled = false;
-            btn.innerHTML = originalContent;
-        }
+        if (saveBtn) saveBtn.disabled = false;
     }
-};
+}
+
+/**
+ * Elimina la plantilla seleccionada
+ */
+async function handleDeleteTemplate() {
+    const templateId = templateSelect?.value;
+    if (!templateId) return;
+
+    const template = getTemplateById(templateId);
+    if (!confirm(`¿Eliminar la plantilla "${template.nombre}"?`)) return;
+
+    try {
+        await deleteReportTemplate(templateId);
+
+        reportManagerState.templates = await getReportTemplates();
+        renderTemplateSelect('');
+        fillTemplateForm('');
+        refreshReportsList();
+
+        showMessage('Plantilla eliminada', 'success');
+    } catch (error) {
+        console.error('❌ Error al eliminar plantilla:', error);
+        showMessage(error.message || 'Error al eliminar la plantilla', 'error');
+    }
+}
+
+/**
+ * Vuelve a renderizar las tarjetas para actualizar los selectores de plantilla
+ */
+function refreshReportsList() {
+    if (reportManagerState.events.length > 0) {
+        renderReportsList(reportManagerState.events);
+    }
+}
 
 /* ===================================
    EXPORTACIONES
@@ -0,0 +1,203 @@
+/* ===================================
+   PLANTILLAS DE REPORTE - T&C GROUP
+   Diseño configurable de los reportes Word y PDF
+   =================================== */
+
+import { db, COLLECTIONS } from './storage.js';
+import {
+    collection,
+    doc,
+    getDocs,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    orderBy,
+    Timestamp
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+export const DEFAULT_TEMPLATE_ID = 'predeterminada';
+
+// Proporciones disponibles para la celda de cada foto (alto / ancho)
+export const IMAGE_PROPORTIONS = {
+    '1:1': 1,
+    '4:3': 3 / 4,
+    '3:4': 4 / 3,
+    '16:9': 9 / 16
+};
+
+// Cómo se acomoda cada foto dentro de su celda
+export const IMAGE_FIT = {
+    AJUSTAR: 'ajustar',     // Foto completa, conservando su proporción
+    RECORTAR: 'recortar'    // Llena la celda recortando los bordes
+};
+
+// Límites del tamaño de imagen en píxeles
+const MIN_IMAGE_SIZE = 80;
+const MAX_IMAGE_SIZE = 600;
+
+/**
+ * Plantilla predeterminada: reproduce el diseño original del reporte
+ */
+export const DEFAULT_TEMPLATE = Object.freeze({
+    id: DEFAULT_TEMPLATE_ID,
+    nombre: 'Predeterminada',
+    columnas: 3,
+    tamanoImagen: 180,
+    proporcionImagen: '1:1',
+    ajusteImagen: IMAGE_FIT.AJUSTAR,
+    saltoPaginaCategorias: false,
+    logoUrl: '',
+    colorPrimario: '#1E40AF',
+    colorSecundario: '#64748B',
+    encabezado: '',
+    piePagina: '',
+    numerarPaginas: false
+});
+
+/* ===================================
+   OPERACIONES
+   =================================== */
+
+/**
+ * Obtiene todas las plantillas (la predeterminada primero)
+ * @returns {Promise<Array>}
+ */
+export async function getReportTemplates() {
+    try {
+        const q = query(collection(db, COLLECTIONS.PLANTILLAS), orderBy('nombre', 'asc'));
+        const querySnapshot = await getDocs(q);
+
+        const templates = querySnapshot.docs.map(docSnap => normalizeTemplate({
+            id: docSnap.id,
+            ...docSnap.data()
+        }));
+
+        console.log(`✅ ${templates.length} plantillas de reporte cargadas`);
+        return [{ ...DEFAULT_TEMPLATE }, ...templates];
+
+    } catch (error) {
+        console.error('❌ Error al obtener plantillas:', error);
+        return [{ ...DEFAULT_TEMPLATE }];
+    }
+}
+
+/**
+ * Guarda una plantilla (crea si no tiene ID, actualiza si lo tiene)
+ * @param {Object} template - Datos de la plantilla
+ * @returns {Promise<Object>} - Plantilla guardada
+ */
+export async function saveReportTemplate(template) {
+    if (template.id === DEFAULT_TEMPLATE_ID) {
+        throw new Error('La plantilla predeterminada no se puede modificar');
+    }
+
+    const { id, ...data } = normalizeTemplate(template);
+
+    if (!data.nombre) {
+        throw new Error('La plantilla necesita un nombre');
+    }
+
+    if (id) {
+        await updateDoc(doc(db, COLLECTIONS.PLANTILLAS, id), {
+            ...data,
+            fechaModificacion: Timestamp.now()
+        });
+        console.log('✅ Plantilla actualizada:', id);
+        return { id, ...data };
+    }
+
+    const docRef = await addDoc(collection(db, COLLECTIONS.PLANTILLAS), {
+        ...data,
+        fechaCreacion: Timestamp.now(),
+        fechaModificacion: Timestamp.now()
+    });
+    console.log('✅ Plantilla creada:', docRef.id);
+    return { id: docRef.id, ...data };
+}
+
+/**
+ * Elimina una plantilla
+ * @param {string} templateId - ID de la plantilla
+ * @returns {Promise<boolean>}
+ */
+export async function deleteReportTemplate(templateId) {
+    if (templateId === DEFAULT_TEMPLATE_ID) {
+        throw new Error('La plantilla predeterminada no se puede eliminar');
+    }
+
+    await deleteDoc(doc(db, COLLECTIONS.PLANTILLAS, templateId));
+    console.log('🗑️ Plantilla eliminada:', templateId);
+    return true;
+}
+
+/* ===================================
+   NORMALIZACIÓN
+   =================================== */
+
+/**
+ * Completa una plantilla con los valores predeterminados y corrige rangos
+ * @param {Object} template - Datos parciales de la plantilla
+ * @returns {Object} - Plantilla válida
+ */
+export function normalizeTemplate(template = {}) {
+    const merged = { ...DEFAULT_TEMPLATE, id: null, ...template };
+
+    const columnas = parseInt(merged.columnas, 10);
+    const tamanoImagen = parseInt(merged.tamanoImagen, 10);
+
+    return {
+        id: merged.id,
+        nombre: (merged.nombre || '').trim(),
+        columnas: clamp(isNaN(columnas) ? DEFAULT_TEMPLATE.columnas : columnas, 1, 4),
+        tamanoImagen: clamp(isNaN(tamanoImagen) ? DEFAULT_TEMPLATE.tamanoImagen : tamanoImagen, MIN_IMAGE_SIZE, MAX_IMAGE_SIZE),
+        proporcionImagen: IMAGE_PROPORTIONS[merged.proporcionImagen] ? merged.proporcionImagen : DEFAULT_TEMPLATE.proporcionImagen,
+        ajusteImagen: Object.values(IMAGE_FIT).includes(merged.ajusteImagen) ? merged.ajusteImagen : DEFAULT_TEMPLATE.ajusteImagen,
+        saltoPaginaCategorias: Boolean(merged.saltoPaginaCategorias),
+        logoUrl: (merged.logoUrl || '').trim(),
+        colorPrimario: normalizeColor(merged.colorPrimario, DEFAULT_TEMPLATE.colorPrimario),
+        colorSecundario: normalizeColor(merged.colorSecundario, DEFAULT_TEMPLATE.colorSecundario),
+        encabezado: (merged.encabezado || '').trim(),
+        piePagina: (merged.piePagina || '').trim(),
+        numerarPaginas: Boolean(merged.numerarPaginas)
+    };
+}
+
+/**
+ * Valida un color hexadecimal (#RRGGBB)
+ * @param {string} color - Color a validar
+ * @param {string} fallback - Color si no es válido
+ * @returns {string} - Color en mayúsculas con #
+ */
+function normalizeColor(color, fallback) {
+    const value = (color || '').trim();
+    const hex = value.startsWith('#') ? value : `#${value}`;
+    return /^#[0-9a-fA-F]{6}$/.test(hex) ? hex.toUpperCase() : fallback;
+}
+
+/**
+ * Limita un número a un rango
+ * @param {number} value - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    DEFAULT_TEMPLATE,
+    getReportTemplates,
+    saveReportTemplate,
+    deleteReportTemplate,
+    normalizeTemplate
+};
@@ -1,15 +1,57 @@
 /* ===================================
    MÓDULO DE REPORTES - T&C GROUP
-   Generación de documentos Word con fotos
+   Generación de documentos Word y PDF con fotos
    Versión simplificada sin marcas de agua
    =================================== */
 
-import { getEventById } from './storage.js';
-import { filterPhotosByCategory } from './photos.js';
-import { showMessage } from './utils.js';
+import { getEventById, getEventPhotos } from './storage.js';
+import { filterPhotosByCategory, getFileDimensions, sortPhotosByCaptureTime, getThumbnailUrl } from './photos.js';
+import { showMessage, formatDateRange } from './utils.js';
+import { DEFAULT_TEMPLATE, IMAGE_PROPORTIONS, IMAGE_FIT, normalizeTemplate } from './report-templates.js';
 
 /* ===================================
-   HELPER: ESPERAR DOCX EN window
+   FORMATOS DE REPORTE
+   =================================== */
+
+export const REPORT_FORMATS = {
+    WORD: 'docx',
+    PDF: 'pdf'
+};
+
+const REPORT_FORMAT_INFO = {
+    [REPORT_FORMATS.WORD]: {
+        label: 'Word',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    },
+    [REPORT_FORMATS.PDF]: {
+        label: 'PDF',
+        mimeType: 'application/pdf'
+    }
+};
+
+// Medidas del PDF en milímetros (A4), equivalentes a las del documento Word
+const PDF_LAYOUT = {
+    margin: 17.6,       // 1000 twips
+    rowGap: 6,
+    captionFontSize: 9,
+    captionLineHeight: 3.8
+};
+
+// Ancho útil de la página A4 con márgenes de 1000 twips, en píxeles (96 dpi)
+const CONTENT_WIDTH_PX = 660;
+const PX_TO_MM = 25.4 / 96;
+
+// Tamaño máximo del logo en la portada (px)
+const LOGO_MAX_SIZE = { width: 200, height: 100 };
+
+// Resolución de los recortes respecto al tamaño en el documento (nitidez al imprimir)
+const CROP_SCALE = 2;
+
+// Formatos que jsPDF y Word insertan sin convertir
+const EMBEDDABLE_FORMATS = ['JPEG', 'PNG'];
+
+/* ===================================
+   HELPER: ESPERAR LIBRERÍAS EN window
    =================================== */
 
 /**
@@ -27,6 +69,99 @@ async function waitForDocx(maxMs = 6000, intervalMs = 150) {
     }
 }
 
+/**
+ * Espera activa a que la librería jsPDF (UMD) esté disponible en window.
+ * @param {number} maxMs - Tiempo máximo de espera en milisegundos
+ * @param {number} intervalMs - Intervalo entre chequeos en milisegundos
+ */
+async function waitForJsPDF(maxMs = 6000, intervalMs = 150) {
+    const t0 = Date.now();
+    while (!window.jspdf) {
+        await new Promise(res => setTimeout(res, intervalMs));
+        if (Date.now() - t0 > maxMs) {
+            throw new Error('La librería jsPDF no se cargó correctamente. Verifica el <script src=".../jspdf..."> en app.html o tu conexión.');
+        }
+    }
+}
+
+/* ===================================
+   DATOS COMUNES DEL REPORTE
+   =================================== */
+
+/**
+ * Genera el reporte del evento en el formato indicado
+ * @param {string} eventId - ID del evento
+ * @param {string} format - REPORT_FORMATS.WORD o REPORT_FORMATS.PDF
+ * @param {Object} template - Plantilla del reporte (opcional)
+ * @param {Object} options - {preview}: con preview, usa miniaturas para generar más rápido
+ * @returns {Promise<Blob>}
+ */
+export async function generateReport(eventId, format = REPORT_FORMATS.WORD, template = DEFAULT_TEMPLATE, options = {}) {
+    if (format === REPORT_FORMATS.PDF) {
+        return generatePdfReport(eventId, template, options);
+    }
+    return generateWordReport(eventId, template, options);
+}
+
+/**
+ * Obtiene la información de un formato (etiqueta y tipo MIME)
+ * @param {string} format - Formato del reporte
+ * @returns {Object} - {label, mimeType}
+ */
+export function getReportFormatInfo(format) {
+    return REPORT_FORMAT_INFO[format] || REPORT_FORMAT_INFO[REPORT_FORMATS.WORD];
+}
+
+/**
+ * Carga el evento con sus fotos y valida que se pueda generar el reporte
+ * @param {string} eventId - ID del evento
+ * @returns {Promise<Object>} - Evento con el arreglo `fotos`
+ */
+async function loadReportEvent(eventId) {
+    const eventData = await getEventById(eventId);
+
+    if (!eventData) {
+        throw new Error('Evento no encontrado');
+    }
+
+    // Las fotos viven en la subcolección eventos/{id}/fotos
+    // y el reporte las muestra en el orden en que se tomaron
+    const event = {
+        ...eventData,
+        fotos: sortPhotosByCaptureTime(await getEventPhotos(eventId, eventData))
+    };
+
+    // Validar que tenga fotos
+    if (event.fotos.length === 0) {
+        throw new Error('El evento no tiene fotos para generar reporte');
+    }
+
+    return event;
+}
+
+/**
+ * Datos de la portada, compartidos por Word y PDF
+ * @param {Object} event - Evento con fotos
+ * @returns {Object} - {title, subtitle, rows: [{label, value}]}
+ */
+function getReportCoverData(event) {
+    const rows = [
+        { label: 'Cliente', value: event.cliente },
+        { label: 'Tipo de evento', value: event.tipoEvento },
+        { label: 'Sede', value: event.sede },
+        // Eventos anteriores a las fechas del evento usan la fecha de creación
+        { label: 'Fecha', value: formatDateRange(event.fechaInicio, event.fechaFin) || formatDate(event.fechaCreacion) },
+        { label: 'Responsable', value: event.responsableNombre },
+        { label: 'Total de fotos', value: event.fotos.length.toString() }
+    ];
+
+    return {
+        title: event.nombre,
+        subtitle: 'REPORTE FOTOGRÁFICO',
+        rows: rows.filter(row => row.value)
+    };
+}
+
 /* ===================================
    GENERACIÓN DE REPORTE WORD
    =================================== */
@@ -34,31 +169,24 @@ async function waitForDocx(maxMs = 6000, intervalMs = 150) {
 /**
  * Genera un reporte en Word para un evento
  * @param {string} eventId - ID del evento
+ * @param {Object} template - Plantilla del reporte (opcional)
+ * @param {Object} options - {preview} (ver generateReport)
  * @returns {Promise<Blob>} - Documento Word como Blob
  */
-export async function generateWordReport(eventId) {
+export async function generateWordReport(eventId, template = DEFAULT_TEMPLATE, options = {}) {
     try {
         console.log('📄 Generando reporte para evento:', eventId);
 
         // Esperar a que la librería docx esté lista en window
         await waitForDocx();
 
-        // Obtener datos del evento
-        const event = await getEventById(eventId);
-
-        if (!event) {
-            throw new Error('Evento no encontrado');
-        }
-
-        // Validar que tenga fotos
-        if (!event.fotos || event.fotos.length === 0) {
-            throw new Error('El evento no tiene fotos para generar reporte');
-        }
+        // Obtener datos del evento con sus fotos
+        const event = await loadReportEvent(eventId);
 
         showMessage('Generando reporte Word...', 'info');
 
         // Crear documento usando docx.js
-        const doc = await createWordDocument(event);
+        const doc = await createWordDocument(event, normalizeTemplate(template), options);
 
         // Convertir a Blob
         const blob = await window.docx.Packer.toBlob(doc);
@@ -76,35 +204,59 @@ export async function generateWordReport(eventId) {
 /**
  * Crea el documento Word con la estructura completa
  * @param {Object} event - Datos del evento
+ * @param {Object} template - Plantilla normalizada
+ * @param {Object} options - {preview}
  * @returns {Promise<Document>} - Documento docx
  */
-async function createWordDocument(event) {
+async function createWordDocument(event, template, options = {}) {
     // Defensa adicional: asegúrate de que docx esté disponible
     await waitForDocx();
 
-    const { Document, Paragraph, TextRun, ImageRun, AlignmentType, Table, TableRow, TableCell, WidthType } = window.docx;
+    const { Document, Paragraph, TextRun, ImageRun, AlignmentType, Table, TableRow, TableCell, WidthType, Header, Footer, PageNumber } = window.docx;
 
-    // Descargar imágenes como buffers
-    const imageBuffers = await downloadAllImages(event.fotos);
+    // Descargar imágenes y ajustarlas a la celda de la plantilla
+    const imageBox = getImageBox(template);
+    const imageBuffers = await downloadAllImages(event.fotos, options);
+    const images = await prepareReportImages(event.fotos, imageBuffers, imageBox, template.ajusteImagen);
+    const logo = await downloadLogo(template.logoUrl);
 
     // Array para todos los elementos del documento
     const children = [];
+    const cover = getReportCoverData(event);
+    const primaryColor = toDocxColor(template.colorPrimario);
+    const secondaryColor = toDocxColor(template.colorSecundario);
+    const cellWidth = 100 / template.columnas;
 
     // PORTADA
-    // Espaciado superior
-    children.push(new Paragraph({ text: "" }));
-    children.push(new Paragraph({ text: "" }));
-    children.push(new Paragraph({ text: "" }));
+    if (logo) {
+        children.push(
+            new Paragraph({
+                children: [
+                    new ImageRun({
+                        data: logo.buffer,
+                        transformation: { width: logo.width, height: logo.height }
+                    })
+                ],
+                alignment: AlignmentType.CENTER,
+                spacing: { after: 400 }
+            })
+        );
+    } else {
+        // Espaciado superior
+        children.push(new Paragraph({ text: "" }));
+        children.push(new Paragraph({ text: "" }));
+        children.push(new Paragraph({ text: "" }));
+    }
 
     // Título del evento
     children.push(
         new Paragraph({
             children: [
                 new TextRun({
-                    text: event.nombre,
+                    text: cover.title,
                     size: 48,
                     bold: true,
-                    color: "1E40AF"
+                    color: primaryColor
                 })
             ],
             alignment: AlignmentType.CENTER,
@@ -117,9 +269,9 @@ async function createWordDocument(event) {
         new Paragraph({
             children: [
                 new TextRun({
-                    text: "REPORTE FOTOGRÁFICO",
+                    text: cover.subtitle,
                     size: 28,
-                    color: "64748B"
+                    color: secondaryColor
                 })
             ],
             alignment: AlignmentType.CENTER,
@@ -128,230 +280,180 @@ async function createWordDocument(event) {
     );
 
     // Información del evento
-    children.push(
-        new Paragraph({
-            children: [
-                new TextRun({
-                    text: "Responsable: ",
-                    size: 24,
-                    bold: true
-                }),
-                new TextRun({
-                    text: event.responsableNombre,
-                    size: 24
-                })
-            ],
-            alignment: AlignmentType.CENTER,
-            spacing: { after: 200 }
-        })
-    );
-
-    children.push(
-        new Paragraph({
-            children: [
-                new TextRun({
-                    text: "Fecha: ",
-                    size: 24,
-                    bold: true
-                }),
-                new TextRun({
-                    text: formatDate(event.fechaCreacion),
-                    size: 24
-                })
-            ],
-            alignment: AlignmentType.CENTER,
-            spacing: { after: 200 }
-        })
-    );
-
-    children.push(
-        new Paragraph({
-            children: [
-                new TextRun({
-                    text: "Total de fotos: ",
-                    size: 24,
-                    bold: true
-                }),
-                new TextRun({
-                    text: event.fotos.length.toString(),
-                    size: 24
-                })
-            ],
-            alignment: AlignmentType.CENTER,
-            spacing: { after: 800 }
-        })
-    );
+    cover.rows.forEach((row, index) => {
+        const isLast = index === cover.rows.length - 1;
+
+        children.push(
+            new Paragraph({
+                children: [
+                    new TextRun({
+                        text: `${row.label}: `,
+                        size: 24,
+                        bold: true
+                    }),
+                    new TextRun({
+                        text: row.value,
+                        size: 24
+                    })
+                ],
+                alignment: AlignmentType.CENTER,
+                spacing: { after: isLast ? 800 : 200 }
+            })
+        );
+    });
 
     // Separador
     children.push(new Paragraph({ text: "" }));
     children.push(new Paragraph({ text: "" }));
 
-    // CATEGORÍAS CONTINUAS (sin saltos de página)
-    if (event.categorias && event.categorias.length > 0) {
-        for (const category of event.categorias) {
-            const categoryPhotos = filterPhotosByCategory(event.fotos, category.id);
+    // Celdas sin bordes para el grid de fotos
+    const noBorders = {
+        top: { style: 'none', size: 0, color: 'FFFFFF' },
+        bottom: { style: 'none', size: 0, color: 'FFFFFF' },
+        left: { style: 'none', size: 0, color: 'FFFFFF' },
+        right: { style: 'none', size: 0, color: 'FFFFFF' }
+    };
 
-            if (categoryPhotos.length > 0) {
-                // Título de la categoría
-                children.push(
-                    new Paragraph({
-                        children: [
-                            new TextRun({
-                                text: category.nombre.toUpperCase(),
-                                size: 36,
-                                bold: true,
-                                color: "1E40AF"
-                            })
-                        ],
-                        spacing: { before: 600, after: 400 },
-                        alignment: AlignmentType.LEFT
+    // CATEGORÍAS (continuas o una por página, según la plantilla)
+    for (const category of event.categorias || []) {
+        const categoryPhotos = filterPhotosByCategory(event.fotos, category.id)
+            .filter(photo => images.has(photo.id));
+
+        if (categoryPhotos.length === 0) continue;
+
+        // Título de la categoría
+        children.push(
+            new Paragraph({
+                children: [
+                    new TextRun({
+                        text: category.nombre.toUpperCase(),
+                        size: 36,
+                        bold: true,
+                        color: primaryColor
                     })
-                );
-
-                // Agregar fotos en grid de 3 columnas
-                for (let i = 0; i < categoryPhotos.length; i += 3) {
-                    const photo1 = categoryPhotos[i];
-                    const photo2 = categoryPhotos[i + 1];
-                    const photo3 = categoryPhotos[i + 2];
-
-                    const cells = [];
-
-                    // Primera foto
-                    if (photo1 && imageBuffers.has(photo1.id)) {
-                        cells.push(
-                            new TableCell({
-                                children: [
-                                    new Paragraph({
-                                        children: [
-                                            new ImageRun({
-                                                data: imageBuffers.get(photo1.id),
-                                                transformation: {
-                                                    width: 180,
-                                                    height: 180
-                                                }
-                                            })
-                                        ],
-                                        alignment: AlignmentType.CENTER
-                                    })
-                                ],
-                                width: { size: 33.33, type: WidthType.PERCENTAGE },
-                                borders: {
-                                    top: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    bottom: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    left: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    right: { style: 'none', size: 0, color: 'FFFFFF' }
-                                }
-                            })
-                        );
-                    }
-
-                    // Segunda foto (si existe)
-                    if (photo2 && imageBuffers.has(photo2.id)) {
-                        cells.push(
-                            new TableCell({
-                                children: [
-                                    new Paragraph({
-                                        children: [
-                                            new ImageRun({
-                                                data: imageBuffers.get(photo2.id),
-                                                transformation: {
-                                                    width: 180,
-                                                    height: 180
-                                                }
-                                            })
-                                        ],
-                                        alignment: AlignmentType.CENTER
-                                    })
-                                ],
-                                width: { size: 33.33, type: WidthType.PERCENTAGE },
-                                borders: {
-                                    top: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    bottom: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    left: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    right: { style: 'none', size: 0, color: 'FFFFFF' }
-                                }
-                            })
-                        );
-                    } else if (photo1) {
-                        // Celda vacía si no hay segunda foto
-                        cells.push(
-                            new TableCell({
-                                children: [new Paragraph({ text: "" })],
-                                width: { size: 33.33, type: WidthType.PERCENTAGE },
-                                borders: {
-                                    top: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    bottom: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    left: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    right: { style: 'none', size: 0, color: 'FFFFFF' }
-                                }
-                            })
-                        );
-                    }
-
-                    // Tercera foto (si existe)
-                    if (photo3 && imageBuffers.has(photo3.id)) {
-                        cells.push(
-                            new TableCell({
-                                children: [
-                                    new Paragraph({
-                                        children: [
-                                            new ImageRun({
-                                                data: imageBuffers.get(photo3.id),
-                                                transformation: {
-                                                    width: 180,
-                                                    height: 180
-                                                }
-                                            })
-                                        ],
-                                        alignment: AlignmentType.CENTER
-                                    })
-                                ],
-                                width: { size: 33.33, type: WidthType.PERCENTAGE },
-                                borders: {
-                                    top: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    bottom: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    left: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    right: { style: 'none', size: 0, color: 'FFFFFF' }
-                                }
-                            })
-                        );
-                    } else if (photo1 || photo2) {
-                        // Celda vacía si no hay tercera foto
-                        cells.push(
-                            new TableCell({
-                                children: [new Paragraph({ text: "" })],
-                                width: { size: 33.33, type: WidthType.PERCENTAGE },
-                                borders: {
-                                    top: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    bottom: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    left: { style: 'none', size: 0, color: 'FFFFFF' },
-                                    right: { style: 'none', size: 0, color: 'FFFFFF' }
-                                }
-                            })
-                        );
-                    }
-
-                    children.push(
-                        new Table({
-                            rows: [
-                                new TableRow({
-                                    children: cells
+                ],
+                pageBreakBefore: template.saltoPaginaCategorias,
+                spacing: { before: 600, after: 400 },
+                alignment: AlignmentType.LEFT
+            })
+        );
+
+        // Agregar fotos en grid según las columnas de la plantilla
+        for (let i = 0; i < categoryPhotos.length; i += template.columnas) {
+            const cells = [];
+
+            for (let column = 0; column < template.columnas; column++) {
+                const photo = categoryPhotos[i + column];
+                const image = photo ? images.get(photo.id) : null;
+
+                // Celda vacía para completar la fila
+                const cellChildren = image
+                    ? [
+                        new Paragraph({
+                            children: [
+                                new ImageRun({
+                                    data: image.buffer,
+                                    transformation: {
+                                        width: image.width,
+                                        height: image.height
+                                    }
+                                })
+                            ],
+                            alignment: AlignmentType.CENTER
+                        })
+                    ]
+                    : [new Paragraph({ text: "" })];
+
+                // Descripción debajo de la foto
+                if (image && photo.caption) {
+                    cellChildren.push(
+                        new Paragraph({
+                            children: [
+                                new TextRun({
+                                    text: photo.caption,
+                                    size: 18,
+                                    italics: true,
+                                    color: secondaryColor
                                 })
                             ],
-                            width: { size: 100, type: WidthType.PERCENTAGE }
+                            alignment: AlignmentType.CENTER,
+                            spacing: { before: 80 }
                         })
                     );
-
-                    // Espaciado entre filas
-                    children.push(new Paragraph({ text: "" }));
                 }
 
-                // Espaciado después de cada categoría
-                children.push(new Paragraph({ text: "" }));
+                cells.push(
+                    new TableCell({
+                        children: cellChildren,
+                        width: { size: cellWidth, type: WidthType.PERCENTAGE },
+                        borders: noBorders
+                    })
+                );
             }
+
+            children.push(
+                new Table({
+                    rows: [
+                        new TableRow({
+                            children: cells
+                        })
+                    ],
+                    width: { size: 100, type: WidthType.PERCENTAGE }
+                })
+            );
+
+            // Espaciado entre filas
+            children.push(new Paragraph({ text: "" }));
         }
+
+        // Espaciado después de cada categoría
+        children.push(new Paragraph({ text: "" }));
     }
 
+    // Encabezado y pie de página de la plantilla
+    const headers = template.encabezado
+        ? {
+            default: new Header({
+                children: [
+                    new Paragraph({
+                        children: [new TextRun({ text: template.encabezado, size: 18, color: secondaryColor })],
+                        alignment: AlignmentType.RIGHT
+                    })
+                ]
+            })
+        }
+        : undefined;
+
+    const footerRuns = [];
+    if (template.piePagina) {
+        footerRuns.push(new TextRun({ text: template.piePagina, size: 18, color: secondaryColor }));
+    }
+    if (template.numerarPaginas) {
+        footerRuns.push(new TextRun({
+            children: [
+                template.piePagina ? '   ·   Página ' : 'Página ',
+                PageNumber.CURRENT,
+                ' de ',
+                PageNumber.TOTAL_PAGES
+            ],
+            size: 18,
+            color: secondaryColor
+        }));
+    }
+
+    const footers = footerRuns.length > 0
+        ? {
+            default: new Footer({
+                children: [
+                    new Paragraph({
+                        children: footerRuns,
+                        alignment: AlignmentType.CENTER
+                    })
+                ]
+            })
+        }
+        : undefined;
+
     // Crear documento con una sola sección
     return new Document({
         sections: [{
@@ -365,17 +467,438 @@ async function createWordDocument(event) {
                     }
                 }
             },
+            headers: headers,
+            footers: footers,
             children: children
         }]
     });
 }
 
+/* ===================================
+   GENERACIÓN DE REPORTE PDF
+   =================================== */
+
+/**
+ * Genera un reporte en PDF para un evento
+ * @param {string} eventId - ID del evento
+ * @param {Object} template - Plantilla del reporte (opcional)
+ * @param {Object} options - {preview} (ver generateReport)
+ * @returns {Promise<Blob>} - Documento PDF como Blob
+ */
+export async function generatePdfReport(eventId, template = DEFAULT_TEMPLATE, options = {}) {
+    try {
+        console.log('📄 Generando reporte PDF para evento:', eventId);
+
+        // Esperar a que la librería jsPDF esté lista en window
+        await waitForJsPDF();
+
+        // Obtener datos del evento con sus fotos
+        const event = await loadReportEvent(eventId);
+
+        showMessage('Generando reporte PDF...', 'info');
+
+        const pdf = await createPdfDocument(event, normalizeTemplate(template), options);
+        const blob = pdf.output('blob');
+
+        console.log('✅ Reporte PDF generado correctamente');
+
+        return blob;
+
+    } catch (error) {
+        console.error('❌ Error al generar reporte PDF:', error);
+        throw error;
+    }
+}
+
+/**
+ * Crea el documento PDF con portada y fotos por categoría
+ * @param {Object} event - Datos del evento
+ * @param {Object} template - Plantilla normalizada
+ * @param {Object} options - {preview}
+ * @returns {Promise<jsPDF>} - Documento jsPDF
+ */
+async function createPdfDocument(event, template, options = {}) {
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const { margin, rowGap } = PDF_LAYOUT;
+    const columns = template.columnas;
+    const contentWidth = pageWidth - margin * 2;
+    const columnWidth = contentWidth / columns;
+
+    // Mismo tamaño de celda que en Word, convertido a milímetros
+    const imageBox = getImageBox(template);
+    const imageWidth = imageBox.width * PX_TO_MM;
+    const imageHeight = imageBox.height * PX_TO_MM;
+
+    // Descargar imágenes y ajustarlas a la celda de la plantilla
+    const imageBuffers = await downloadAllImages(event.fotos, options);
+    const images = await prepareReportImages(event.fotos, imageBuffers, imageBox, template.ajusteImagen);
+    const logo = await downloadLogo(template.logoUrl);
+    const cover = getReportCoverData(event);
+
+    // PORTADA
+    let y = 70;
+
+    if (logo) {
+        const logoWidth = logo.width * PX_TO_MM;
+        const logoHeight = logo.height * PX_TO_MM;
+        y = 40;
+
+        try {
+            pdf.addImage(new Uint8Array(logo.buffer), getImageFormat(logo.buffer), (pageWidth - logoWidth) / 2, y, logoWidth, logoHeight);
+            y += logoHeight + 20;
+        } catch (error) {
+            console.error('Error agregando el logo al PDF:', error);
+            y = 70;
+        }
+    }
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(24);
+    pdf.setTextColor(template.colorPrimario);
+    const titleLines = pdf.splitTextToSize(cover.title, contentWidth);
+    pdf.text(titleLines, pageWidth / 2, y, { align: 'center' });
+    y += titleLines.length * 10 + 8;
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(14);
+    pdf.setTextColor(template.colorSecundario);
+    pdf.text(cover.subtitle, pageWidth / 2, y, { align: 'center' });
+    y += 30;
+
+    // Información del evento (etiqueta en negritas, valor normal, centrados)
+    pdf.setFontSize(12);
+    pdf.setTextColor('#000000');
+    cover.rows.forEach(row => {
+        const label = `${row.label}: `;
+        pdf.setFont('helvetica', 'bold');
+        const labelWidth = pdf.getTextWidth(label);
+        pdf.setFont('helvetica', 'normal');
+        // Valores largos (sede, rango de fechas) se parten en varias líneas
+        const valueLines = pdf.splitTextToSize(row.value, contentWidth - labelWidth);
+        const valueWidth = Math.max(...valueLines.map(line => pdf.getTextWidth(line)));
+
+        const startX = (pageWidth - labelWidth - valueWidth) / 2;
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(label, startX, y);
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(valueLines, startX + labelWidth, y);
+        y += 9 + (valueLines.length - 1) * 5;
+    });
+
+    // CATEGORÍAS a partir de la segunda página
+    pdf.addPage();
+    y = margin;
+    let isFirstCategory = true;
+
+    for (const category of event.categorias || []) {
+        const categoryPhotos = filterPhotosByCategory(event.fotos, category.id)
+            .filter(photo => images.has(photo.id));
+
+        if (categoryPhotos.length === 0) continue;
+
+        // Una categoría por página, o evitar que el título quede solo al final
+        const needsBreak = (template.saltoPaginaCategorias && !isFirstCategory) ||
+            y + 14 + imageHeight > pageHeight - margin;
+
+        if (needsBreak) {
+            pdf.addPage();
+            y = margin;
+        }
+        isFirstCategory = false;
+
+        // Título de la categoría
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(18);
+        pdf.setTextColor(template.colorPrimario);
+        y += 8;
+        pdf.text(category.nombre.toUpperCase(), margin, y);
+        y += 8;
+
+        // Fotos en grid según las columnas de la plantilla
+        for (let i = 0; i < categoryPhotos.length; i += columns) {
+            const rowPhotos = categoryPhotos.slice(i, i + columns);
+
+            // Descripciones de la fila, ajustadas al ancho de la columna
+            pdf.setFont('helvetica', 'italic');
+            pdf.setFontSize(PDF_LAYOUT.captionFontSize);
+            const captions = rowPhotos.map(photo => photo.caption
+                ? pdf.splitTextToSize(photo.caption, columnWidth - 4)
+                : []);
+            const captionHeight = Math.max(...captions.map(lines => lines.length)) * PDF_LAYOUT.captionLineHeight;
+            const rowHeight = imageHeight + (captionHeight > 0 ? captionHeight + 2 : 0);
+
+            if (y + rowHeight > pageHeight - margin) {
+                pdf.addPage();
+                y = margin;
+            }
+
+            rowPhotos.forEach((photo, column) => {
+                const image = images.get(photo.id);
+                const width = image.width * PX_TO_MM;
+                const height = image.height * PX_TO_MM;
+
+                // Centrada dentro de su celda
+                const x = margin + column * columnWidth + (columnWidth - width) / 2;
+                const top = y + (imageHeight - height) / 2;
+
+                try {
+                    pdf.addImage(new Uint8Array(image.buffer), getImageFormat(image.buffer), x, top, width, height);
+                } catch (error) {
+                    console.error(`Error agregando imagen ${photo.id} al PDF:`, error);
+                }
+
+                if (captions[column].length > 0) {
+                    pdf.setTextColor(template.colorSecundario);
+                    pdf.text(captions[column], margin + column * columnWidth + columnWidth / 2, y + imageHeight + 5, { align: 'center' });
+                }
+            });
+
+            y += rowHeight + rowGap;
+        }
+
+        // Espaciado después de cada categoría
+        y += rowGap;
+    }
+
+    drawPdfHeaderAndFooter(pdf, template);
+
+    return pdf;
+}
+
+/**
+ * Dibuja encabezado, pie de página y numeración en todas las páginas del PDF
+ * @param {jsPDF} pdf - Documento
+ * @param {Object} template - Plantilla normalizada
+ */
+function drawPdfHeaderAndFooter(pdf, template) {
+    if (!template.encabezado && !template.piePagina && !template.numerarPaginas) return;
+
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const totalPages = pdf.getNumberOfPages();
+    const { margin } = PDF_LAYOUT;
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(9);
+    pdf.setTextColor(template.colorSecundario);
+
+    for (let page = 1; page <= totalPages; page++) {
+        pdf.setPage(page);
+
+        if (template.encabezado) {
+            pdf.text(template.encabezado, pageWidth - margin, 10, { align: 'right' });
+        }
+
+        const footerParts = [];
+        if (template.piePagina) footerParts.push(template.piePagina);
+        if (template.numerarPaginas) footerParts.push(`Página ${page} de ${totalPages}`);
+
+        if (footerParts.length > 0) {
+            pdf.text(footerParts.join('   ·   '), pageWidth / 2, pageHeight - 8, { align: 'center' });
+        }
+    }
+}
+
+/* ===================================
+   HELPERS DE DISEÑO
+   =================================== */
+
+/**
+ * Calcula el tamaño de cada foto según la plantilla, sin exceder su columna
+ * @param {Object} template - Plantilla normalizada
+ * @returns {Object} - {width, height} en píxeles
+ */
+function getImageBox(template) {
+    const maxWidth = Math.floor(CONTENT_WIDTH_PX / template.columnas) - 10;
+    const width = Math.min(template.tamanoImagen, maxWidth);
+    const height = Math.round(width * IMAGE_PROPORTIONS[template.proporcionImagen]);
+    return { width, height };
+}
+
+/**
+ * Ajusta cada foto a la celda de la plantilla
+ * - ajustar: conserva la proporción y la foto completa cabe en la celda
+ * - recortar: recorta al centro para llenar la celda exacta
+ * @param {Array} photos - Fotos del evento
+ * @param {Map} imageBuffers - Map de photoId -> ArrayBuffer
+ * @param {Object} imageBox - {width, height} de la celda en píxeles
+ * @param {string} fit - IMAGE_FIT.AJUSTAR o IMAGE_FIT.RECORTAR
+ * @returns {Promise<Map>} - Map de photoId -> {buffer, width, height}
+ */
+async function prepareReportImages(photos, imageBuffers, imageBox, fit) {
+    const images = new Map();
+
+    for (const photo of photos) {
+        const buffer = imageBuffers.get(photo.id);
+        if (!buffer) continue;
+
+        try {
+            if (fit === IMAGE_FIT.RECORTAR) {
+                const cropped = await cropImageToBox(buffer, imageBox);
+                images.set(photo.id, { buffer: cropped, width: imageBox.width, height: imageBox.height });
+                continue;
+            }
+
+            // Usar las dimensiones guardadas al subir; medir solo las fotos antiguas
+            const dimensions = photo.width && photo.height
+                ? { width: photo.width, height: photo.height }
+                : await getFileDimensions(new Blob([buffer]));
+
+            images.set(photo.id, { buffer: await toEmbeddableImage(buffer), ...fitInBox(dimensions, imageBox) });
+        } catch (error) {
+            console.error(`Error ajustando imagen ${photo.id}:`, error);
+        }
+    }
+
+    return images;
+}
+
+/**
+ * Calcula el tamaño que conserva la proporción dentro de la celda
+ * @param {Object|null} dimensions - {width, height} reales
+ * @param {Object} box - {width, height} de la celda
+ * @returns {Object} - {width, height}
+ */
+function fitInBox(dimensions, box) {
+    if (!dimensions || !dimensions.width || !dimensions.height) {
+        return { width: box.width, height: box.height };
+    }
+
+    const scale = Math.min(box.width / dimensions.width, box.height / dimensions.height);
+
+    return {
+        width: Math.round(dimensions.width * scale),
+        height: Math.round(dimensions.height * scale)
+    };
+}
+
+/**
+ * Recorta una imagen al centro con la proporción de la celda
+ * @param {ArrayBuffer} buffer - Imagen original
+ * @param {Object} box - {width, height} de la celda
+ * @returns {Promise<ArrayBuffer>} - Imagen recortada en JPEG
+ */
+async function cropImageToBox(buffer, box) {
+    const bitmap = await createImageBitmap(new Blob([buffer]));
+
+    const targetRatio = box.width / box.height;
+    const sourceRatio = bitmap.width / bitmap.height;
+
+    // Área de la imagen original que se conserva
+    let sw = bitmap.width;
+    let sh = bitmap.height;
+    if (sourceRatio > targetRatio) {
+        sw = Math.round(bitmap.height * targetRatio);
+    } else {
+        sh = Math.round(bitmap.width / targetRatio);
+    }
+    const sx = Math.round((bitmap.width - sw) / 2);
+    const sy = Math.round((bitmap.height - sh) / 2);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = box.width * CROP_SCALE;
+    canvas.height = box.height * CROP_SCALE;
+    canvas.getContext('2d').drawImage(bitmap, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+    return blob.arrayBuffer();
+}
+
+/**
+ * Convierte un color #RRGGBB al formato de docx (RRGGBB)
+ * @param {string} color - Color hexadecimal
+ * @returns {string}
+ */
+function toDocxColor(color) {
+    return color.replace('#', '').toUpperCase();
+}
+
+/**
+ * Descarga el logo de la portada y calcula su tamaño
+ * @param {string} url - URL del logo
+ * @returns {Promise<Object|null>} - {buffer, width, height} o null
+ */
+async function downloadLogo(url) {
+    if (!url) return null;
+
+    try {
+        const response = await fetch(url);
+        const blob = await response.blob();
+        const buffer = await toEmbeddableImage(await blob.arrayBuffer(), 'image/png');
+
+        // Medir la imagen para conservar su proporción
+        const dimensions = await getFileDimensions(blob);
+        if (!dimensions) return null;
+
+        const scale = Math.min(LOGO_MAX_SIZE.width / dimensions.width, LOGO_MAX_SIZE.height / dimensions.height, 1);
+
+        return {
+            buffer,
+            width: Math.round(dimensions.width * scale),
+            height: Math.round(dimensions.height * scale)
+        };
+    } catch (error) {
+        console.error('Error descargando el logo:', error);
+        return null;
+    }
+}
+
+/**
+ * Detecta el formato de una imagen por su firma de bytes
+ * @param {ArrayBuffer} buffer - Imagen
+ * @returns {string|null} - 'JPEG', 'PNG', 'GIF', 'WEBP' o null si no se reconoce
+ */
+function getImageFormat(buffer) {
+    const signature = String.fromCharCode(...new Uint8Array(buffer.slice(0, 12)));
+
+    if (signature.startsWith('\xFF\xD8\xFF')) return 'JPEG';
+    if (signature.startsWith('\x89PNG')) return 'PNG';
+    if (signature.startsWith('GIF8')) return 'GIF';
+    if (signature.startsWith('RIFF') && signature.slice(8, 12) === 'WEBP') return 'WEBP';
+    return null;
+}
+
+/**
+ * Vuelve a codificar con un canvas las imágenes que jsPDF y Word no aceptan
+ * (WebP, GIF y fotos antiguas en otros formatos)
+ * @param {ArrayBuffer} buffer - Imagen
+ * @param {string} type - 'image/jpeg' para fotos, 'image/png' para conservar la transparencia
+ * @returns {Promise<ArrayBuffer>} - La misma imagen si ya era JPEG o PNG
+ */
+async function toEmbeddableImage(buffer, type = 'image/jpeg') {
+    if (EMBEDDABLE_FORMATS.includes(getImageFormat(buffer))) return buffer;
+
+    const bitmap = await createImageBitmap(new Blob([buffer]));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const context = canvas.getContext('2d');
+
+    // JPEG no tiene transparencia: fondo blanco en lugar de negro
+    if (type === 'image/jpeg') {
+        context.fillStyle = '#FFFFFF';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.9));
+    return blob.arrayBuffer();
+}
+
 /**
  * Descarga todas las imágenes y las convierte a ArrayBuffer
  * @param {Array} photos - Array de fotos
+ * @param {Object} options - {preview}: descargar miniaturas en lugar de las fotos completas
  * @returns {Promise<Map>} - Map de photoId -> ArrayBuffer
  */
-async function downloadAllImages(photos) {
+async function downloadAllImages(photos, { preview = false } = {}) {
     const imageBuffers = new Map();
 
     showMessage(`Descargando ${photos.length} imágenes...`, 'info');
@@ -384,7 +907,7 @@ async function downloadAllImages(photos) {
         const photo = photos[i];
 
         try {
-            const response = await fetch(photo.url);
+            const response = await fetch(preview ? getThumbnailUrl(photo) : photo.url);
             const blob = await response.blob();
             const arrayBuffer = await blob.arrayBuffer();
 
@@ -452,6 +975,10 @@ function formatDate(date) {
    =================================== */
 
 export default {
+    REPORT_FORMATS,
+    generateReport,
     generateWordReport,
+    generatePdfReport,
+    getReportFormatInfo,
     downloadReport
 };
\ No newline at end of file
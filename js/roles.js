@@ -0,0 +1,179 @@
+/* ===================================
+   ROLES Y PERMISOS - T&C GROUP
+   Control de acceso por rol del usuario
+   =================================== */
+
+import { db } from './firestore-config.js';
+import { doc, getDoc } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { getCurrentUser } from './auth.js';
+import { saveToLocalStorage } from './utils.js';
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+export const ROLES = {
+    ADMIN: 'admin',
+    COORDINADOR: 'coordinador',
+    VISOR: 'visor'
+};
+
+export const ROLE_LABELS = {
+    [ROLES.ADMIN]: 'Administrador',
+    [ROLES.COORDINADOR]: 'Coordinador',
+    [ROLES.VISOR]: 'Visor'
+};
+
+// Los usuarios creados antes de existir los roles conservan lo que ya podían hacer
+export const DEFAULT_ROLE = ROLES.COORDINADOR;
+
+export const PERMISSIONS = {
+    GESTIONAR_USUARIOS: 'gestionarUsuarios',
+    EDITAR_EVENTOS: 'editarEventos',           // Crear y editar eventos
+    ELIMINAR_EVENTOS: 'eliminarEventos',
+    EDITAR_FOTOS: 'editarFotos',               // Subir, describir y eliminar fotos
+    COMPARTIR_REPORTES: 'compartirReportes',   // Subir reportes y enviarlos por email
+    GESTIONAR_PLANTILLAS: 'gestionarPlantillas'
+};
+
+// Debe coincidir con firestore.rules y storage.rules
+const ROLE_PERMISSIONS = {
+    [ROLES.ADMIN]: Object.values(PERMISSIONS),
+    [ROLES.COORDINADOR]: [
+        PERMISSIONS.EDITAR_EVENTOS,
+        PERMISSIONS.EDITAR_FOTOS,
+        PERMISSIONS.COMPARTIR_REPORTES,
+        PERMISSIONS.GESTIONAR_PLANTILLAS
+    ],
+    [ROLES.VISOR]: []
+};
+
+// Vistas que requieren un permiso para abrirse
+const VIEW_PERMISSIONS = {
+    createView: PERMISSIONS.EDITAR_EVENTOS,
+    addUserView: PERMISSIONS.GESTIONAR_USUARIOS,
+    usersView: PERMISSIONS.GESTIONAR_USUARIOS
+};
+
+export const USER_STATUS = {
+    ACTIVO: 'Activo',
+    INACTIVO: 'Inactivo'
+};
+
+// Rol y estado del usuario en sesión
+let currentRole = null;
+let currentStatus = USER_STATUS.ACTIVO;
+
+/* ===================================
+   CARGA DEL ROL
+   =================================== */
+
+/**
+ * Lee el rol del usuario en sesión desde su documento en "usuarios"
+ * @returns {Promise<string>} - Rol del usuario
+ */
+export async function loadCurrentUserRole() {
+    const currentUser = getCurrentUser();
+
+    if (!currentUser) {
+        currentRole = ROLES.VISOR;
+        return currentRole;
+    }
+
+    try {
+        const userDoc = await getDoc(doc(db, 'usuarios', currentUser.uid));
+
+        // Sin documento en "usuarios" no hay datos para confiar en el usuario
+        currentRole = userDoc.exists() ? normalizeRole(userDoc.data().rol) : ROLES.VISOR;
+        currentStatus = userDoc.exists() && userDoc.data().estado === USER_STATUS.INACTIVO
+            ? USER_STATUS.INACTIVO
+            : USER_STATUS.ACTIVO;
+
+        saveToLocalStorage('currentUser', { ...currentUser, rol: currentRole });
+
+    } catch (error) {
+        // Sin conexión: usar el último rol conocido
+        console.error('❌ Error al obtener el rol del usuario:', error);
+        currentRole = currentUser.rol ? normalizeRole(currentUser.rol) : ROLES.VISOR;
+    }
+
+    console.log('🔑 Rol del usuario:', currentRole);
+    return currentRole;
+}
+
+/**
+ * Devuelve un rol válido (los usuarios sin rol son coordinadores)
+ * @param {string} role - Rol guardado
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+    return Object.values(ROLES).includes(role) ? role : DEFAULT_ROLE;
+}
+
+/* ===================================
+   CONSULTAS
+   =================================== */
+
+/**
+ * Obtiene el rol del usuario en sesión
+ * @returns {string}
+ */
+export function getCurrentRole() {
+    return currentRole || normalizeRole(getCurrentUser()?.rol);
+}
+
+/**
+ * Verifica si la cuenta del usuario en sesión está activa
+ * @returns {boolean}
+ */
+export function isCurrentUserActive() {
+    return currentStatus !== USER_STATUS.INACTIVO;
+}
+
+/**
+ * Verifica si el usuario en sesión tiene un permiso
+ * @param {string} permission - Permiso de PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(permission) {
+    return ROLE_PERMISSIONS[getCurrentRole()].includes(permission);
+}
+
+/**
+ * Verifica si el usuario en sesión puede abrir una vista
+ * @param {string} viewId - ID de la vista
+ * @returns {boolean}
+ */
+export function canAccessView(viewId) {
+    const permission = VIEW_PERMISSIONS[viewId];
+    return !permission || hasPermission(permission);
+}
+
+/* ===================================
+   INTERFAZ
+   =================================== */
+
+/**
+ * Oculta los elementos marcados con data-permission que el rol no permite
+ * @param {HTMLElement} root - Contenedor a revisar
+ */
+export function applyRoleVisibility(root = document) {
+    root.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('hidden', !hasPermission(element.dataset.permission));
+    });
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    ROLES,
+    PERMISSIONS,
+    loadCurrentUserRole,
+    getCurrentRole,
+    isCurrentUserActive,
+    hasPermission,
+    canAccessView,
+    applyRoleVisibility
+};
@@ -11,14 +11,27 @@ import {
     getDocs, 
     getDoc, 
     addDoc, 
+    setDoc,
     updateDoc, 
     deleteDoc,
     query,
     where,
     orderBy,
+    limit,
+    startAfter,
+    endAt,
+    documentId,
+    writeBatch,
+    increment,
+    deleteField,
+    getCountFromServer,
+    onSnapshot,
+    runTransaction,
     Timestamp 
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
 import { getStorage } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
+import { mergeCategoryChanges } from './categories.js';
+import { generateId } from './utils.js';
 
 // Inicializar Firestore
 const db = getFirestore(app);
@@ -32,7 +45,53 @@ const storage = getStorage(app);
 
 const COLLECTIONS = {
     USUARIOS: 'usuarios',
-    EVENTOS: 'eventos'
+    EVENTOS: 'eventos',
+    PLANTILLAS: 'plantillasReporte',
+    CONTACTOS: 'contactos',
+    REPORTES: 'reportes',
+    CONFIGURACION: 'configuracion',
+    FOTOS: 'fotos' // Subcolección: eventos/{eventId}/fotos/{photoId}
+};
+
+// Documento de "configuracion" con las migraciones ya completadas por algún editor
+const MIGRATIONS_DOC = 'migraciones';
+
+// Máximo de operaciones por writeBatch de Firestore (el límite es 500)
+const BATCH_SIZE = 400;
+
+// Eventos por página en la lista de inicio
+const EVENTS_PAGE_SIZE = 20;
+
+// Eventos leídos por página en las migraciones
+const MIGRATION_PAGE_SIZE = 100;
+
+// Cambios hechos sin conexión (localStorage)
+const PENDING_OPERATIONS_KEY = 'operacionesPendientes';
+const LOCAL_IDS_KEY = 'idsEventosLocales'; // ID local → ID en Firestore
+const LOCAL_ID_PREFIX = 'local-';
+
+export const OPERATION_TYPES = {
+    CREATE: 'crear',
+    UPDATE: 'actualizar',
+    DELETE: 'eliminar'
+};
+
+export const SYNC_CONFLICTS = {
+    MODIFIED: 'modificado',  // Otro dispositivo cambió los mismos campos
+    DELETED: 'eliminado',    // El evento ya no existe en Firestore
+    REJECTED: 'rechazado'    // Firestore rechazó la operación (p. ej. permisos)
+};
+
+const syncState = {
+    isSyncing: false
+};
+
+// Orden de la lista paginada (campo y dirección en Firestore)
+// orderBy omite los documentos sin el campo: "fotos" requiere areEventSummariesReady()
+export const EVENT_ORDER = {
+    recientes: ['fechaCreacion', 'desc'],
+    nombre: ['nombre', 'asc'],
+    fotos: ['totalFotos', 'desc']
 };
 
 /* ===================================
@@ -68,6 +127,41 @@ export async function getActiveUsers() {
     }
 }
 
+/**
+ * Obtiene todos los usuarios (activos e inactivos) ordenados por nombre
+ * @returns {Promise<Array>}
+ */
+export async function getAllUsers() {
+    console.log('📥 Obteniendo todos los usuarios...');
+    
+    const q = query(collection(db, COLLECTIONS.USUARIOS), orderBy('nombre', 'asc'));
+    const querySnapshot = await getDocs(q);
+    
+    const usuarios = querySnapshot.docs.map(docSnap => ({
+        id: docSnap.id,
+        ...docSnap.data()
+    }));
+    
+    console.log(`✅ ${usuarios.length} usuarios obtenidos`);
+    return usuarios;
+}
+
+/**
+ * Actualiza los datos de un usuario
+ * @param {string} userId - UID del usuario
+ * @param {Object} updates - Campos a actualizar (nombre, email, rol, estado)
+ * @returns {Promise<boolean>}
+ */
+export async function updateUser(userId, updates) {
+    await updateDoc(doc(db, COLLECTIONS.USUARIOS, userId), {
+        ...updates,
+        fechaModificacion: Timestamp.now()
+    });
+    
+    console.log('✅ Usuario actualizado:', userId);
+    return true;
+}
+
 /**
  * Obtiene usuarios desde localStorage (fallback)
  * @returns {Array}
@@ -89,6 +183,56 @@ function getLocalUsers() {
     return defaultUsers;
 }
 
+/* ===================================
+   CONTACTOS
+   =================================== */
+
+/**
+ * Obtiene los contactos guardados (clientes y proveedores)
+ * @returns {Promise<Array>}
+ */
+export async function getContacts() {
+    try {
+        const q = query(collection(db, COLLECTIONS.CONTACTOS), orderBy('nombre', 'asc'));
+        const querySnapshot = await getDocs(q);
+        
+        return querySnapshot.docs.map(docSnap => ({
+            id: docSnap.id,
+            ...docSnap.data()
+        }));
+    } catch (error) {
+        console.error('❌ Error al obtener contactos:', error);
+        return [];
+    }
+}
+
+/**
+ * Guarda como contactos los emails que aún no existen
+ * El ID del documento es el email en minúsculas para evitar duplicados
+ * @param {Array<string>} emails - Emails a guardar
+ * @returns {Promise<number>} - Cantidad de contactos nuevos
+ */
+export async function saveContacts(emails) {
+    const existing = new Set((await getContacts()).map(contact => contact.email.toLowerCase()));
+    const newEmails = [...new Set(emails.map(email => email.toLowerCase()))]
+        .filter(email => !existing.has(email));
+    
+    if (newEmails.length === 0) return 0;
+    
+    const batch = writeBatch(db);
+    newEmails.forEach(email => {
+        batch.set(doc(db, COLLECTIONS.CONTACTOS, email), {
+            nombre: email.split('@')[0],
+            email: email,
+            fechaCreacion: Timestamp.now()
+        });
+    });
+    await batch.commit();
+    
+    console.log(`✅ ${newEmails.length} contacto(s) guardado(s)`);
+    return newEmails.length;
+}
+
 /* ===================================
    EVENTOS
    =================================== */
@@ -99,19 +243,33 @@ function getLocalUsers() {
  * @returns {Promise<string>} - ID del evento creado
  */
 export async function createEvent(eventData) {
+    console.log('💾 Creando evento...', eventData);
+    
+    const evento = {
+        nombre: eventData.nombre,
+        responsableId: eventData.responsableId,
+        responsableNombre: eventData.responsableNombre,
+        cliente: eventData.cliente || '',
+        tipoEvento: eventData.tipoEvento || '',
+        sede: eventData.sede || '',
+        fechaInicio: eventData.fechaInicio || '',
+        fechaFin: eventData.fechaFin || '',
+        categorias: eventData.categorias || [],
+        // Resumen para las tarjetas (evita leer las fotos)
+        totalFotos: 0,
+        totalCategorias: (eventData.categorias || []).length,
+        portadaUrl: '',
+        portadaFotoId: '',
+        fechaCreacion: Timestamp.now(),
+        fechaModificacion: Timestamp.now()
+    };
+    
+    // Sin conexión addDoc no termina hasta volver a tener red
+    if (!navigator.onLine) {
+        return createEventOffline(evento);
+    }
+    
     try {
-        console.log('💾 Creando evento...', eventData);
-        
-        const evento = {
-            nombre: eventData.nombre,
-            responsableId: eventData.responsableId,
-            responsableNombre: eventData.responsableNombre,
-            categorias: eventData.categorias || [],
-            fotos: [],
-            fechaCreacion: Timestamp.now(),
-            fechaModificacion: Timestamp.now()
-        };
-        
         const docRef = await addDoc(collection(db, COLLECTIONS.EVENTOS), evento);
         
         console.log('✅ Evento creado con ID:', docRef.id);
@@ -122,8 +280,10 @@ export async function createEvent(eventData) {
         return docRef.id;
     } catch (error) {
         console.error('❌ Error al crear evento:', error);
-        // Si falla Firestore, guardar solo en localStorage
-        return saveEventToLocalStorage(eventData);
+        if (!isConnectionError(error)) throw error;
+        
+        // Guardar en el dispositivo y crearlo al recuperar la conexión
+        return createEventOffline(evento);
     }
 }
 
@@ -148,10 +308,6 @@ export async function getAllEvents() {
         });
         
         console.log(`✅ ${eventos.length} eventos obtenidos`);
-        
-        // Guardar en localStorage como caché
-        localStorage.setItem('userEvents', JSON.stringify(eventos));
-        
         return eventos;
     } catch (error) {
         console.error('❌ Error al obtener eventos:', error);
@@ -160,12 +316,64 @@ export async function getAllEvents() {
     }
 }
 
+/**
+ * Obtiene una página de eventos
+ * @param {Object} options - {order, cursor}
+ * @param {string} options.order - Clave de EVENT_ORDER
+ * @param {Object|null} options.cursor - Último documento de la página anterior
+ * @returns {Promise<{events: Array, cursor: Object|null, hasMore: boolean}>}
+ */
+export async function getEventsPage({ order = 'recientes', cursor = null } = {}) {
+    const [field, direction] = EVENT_ORDER[order] || EVENT_ORDER.recientes;
+    
+    try {
+        console.log(`📥 Obteniendo página de eventos (${order})...`);
+        
+        const constraints = [orderBy(field, direction)];
+        if (cursor) constraints.push(startAfter(cursor));
+        constraints.push(limit(EVENTS_PAGE_SIZE));
+        
+        const querySnapshot = await getDocs(query(collection(db, COLLECTIONS.EVENTOS), ...constraints));
+        const eventos = querySnapshot.docs.map(docSnap => ({
+            id: docSnap.id,
+            ...docSnap.data()
+        }));
+        
+        // Solo la primera página se guarda para abrir la app sin conexión
+        if (!cursor) {
+            cacheServerEvents(eventos);
+        }
+        
+        console.log(`✅ ${eventos.length} eventos obtenidos`);
+        return {
+            events: eventos,
+            cursor: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
+            hasMore: querySnapshot.docs.length === EVENTS_PAGE_SIZE
+        };
+    } catch (error) {
+        console.error('❌ Error al obtener eventos:', error);
+        // Sin conexión solo se tiene la primera página guardada
+        return {
+            events: cursor ? [] : getEventsFromLocalStorage(),
+            cursor: null,
+            hasMore: false
+        };
+    }
+}
+
 /**
  * Obtiene un evento por ID
  * @param {string} eventId - ID del evento
  * @returns {Promise<Object|null>}
  */
 export async function getEventById(eventId) {
+    eventId = resolveEventId(eventId);
+    
+    // Creado sin conexión y aún sin sincronizar
+    if (isLocalEventId(eventId)) {
+        return getEventFromLocalStorage(eventId);
+    }
+    
     try {
         console.log('📥 Obteniendo evento:', eventId);
         
@@ -191,19 +399,55 @@ export async function getEventById(eventId) {
 
 /**
  * Actualiza un evento
+ * Si se pasa el evento original, los cambios de categorías se combinan
+ * con la versión actual en Firestore en lugar de sobrescribirla
  * @param {string} eventId - ID del evento
  * @param {Object} updates - Datos a actualizar
+ * @param {Object} options - {baseEvent}
+ * @param {Object} options.baseEvent - Evento como se cargó al empezar a editar
  * @returns {Promise<boolean>}
  */
-export async function updateEvent(eventId, updates) {
+export async function updateEvent(eventId, updates, { baseEvent = null } = {}) {
+    eventId = resolveEventId(eventId);
+    
+    if (isLocalEventId(eventId) || !navigator.onLine) {
+        return updateEventOffline(eventId, updates, baseEvent);
+    }
+    
     try {
         console.log('💾 Actualizando evento:', eventId);
         
         const docRef = doc(db, COLLECTIONS.EVENTOS, eventId);
-        await updateDoc(docRef, {
-            ...updates,
-            fechaModificacion: Timestamp.now()
-        });
+        
+        if (baseEvent && Array.isArray(updates.categorias)) {
+            updates = await runTransaction(db, async (transaction) => {
+                const eventSnap = await transaction.get(docRef);
+                if (!eventSnap.exists()) {
+                    throw new Error('El evento ya no existe');
+                }
+                
+                const categorias = mergeCategoryChanges(
+                    eventSnap.data().categorias || [],
+                    baseEvent.categorias || [],
+                    updates.categorias
+                );
+                const merged = { ...updates, categorias };
+                
+                transaction.update(docRef, {
+                    ...merged,
+                    totalCategorias: categorias.length,
+                    fechaModificacion: Timestamp.now()
+                });
+                
+                return merged;
+            });
+        } else {
+            await updateDoc(docRef, {
+                ...updates,
+                ...(Array.isArray(updates.categorias) && { totalCategorias: updates.categorias.length }),
+                fechaModificacion: Timestamp.now()
+            });
+        }
         
         console.log('✅ Evento actualizado');
         
@@ -213,8 +457,30 @@ export async function updateEvent(eventId, updates) {
         return true;
     } catch (error) {
         console.error('❌ Error al actualizar evento:', error);
-        // Intentar actualizar solo en localStorage
-        return updateEventInLocalStorage(eventId, updates);
+        if (!isConnectionError(error)) throw error;
+        
+        // Guardar el cambio y aplicarlo al recuperar la conexión
+        return updateEventOffline(eventId, updates, baseEvent);
+    }
+}
+
+/**
+ * Registra que se envió por email un reporte del evento
+ * (no cambia fechaModificacion porque el contenido del evento no cambió)
+ * @param {string} eventId - ID del evento
+ * @returns {Promise<boolean>}
+ */
+export async function markEventReportSent(eventId) {
+    eventId = resolveEventId(eventId);
+    
+    try {
+        await updateDoc(doc(db, COLLECTIONS.EVENTOS, eventId), {
+            ultimoReporteEnviado: Timestamp.now()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error al registrar envío de reporte:', error);
+        return false;
     }
 }
 
@@ -224,9 +490,18 @@ export async function updateEvent(eventId, updates) {
  * @returns {Promise<boolean>}
  */
 export async function deleteEvent(eventId) {
+    eventId = resolveEventId(eventId);
+    
+    if (isLocalEventId(eventId) || !navigator.onLine) {
+        return deleteEventOffline(eventId);
+    }
+    
     try {
         console.log('🗑️ Eliminando evento:', eventId);
         
+        // Firestore no elimina subcolecciones en cascada
+        await deleteAllEventPhotos(eventId);
+        
         const docRef = doc(db, COLLECTIONS.EVENTOS, eventId);
         await deleteDoc(docRef);
         
@@ -238,72 +513,1140 @@ export async function deleteEvent(eventId) {
         return true;
     } catch (error) {
         console.error('❌ Error al eliminar evento:', error);
-        // Intentar eliminar solo de localStorage
-        return deleteEventFromLocalStorage(eventId);
+        if (!isConnectionError(error)) throw error;
+        
+        // Eliminar al recuperar la conexión
+        return deleteEventOffline(eventId);
     }
 }
 
 /* ===================================
-   FUNCIONES DE LOCALSTORAGE (FALLBACK)
+   FOTOS (SUBCOLECCIÓN eventos/{id}/fotos)
    =================================== */
 
 /**
- * Guarda un evento en localStorage
- * @param {Object} evento - Datos del evento
- * @returns {string} - ID del evento
+ * Obtiene la referencia a la subcolección de fotos de un evento
+ * @param {string} eventId - ID del evento
+ * @returns {CollectionReference}
  */
-function saveEventToLocalStorage(evento) {
-    const eventos = getEventsFromLocalStorage();
+function getPhotosCollection(eventId) {
+    eventId = resolveEventId(eventId);
+    return collection(db, COLLECTIONS.EVENTOS, eventId, COLLECTIONS.FOTOS);
+}
+
+/**
+ * Obtiene las fotos de un evento
+ * Si el evento ya cargado todavía tiene el arreglo `fotos` embebido, lo migra antes
+ * (los demás se migran al iniciar la app con migrateAllEvents)
+ * @param {string} eventId - ID del evento
+ * @param {Object|null} event - Evento ya cargado (getEventById)
+ * @returns {Promise<Array>}
+ */
+export async function getEventPhotos(eventId, event = null) {
+    eventId = resolveEventId(eventId);
     
-    if (!evento.id) {
-        evento.id = `local-${Date.now()}`;
+    // Los eventos sin sincronizar no tienen subcolección
+    if (isLocalEventId(eventId)) {
+        return getEventFromLocalStorage(eventId)?.fotos || [];
     }
     
-    if (!evento.fechaCreacion) {
-        evento.fechaCreacion = new Date().toISOString();
+    try {
+        console.log('📥 Obteniendo fotos del evento:', eventId);
+        
+        if (Array.isArray(event?.fotos)) {
+            try {
+                await migrateEventPhotos(eventId);
+            } catch (migrationError) {
+                // Sin permiso o sin conexión para migrar: usar el arreglo embebido tal cual
+                console.warn('⚠️ No se pudieron migrar las fotos embebidas:', migrationError);
+                return event.fotos;
+            }
+        }
+        
+        const q = query(getPhotosCollection(eventId), orderBy('uploadedAt', 'asc'));
+        const querySnapshot = await getDocs(q);
+        
+        const fotos = [];
+        querySnapshot.forEach((doc) => {
+            fotos.push({
+                id: doc.id,
+                ...doc.data()
+            });
+        });
+        
+        console.log(`✅ ${fotos.length} fotos obtenidas`);
+        return fotos;
+    } catch (error) {
+        console.error('❌ Error al obtener fotos:', error);
+        // Eventos guardados solo localmente conservan el arreglo embebido
+        return getEventFromLocalStorage(eventId)?.fotos || [];
+    }
+}
+
+/**
+ * Agrega una foto al evento
+ * Sin respaldo en localStorage: si falla, lanza el error para que
+ * la cola de subida lo reintente
+ * @param {string} eventId - ID del evento
+ * @param {Object} photo - Objeto de foto
+ * @returns {Promise<boolean>}
+ */
+export async function addPhotoToEvent(eventId, photo) {
+    return addPhotosToEvent(eventId, [photo]);
+}
+
+/**
+ * Agrega varias fotos al evento en una sola escritura
+ * Es seguro reintentarla: las fotos que ya estaban guardadas no se vuelven a contar
+ * @param {string} eventId - ID del evento
+ * @param {Array} photos - Fotos a agregar
+ * @returns {Promise<boolean>}
+ */
+export async function addPhotosToEvent(eventId, photos) {
+    eventId = resolveEventId(eventId);
+    
+    // La cola de subida reintenta cuando el evento ya exista en Firestore
+    if (isLocalEventId(eventId)) {
+        throw new Error('El evento aún no se sincroniza');
     }
     
-    eventos.push(evento);
-    localStorage.setItem('userEvents', JSON.stringify(eventos));
+    console.log(`💾 Agregando ${photos.length} foto(s) al evento:`, eventId);
     
-    return evento.id;
+    for (let i = 0; i < photos.length; i += BATCH_SIZE) {
+        const chunk = photos.slice(i, i + BATCH_SIZE);
+        const photoRefs = chunk.map(photo => doc(getPhotosCollection(eventId), photo.id));
+        
+        await runTransaction(db, async (transaction) => {
+            // Un commit que llegó al servidor pero falló en el cliente vuelve desde
+            // la cola de subida: esas fotos ya están contadas en totalFotos
+            const snapshots = await Promise.all(photoRefs.map(photoRef => transaction.get(photoRef)));
+            const newPhotos = snapshots.filter(snapshot => !snapshot.exists()).length;
+            
+            chunk.forEach((photo, index) => {
+                transaction.set(photoRefs[index], photo);
+            });
+            
+            // La portada de la tarjeta es la foto más reciente
+            const cover = chunk[chunk.length - 1];
+            transaction.update(doc(db, COLLECTIONS.EVENTOS, eventId), {
+                totalFotos: increment(newPhotos),
+                portadaUrl: cover.thumbnailUrl || cover.url,
+                portadaFotoId: cover.id,
+                fechaModificacion: Timestamp.now()
+            });
+        });
+    }
+    
+    console.log('✅ Fotos agregadas al evento');
+    return true;
 }
 
 /**
- * Obtiene eventos desde localStorage
- * @returns {Array}
+ * Elimina el registro de una foto del evento (no borra el archivo de Storage)
+ * @param {string} eventId - ID del evento
+ * @param {string} photoId - ID de la foto
+ * @returns {Promise<boolean>}
  */
-function getEventsFromLocalStorage() {
-    const eventos = localStorage.getItem('userEvents');
-    return eventos ? JSON.parse(eventos) : [];
+export async function deletePhotoFromEvent(eventId, photoId) {
+    eventId = resolveEventId(eventId);
+    console.log('🗑️ Eliminando foto del evento:', photoId);
+    
+    const batch = writeBatch(db);
+    batch.delete(doc(getPhotosCollection(eventId), photoId));
+    batch.update(doc(db, COLLECTIONS.EVENTOS, eventId), {
+        totalFotos: increment(-1),
+        fechaModificacion: Timestamp.now()
+    });
+    await batch.commit();
+    
+    try {
+        const eventSnap = await getDoc(doc(db, COLLECTIONS.EVENTOS, eventId));
+        if (eventSnap.data()?.portadaFotoId === photoId) {
+            await refreshEventCover(eventId);
+        }
+    } catch (error) {
+        // La portada desactualizada no impide eliminar la foto
+        console.error('❌ Error al actualizar la portada del evento:', error);
+    }
+    
+    console.log('✅ Foto eliminada del evento');
+    return true;
 }
 
 /**
- * Obtiene un evento específico de localStorage
+ * Usa como portada la foto más reciente del evento
  * @param {string} eventId - ID del evento
- * @returns {Object|null}
+ * @returns {Promise<void>}
  */
-function getEventFromLocalStorage(eventId) {
-    const eventos = getEventsFromLocalStorage();
-    return eventos.find(e => e.id === eventId) || null;
+async function refreshEventCover(eventId) {
+    const q = query(getPhotosCollection(eventId), orderBy('uploadedAt', 'desc'), limit(1));
+    const querySnapshot = await getDocs(q);
+    const latest = querySnapshot.docs[0]?.data();
+    
+    await updateDoc(doc(db, COLLECTIONS.EVENTOS, eventId), {
+        portadaUrl: latest?.thumbnailUrl || latest?.url || '',
+        portadaFotoId: latest?.id || ''
+    });
 }
 
 /**
- * Actualiza un evento en localStorage
+ * Actualiza campos de una foto del evento (ej. su descripción)
  * @param {string} eventId - ID del evento
- * @param {Object} updates - Datos a actualizar
- * @returns {boolean}
+ * @param {string} photoId - ID de la foto
+ * @param {Object} updates - Campos a actualizar
+ * @returns {Promise<boolean>}
  */
-function updateEventInLocalStorage(eventId, updates) {
-    const eventos = getEventsFromLocalStorage();
-    const index = eventos.findIndex(e => e.id === eventId);
+export async function updateEventPhoto(eventId, photoId, updates) {
+    eventId = resolveEventId(eventId);
+    console.log('💾 Actualizando foto:', photoId);
     
-    if (index !== -1) {
-        eventos[index] = {
-            ...eventos[index],
-            ...updates,
-            fechaModificacion: new Date().toISOString()
-        };
+    const batch = writeBatch(db);
+    batch.update(doc(getPhotosCollection(eventId), photoId), updates);
+    batch.update(doc(db, COLLECTIONS.EVENTOS, eventId), {
+        fechaModificacion: Timestamp.now()
+    });
+    await batch.commit();
+    
+    console.log('✅ Foto actualizada');
+    return true;
+}
+
+/**
+ * Guarda la miniatura generada para una foto anterior
+ * (si la foto es la portada del evento, la portada pasa a usar la miniatura)
+ * @param {string} eventId - ID del evento
+ * @param {string} photoId - ID de la foto
+ * @param {Object} thumbnail - {thumbnailUrl, thumbnailPath}
+ * @returns {Promise<boolean>}
+ */
+export async function savePhotoThumbnail(eventId, photoId, thumbnail) {
+    eventId = resolveEventId(eventId);
+    
+    await updateDoc(doc(getPhotosCollection(eventId), photoId), thumbnail);
+    
+    const eventRef = doc(db, COLLECTIONS.EVENTOS, eventId);
+    const eventSnap = await getDoc(eventRef);
+    if (eventSnap.data()?.portadaFotoId === photoId) {
+        await updateDoc(eventRef, { portadaUrl: thumbnail.thumbnailUrl });
+    }
+    
+    return true;
+}
+
+/**
+ * Cambia de categoría varias fotos del mismo evento
+ * @param {string} eventId - ID del evento
+ * @param {Array<string>} photoIds - IDs de las fotos
+ * @param {string} categoryId - Categoría destino
+ * @returns {Promise<boolean>}
+ */
+export async function movePhotosToCategory(eventId, photoIds, categoryId) {
+    eventId = resolveEventId(eventId);
+    console.log(`📁 Moviendo ${photoIds.length} foto(s) a la categoría:`, categoryId);
+    
+    for (let i = 0; i < photoIds.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        
+        photoIds.slice(i, i + BATCH_SIZE).forEach(photoId => {
+            batch.update(doc(getPhotosCollection(eventId), photoId), { categoryId });
+        });
+        batch.update(doc(db, COLLECTIONS.EVENTOS, eventId), {
+            fechaModificacion: Timestamp.now()
+        });
+        
+        await batch.commit();
+    }
+    
+    console.log('✅ Fotos movidas');
+    return true;
+}
+
+/**
+ * Mueve fotos a otro evento (el archivo en Storage no cambia de lugar)
+ * @param {string} sourceEventId - Evento de origen
+ * @param {Array} photos - Fotos a mover
+ * @param {string} targetEventId - Evento destino
+ * @param {string} categoryId - Categoría destino
+ * @returns {Promise<boolean>}
+ */
+export async function movePhotosToEvent(sourceEventId, photos, targetEventId, categoryId) {
+    sourceEventId = resolveEventId(sourceEventId);
+    targetEventId = resolveEventId(targetEventId);
+    
+    if (isLocalEventId(targetEventId)) {
+        throw new Error('El evento aún no se sincroniza');
+    }
+    
+    console.log(`📁 Moviendo ${photos.length} foto(s) al evento:`, targetEventId);
+    
+    // Cada foto ocupa dos escrituras (alta en el destino y baja en el origen)
+    const chunkSize = Math.floor(BATCH_SIZE / 2);
+    
+    for (let i = 0; i < photos.length; i += chunkSize) {
+        const chunk = photos.slice(i, i + chunkSize);
+        const batch = writeBatch(db);
+        
+        chunk.forEach(photo => {
+            batch.set(doc(getPhotosCollection(targetEventId), photo.id), { ...photo, categoryId });
+            batch.delete(doc(getPhotosCollection(sourceEventId), photo.id));
+        });
+        
+        const cover = chunk[chunk.length - 1];
+        batch.update(doc(db, COLLECTIONS.EVENTOS, targetEventId), {
+            totalFotos: increment(chunk.length),
+            portadaUrl: cover.thumbnailUrl || cover.url,
+            portadaFotoId: cover.id,
+            fechaModificacion: Timestamp.now()
+        });
+        batch.update(doc(db, COLLECTIONS.EVENTOS, sourceEventId), {
+            totalFotos: increment(-chunk.length),
+            fechaModificacion: Timestamp.now()
+        });
+        
+        await batch.commit();
+    }
+    
+    try {
+        const eventSnap = await getDoc(doc(db, COLLECTIONS.EVENTOS, sourceEventId));
+        if (photos.some(photo => photo.id === eventSnap.data()?.portadaFotoId)) {
+            await refreshEventCover(sourceEventId);
+        }
+    } catch (error) {
+        // La portada desactualizada no impide mover las fotos
+        console.error('❌ Error al actualizar la portada del evento:', error);
+    }
+    
+    console.log('✅ Fotos movidas al evento');
+    return true;
+}
+
+/**
+ * Elimina todos los registros de fotos de un evento
+ * @param {string} eventId - ID del evento
+ */
+async function deleteAllEventPhotos(eventId) {
+    const querySnapshot = await getDocs(getPhotosCollection(eventId));
+    const docs = querySnapshot.docs;
+    
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        docs.slice(i, i + BATCH_SIZE).forEach(photoDoc => batch.delete(photoDoc.ref));
+        await batch.commit();
+    }
+}
+
+/**
+ * Cantidad de fotos de un evento sin descargar la subcolección
+ * @param {Object} event - Evento
+ * @returns {number}
+ */
+export function getEventPhotoCount(event) {
+    if (!event) return 0;
+    if (typeof event.totalFotos === 'number') return event.totalFotos;
+    return Array.isArray(event.fotos) ? event.fotos.length : 0;
+}
+
+/**
+ * Cantidad de categorías de un evento (usa el resumen si existe)
+ * @param {Object} event - Evento
+ * @returns {number}
+ */
+export function getEventCategoryCount(event) {
+    if (!event) return 0;
+    if (typeof event.totalCategorias === 'number') return event.totalCategorias;
+    return Array.isArray(event.categorias) ? event.categorias.length : 0;
+}
+
+/* ===================================
+   MIGRACIÓN DE FOTOS EMBEBIDAS
+   =================================== */
+
+/**
+ * Mueve el arreglo `fotos` de un evento a la subcolección
+ * @param {string} eventId - ID del evento
+ * @returns {Promise<number>} - Cantidad de fotos migradas
+ */
+export async function migrateEventPhotos(eventId) {
+    const eventRef = doc(db, COLLECTIONS.EVENTOS, eventId);
+    const eventSnap = await getDoc(eventRef);
+    
+    if (!eventSnap.exists()) return 0;
+    
+    const legacyPhotos = eventSnap.data().fotos;
+    if (!Array.isArray(legacyPhotos)) return 0;
+    
+    console.log(`🔄 Migrando ${legacyPhotos.length} fotos del evento ${eventId} a subcolección...`);
+    
+    for (let i = 0; i < legacyPhotos.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        legacyPhotos.slice(i, i + BATCH_SIZE).forEach(photo => {
+            batch.set(doc(getPhotosCollection(eventId), photo.id), photo);
+        });
+        await batch.commit();
+    }
+    
+    // Contar sobre la subcolección por si ya tenía fotos nuevas
+    const countSnap = await getCountFromServer(getPhotosCollection(eventId));
+    
+    await updateDoc(eventRef, {
+        fotos: deleteField(),
+        totalFotos: countSnap.data().count
+    });
+    
+    console.log('✅ Fotos migradas');
+    return legacyPhotos.length;
+}
+
+/**
+ * Recorre todos los eventos por páginas (para las migraciones)
+ * @param {Function} onPage - Recibe los documentos de cada página
+ * @returns {Promise<void>}
+ */
+async function forEachEventsPage(onPage) {
+    let cursor = null;
+    
+    do {
+        const constraints = [orderBy(documentId())];
+        if (cursor) constraints.push(startAfter(cursor));
+        constraints.push(limit(MIGRATION_PAGE_SIZE));
+        
+        const querySnapshot = await getDocs(query(collection(db, COLLECTIONS.EVENTOS), ...constraints));
+        await onPage(querySnapshot.docs);
+        
+        cursor = querySnapshot.docs.length === MIGRATION_PAGE_SIZE
+            ? querySnapshot.docs[querySnapshot.docs.length - 1]
+            : null;
+    } while (cursor);
+}
+
+/**
+ * Migra todos los eventos que aún tienen fotos embebidas
+ * @returns {Promise<number|null>} - Cantidad de eventos migrados (null si falló y hay que reintentar)
+ */
+export async function migrateAllEvents() {
+    try {
+        let migrated = 0;
+        
+        await forEachEventsPage(async (docs) => {
+            const legacyEvents = docs.filter(eventDoc => Array.isArray(eventDoc.data().fotos));
+            
+            for (const eventDoc of legacyEvents) {
+                await migrateEventPhotos(eventDoc.id);
+                migrated++;
+            }
+        });
+        
+        if (migrated > 0) {
+            console.log(`✅ ${migrated} eventos migrados a subcolección de fotos`);
+        }
+        return migrated;
+    } catch (error) {
+        console.error('❌ Error al migrar eventos:', error);
+        
+        // Sin permiso reintentar no sirve: la migración la completa un usuario con edición
+        return error.code === 'permission-denied' ? 0 : null;
+    }
+}
+
+/**
+ * Completa los campos de resumen (totales y portada) de eventos anteriores
+ * @returns {Promise<number|null>} - Cantidad de eventos actualizados (null si falló)
+ */
+export async function migrateEventSummaries() {
+    try {
+        let updated = 0;
+        
+        await forEachEventsPage(async (docs) => {
+            const pending = docs.filter(eventDoc => {
+                const data = eventDoc.data();
+                return typeof data.totalCategorias !== 'number' || typeof data.portadaUrl !== 'string';
+            });
+            
+            for (const eventDoc of pending) {
+                const data = eventDoc.data();
+                
+                await updateDoc(eventDoc.ref, {
+                    totalCategorias: (data.categorias || []).length,
+                    totalFotos: typeof data.totalFotos === 'number' ? data.totalFotos : 0
+                });
+                await refreshEventCover(eventDoc.id);
+                updated++;
+            }
+        });
+        
+        if (updated > 0) {
+            console.log(`✅ ${updated} resúmenes de eventos completados`);
+        }
+        
+        // Avisar a todos los usuarios que ya se puede ordenar por totalFotos
+        await setDoc(doc(db, COLLECTIONS.CONFIGURACION, MIGRATIONS_DOC), { resumenesEventos: true }, { merge: true });
+        return updated;
+    } catch (error) {
+        console.error('❌ Error al completar resúmenes de eventos:', error);
+        return null;
+    }
+}
+
+/**
+ * Indica si todos los eventos ya tienen sus resúmenes (totalFotos incluido)
+ * @returns {Promise<boolean>}
+ */
+export async function areEventSummariesReady() {
+    try {
+        const snapshot = await getDoc(doc(db, COLLECTIONS.CONFIGURACION, MIGRATIONS_DOC));
+        return snapshot.exists() && snapshot.data().resumenesEventos === true;
+    } catch (error) {
+        console.error('❌ Error al consultar las migraciones:', error);
+        return false;
+    }
+}
+
+/* ===================================
+   TIEMPO REAL
+   =================================== */
+
+/**
+ * Escucha en vivo la primera página de la lista de eventos
+ * (las siguientes se leen una sola vez con getEventsPage)
+ * @param {Object} options - {order, until}
+ * @param {string} options.order - Clave de EVENT_ORDER
+ * @param {Object|null} options.until - Documento donde termina la página; fija su final
+ *   cuando ya hay páginas siguientes, para que los eventos nuevos no dejen huecos
+ * @param {Function} onChange - Recibe {events, cursor, hasMore, fromCache}
+ * @param {Function} onError - Recibe el error del listener
+ * @returns {Function} - Cancela la suscripción
+ */
+export function subscribeToEvents({ order = 'recientes', until = null } = {}, onChange, onError) {
+    const [field, direction] = EVENT_ORDER[order] || EVENT_ORDER.recientes;
+    const q = query(
+        collection(db, COLLECTIONS.EVENTOS),
+        orderBy(field, direction),
+        until ? endAt(until) : limit(EVENTS_PAGE_SIZE)
+    );
+    
+    return onSnapshot(q, (querySnapshot) => {
+        const eventos = querySnapshot.docs.map(docSnap => ({
+            id: docSnap.id,
+            ...docSnap.data()
+        }));
+        
+        // Solo la primera página se guarda para abrir la app sin conexión
+        if (!querySnapshot.metadata.fromCache) {
+            cacheServerEvents(eventos.slice(0, EVENTS_PAGE_SIZE));
+        }
+        
+        onChange({
+            events: eventos,
+            cursor: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
+            hasMore: !until && querySnapshot.size === EVENTS_PAGE_SIZE,
+            fromCache: querySnapshot.metadata.fromCache
+        });
+    }, (error) => {
+        console.error('❌ Error en la sincronización de eventos:', error);
+        onError?.(error);
+    });
+}
+
+/**
+ * Escucha en vivo un evento
+ * @param {string} eventId - ID del evento
+ * @param {Function} onChange - Recibe el evento (null si se eliminó)
+ * @param {Function} onError - Recibe el error del listener
+ * @returns {Function} - Cancela la suscripción
+ */
+export function subscribeToEvent(eventId, onChange, onError) {
+    eventId = resolveEventId(eventId);
+    
+    // Un evento sin sincronizar solo existe en el dispositivo
+    if (isLocalEventId(eventId)) {
+        onChange(getEventFromLocalStorage(eventId));
+        return () => {};
+    }
+    
+    return onSnapshot(doc(db, COLLECTIONS.EVENTOS, eventId), (docSnap) => {
+        onChange(docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null);
+    }, (error) => {
+        console.error('❌ Error en la sincronización del evento:', error);
+        onError?.(error);
+    });
+}
+
+/**
+ * Escucha en vivo las fotos de un evento (subcolección)
+ * @param {string} eventId - ID del evento
+ * @param {Function} onChange - Recibe el arreglo de fotos
+ * @param {Function} onError - Recibe el error del listener
+ * @returns {Function} - Cancela la suscripción
+ */
+export function subscribeToEventPhotos(eventId, onChange, onError) {
+    eventId = resolveEventId(eventId);
+    
+    if (isLocalEventId(eventId)) {
+        onChange(getEventFromLocalStorage(eventId)?.fotos || []);
+        return () => {};
+    }
+    
+    const q = query(getPhotosCollection(eventId), orderBy('uploadedAt', 'asc'));
+    
+    return onSnapshot(q, (querySnapshot) => {
+        onChange(querySnapshot.docs.map(photoDoc => ({
+            id: photoDoc.id,
+            ...photoDoc.data()
+        })));
+    }, (error) => {
+        console.error('❌ Error en la sincronización de fotos:', error);
+        onError?.(error);
+    });
+}
+
+/* ===================================
+   OPERACIONES PENDIENTES (SIN CONEXIÓN)
+   =================================== */
+
+/**
+ * Verifica si un ID corresponde a un evento creado sin conexión
+ * @param {string} eventId - ID del evento
+ * @returns {boolean}
+ */
+export function isLocalEventId(eventId) {
+    return typeof eventId === 'string' && eventId.startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * Traduce el ID local de un evento ya sincronizado a su ID en Firestore
+ * @param {string} eventId - ID del evento
+ * @returns {string}
+ */
+export function resolveEventId(eventId) {
+    if (!isLocalEventId(eventId)) return eventId;
+    
+    const localIds = JSON.parse(localStorage.getItem(LOCAL_IDS_KEY) || '{}');
+    return localIds[eventId] || eventId;
+}
+
+/**
+ * Indica si un evento creado sin conexión aún espera llegar a Firestore
+ * (false si se eliminó o se descartó antes de sincronizarse)
+ * @param {string} eventId - ID local del evento
+ * @returns {boolean}
+ */
+export function isLocalEventPending(eventId) {
+    return getPendingOperations().some(op =>
+        op.type === OPERATION_TYPES.CREATE && op.eventId === eventId
+    );
+}
+
+/**
+ * Distingue un fallo de conexión de un error que no se arregla reintentando
+ * @param {Error} error - Error de Firestore
+ * @returns {boolean}
+ */
+function isConnectionError(error) {
+    return !navigator.onLine || ['unavailable', 'deadline-exceeded'].includes(error?.code);
+}
+
+/**
+ * Obtiene las operaciones pendientes en el orden en que se hicieron
+ * @returns {Array}
+ */
+export function getPendingOperations() {
+    return JSON.parse(localStorage.getItem(PENDING_OPERATIONS_KEY) || '[]');
+}
+
+/**
+ * Obtiene las operaciones detenidas por un conflicto
+ * @returns {Array}
+ */
+export function getSyncConflicts() {
+    return getPendingOperations().filter(operation => operation.conflict);
+}
+
+/**
+ * Guarda las operaciones pendientes
+ * @param {Array} operations - Operaciones
+ */
+function savePendingOperations(operations) {
+    localStorage.setItem(PENDING_OPERATIONS_KEY, JSON.stringify(operations));
+}
+
+/**
+ * Modifica una operación pendiente
+ * @param {string} operationId - ID de la operación
+ * @param {Object} updates - Campos a cambiar
+ */
+function updatePendingOperation(operationId, updates) {
+    savePendingOperations(getPendingOperations().map(operation =>
+        operation.id === operationId ? { ...operation, ...updates } : operation
+    ));
+}
+
+/**
+ * Quita operaciones pendientes
+ * @param {Function} predicate - Recibe la operación; true para quitarla
+ */
+function removePendingOperations(predicate) {
+    savePendingOperations(getPendingOperations().filter(operation => !predicate(operation)));
+}
+
+/**
+ * Agrega una operación al registro de pendientes
+ * Los cambios a un evento que aún no existe en Firestore se aplican
+ * directamente sobre su operación de creación
+ * @param {Object} operation - {type, eventId, eventName, data, base}
+ */
+function queuePendingOperation(operation) {
+    const operations = getPendingOperations();
+    const createOperation = operations.find(op =>
+        op.type === OPERATION_TYPES.CREATE && op.eventId === operation.eventId
+    );
+    
+    if (createOperation && operation.type === OPERATION_TYPES.UPDATE) {
+        createOperation.data = { ...createOperation.data, ...operation.data };
+        savePendingOperations(operations);
+        return;
+    }
+    
+    if (createOperation && operation.type === OPERATION_TYPES.DELETE) {
+        savePendingOperations(operations.filter(op => op.eventId !== operation.eventId));
+        return;
+    }
+    
+    operations.push({
+        id: generateId(),
+        attempts: 0,
+        lastError: null,
+        conflict: null,
+        createdAt: new Date().toISOString(),
+        ...operation
+    });
+    savePendingOperations(operations);
+    
+    console.log(`📴 Cambio guardado sin conexión (${operation.type}):`, operation.eventId);
+}
+
+/**
+ * Crea un evento solo en el dispositivo
+ * @param {Object} evento - Datos del evento
+ * @returns {string} - ID local del evento
+ */
+function createEventOffline(evento) {
+    const now = new Date().toISOString();
+    const localEvent = {
+        ...evento,
+        id: `${LOCAL_ID_PREFIX}${generateId()}`,
+        fechaCreacion: now,
+        fechaModificacion: now
+    };
+    
+    saveEventToLocalStorage(localEvent);
+    
+    const { id, ...data } = localEvent;
+    queuePendingOperation({
+        type: OPERATION_TYPES.CREATE,
+        eventId: id,
+        eventName: data.nombre,
+        data
+    });
+    
+    return id;
+}
+
+/**
+ * Actualiza un evento solo en el dispositivo
+ * @param {string} eventId - ID del evento
+ * @param {Object} updates - Datos a actualizar
+ * @param {Object|null} baseEvent - Evento como se cargó al empezar a editar
+ * @returns {boolean}
+ */
+function updateEventOffline(eventId, updates, baseEvent) {
+    const cached = getEventFromLocalStorage(eventId);
+    const base = baseEvent || cached;
+    
+    queuePendingOperation({
+        type: OPERATION_TYPES.UPDATE,
+        eventId,
+        eventName: updates.nombre || base?.nombre || '',
+        data: updates,
+        // Valores anteriores de los campos cambiados, para detectar conflictos
+        base: base ? pickFields(base, Object.keys(updates)) : null
+    });
+    
+    if (!updateEventInLocalStorage(eventId, updates) && baseEvent) {
+        saveEventToLocalStorage({ ...baseEvent, ...updates, id: eventId });
+    }
+    
+    return true;
+}
+
+/**
+ * Elimina un evento solo en el dispositivo
+ * @param {string} eventId - ID del evento
+ * @returns {boolean}
+ */
+function deleteEventOffline(eventId) {
+    queuePendingOperation({
+        type: OPERATION_TYPES.DELETE,
+        eventId,
+        eventName: getEventFromLocalStorage(eventId)?.nombre || ''
+    });
+    
+    deleteEventFromLocalStorage(eventId);
+    return true;
+}
+
+/**
+ * Envía a Firestore los cambios hechos sin conexión
+ * Las operaciones con conflicto se detienen (junto con las siguientes
+ * del mismo evento) hasta que el usuario decida con resolveSyncConflict
+ * @returns {Promise<{synced: number, conflicts: Array}>}
+ */
+export async function syncPendingOperations() {
+    if (syncState.isSyncing || !navigator.onLine) return { synced: 0, conflicts: [] };
+    if (getPendingOperations().length === 0) return { synced: 0, conflicts: [] };
+    
+    syncState.isSyncing = true;
+    let synced = 0;
+    
+    // Eventos con un conflicto sin resolver
+    const blocked = new Set(getSyncConflicts().map(op => resolveEventId(op.eventId)));
+    
+    try {
+        for (const operation of getPendingOperations().filter(op => !op.conflict)) {
+            if (blocked.has(resolveEventId(operation.eventId))) continue;
+            
+            try {
+                const conflict = await replayOperation(operation);
+                
+                if (conflict) {
+                    updatePendingOperation(operation.id, { conflict });
+                    blocked.add(resolveEventId(operation.eventId));
+                } else {
+                    removePendingOperations(op => op.id === operation.id);
+                    synced++;
+                }
+            } catch (error) {
+                console.error('❌ Error al sincronizar cambio pendiente:', error);
+                
+                if (isConnectionError(error)) {
+                    updatePendingOperation(operation.id, {
+                        attempts: operation.attempts + 1,
+                        lastError: error.message || String(error)
+                    });
+                    break;
+                }
+                
+                updatePendingOperation(operation.id, {
+                    conflict: { type: SYNC_CONFLICTS.REJECTED, message: error.message || String(error) }
+                });
+                blocked.add(resolveEventId(operation.eventId));
+            }
+        }
+    } finally {
+        syncState.isSyncing = false;
+    }
+    
+    const conflicts = getSyncConflicts();
+    
+    if (synced > 0) {
+        console.log(`✅ ${synced} cambio(s) sin conexión sincronizados`);
+    }
+    
+    if (synced > 0 || conflicts.length > 0) {
+        window.dispatchEvent(new CustomEvent('pendingOperationsSynced', {
+            detail: { synced, conflicts }
+        }));
+    }
+    
+    return { synced, conflicts };
+}
+
+/**
+ * Aplica una operación pendiente en Firestore
+ * @param {Object} operation - Operación pendiente
+ * @param {boolean} force - Ignorar conflictos y sobrescribir
+ * @returns {Promise<Object|null>} - Conflicto encontrado, o null si se aplicó
+ */
+async function replayOperation(operation, force = false) {
+    if (operation.type === OPERATION_TYPES.CREATE) {
+        // El ID se reserva antes de escribir para que un reintento no duplique el evento
+        let serverId = operation.serverId;
+        if (!serverId) {
+            serverId = doc(collection(db, COLLECTIONS.EVENTOS)).id;
+            updatePendingOperation(operation.id, { serverId });
+        }
+        
+        const { data } = operation;
+        await setDoc(doc(db, COLLECTIONS.EVENTOS, serverId), {
+            ...data,
+            totalCategorias: (data.categorias || []).length,
+            fechaCreacion: Timestamp.fromDate(new Date(data.fechaCreacion)),
+            fechaModificacion: Timestamp.now()
+        });
+        
+        mapLocalEventId(operation.eventId, serverId);
+        return null;
+    }
+    
+    const eventId = resolveEventId(operation.eventId);
+    const docRef = doc(db, COLLECTIONS.EVENTOS, eventId);
+    
+    if (operation.type === OPERATION_TYPES.DELETE) {
+        await deleteAllEventPhotos(eventId);
+        await deleteDoc(docRef);
+        return null;
+    }
+    
+    return runTransaction(db, async (transaction) => {
+        const eventSnap = await transaction.get(docRef);
+        if (!eventSnap.exists()) {
+            return { type: SYNC_CONFLICTS.DELETED };
+        }
+        
+        const server = eventSnap.data();
+        const base = operation.base;
+        const data = { ...operation.data };
+        
+        // Conflicto: un campo cambió en Firestore a un valor distinto del local
+        if (base && !force) {
+            const fields = Object.keys(data).filter(key =>
+                key !== 'categorias' &&
+                !isSameValue(server[key], base[key]) &&
+                !isSameValue(server[key], data[key])
+            );
+            
+            if (fields.length > 0) {
+                return { type: SYNC_CONFLICTS.MODIFIED, fields };
+            }
+        }
+        
+        // Las categorías se combinan en lugar de sobrescribirse
+        if (Array.isArray(data.categorias)) {
+            if (base) {
+                data.categorias = mergeCategoryChanges(server.categorias || [], base.categorias || [], data.categorias);
+            }
+            data.totalCategorias = data.categorias.length;
+        }
+        
+        transaction.update(docRef, {
+            ...data,
+            fechaModificacion: Timestamp.now()
+        });
+        return null;
+    });
+}
+
+/**
+ * Resuelve un conflicto de sincronización
+ * @param {string} operationId - ID de la operación
+ * @param {boolean} keepLocal - true para aplicar el cambio local, false para descartarlo
+ * @returns {Promise<boolean>} - true si el conflicto quedó resuelto
+ */
+export async function resolveSyncConflict(operationId, keepLocal) {
+    const operation = getPendingOperations().find(op => op.id === operationId);
+    if (!operation) return false;
+    
+    if (keepLocal && operation.conflict?.type !== SYNC_CONFLICTS.DELETED) {
+        try {
+            const conflict = await replayOperation(operation, true);
+            if (conflict) {
+                updatePendingOperation(operationId, { conflict });
+                return false;
+            }
+        } catch (error) {
+            console.error('❌ Error al aplicar el cambio pendiente:', error);
+            return false;
+        }
+        
+        removePendingOperations(op => op.id === operationId);
+    } else if (operation.type === OPERATION_TYPES.CREATE) {
+        // Sin el evento no tiene caso conservar sus demás cambios
+        removePendingOperations(op => op.eventId === operation.eventId);
+        deleteEventFromLocalStorage(operation.eventId);
+    } else {
+        removePendingOperations(op => op.id === operationId);
+    }
+    
+    // Continuar con las operaciones que esperaban este conflicto
+    syncPendingOperations();
+    return true;
+}
+
+/**
+ * Registra el ID en Firestore de un evento creado sin conexión
+ * @param {string} localId - ID local
+ * @param {string} serverId - ID en Firestore
+ */
+function mapLocalEventId(localId, serverId) {
+    const localIds = JSON.parse(localStorage.getItem(LOCAL_IDS_KEY) || '{}');
+    localIds[localId] = serverId;
+    localStorage.setItem(LOCAL_IDS_KEY, JSON.stringify(localIds));
+    
+    // El respaldo local pasa a usar el ID definitivo
+    const eventos = getEventsFromLocalStorage().map(evento =>
+        evento.id === localId ? { ...evento, id: serverId } : evento
+    );
+    localStorage.setItem('userEvents', JSON.stringify(eventos));
+    
+    console.log('🔗 Evento sincronizado:', localId, '→', serverId);
+    window.dispatchEvent(new CustomEvent('eventSynced', { detail: { localId, serverId } }));
+}
+
+/**
+ * Obtiene los eventos creados sin conexión que aún no llegan a Firestore
+ * @returns {Array}
+ */
+function getPendingLocalEvents() {
+    return getEventsFromLocalStorage().filter(evento => isLocalEventId(evento.id));
+}
+
+/**
+ * Aplica a una lista de eventos los cambios pendientes de sincronizar
+ * (la lista en vivo solo refleja lo que ya está en Firestore)
+ * @param {Array} eventos - Eventos
+ * @returns {Array}
+ */
+export function applyPendingOperations(eventos) {
+    const operations = getPendingOperations();
+    if (operations.length === 0) return eventos;
+    
+    const deleted = new Set();
+    const updates = new Map();
+    
+    operations.forEach(operation => {
+        const eventId = resolveEventId(operation.eventId);
+        
+        if (operation.type === OPERATION_TYPES.DELETE) {
+            deleted.add(eventId);
+        } else if (operation.type === OPERATION_TYPES.UPDATE) {
+            updates.set(eventId, { ...updates.get(eventId), ...operation.data });
+        }
+    });
+    
+    const ids = new Set(eventos.map(evento => evento.id));
+    const created = getPendingLocalEvents().filter(evento => !ids.has(evento.id));
+    
+    return [...created, ...eventos]
+        .filter(evento => !deleted.has(evento.id))
+        .map(evento => updates.has(evento.id) ? withSummary({ ...evento, ...updates.get(evento.id) }) : evento);
+}
+
+/**
+ * Sincroniza los cambios pendientes ahora y cada vez que vuelve la conexión
+ */
+export function initPendingOperationsSync() {
+    window.addEventListener('online', () => {
+        console.log('🌐 Conexión recuperada, sincronizando cambios pendientes...');
+        syncPendingOperations();
+    });
+    
+    syncPendingOperations();
+}
+
+/**
+ * Recalcula el total de categorías tras un cambio local
+ * @param {Object} evento - Evento
+ * @returns {Object}
+ */
+function withSummary(evento) {
+    return Array.isArray(evento.categorias)
+        ? { ...evento, totalCategorias: evento.categorias.length }
+        : evento;
+}
+
+/**
+ * Copia solo los campos indicados de un objeto
+ * @param {Object} source - Objeto original
+ * @param {Array} fields - Campos a copiar
+ * @returns {Object}
+ */
+function pickFields(source, fields) {
+    return fields.reduce((picked, field) => {
+        picked[field] = source[field] ?? null;
+        return picked;
+    }, {});
+}
+
+/**
+ * Compara dos valores de un evento (vacío y ausente son iguales)
+ * @param {any} a - Valor
+ * @param {any} b - Valor
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+}
+
+/* ===================================
+   FUNCIONES DE LOCALSTORAGE (FALLBACK)
+   =================================== */
+
+/**
+ * Guarda un evento en localStorage
+ * @param {Object} evento - Datos del evento
+ * @returns {string} - ID del evento
+ */
+function saveEventToLocalStorage(evento) {
+    const eventos = getEventsFromLocalStorage();
+    
+    if (!evento.id) {
+        evento.id = `local-${Date.now()}`;
+    }
+    
+    if (!evento.fechaCreacion) {
+        evento.fechaCreacion = new Date().toISOString();
+    }
+    
+    eventos.push(evento);
+    localStorage.setItem('userEvents', JSON.stringify(eventos));
+    
+    return evento.id;
+}
+
+/**
+ * Guarda en localStorage los eventos recibidos de Firestore
+ * (conserva los creados sin conexión que aún no se sincronizan)
+ * @param {Array} eventos - Eventos de Firestore
+ */
+function cacheServerEvents(eventos) {
+    const pendientes = getPendingLocalEvents();
+    localStorage.setItem('userEvents', JSON.stringify([...pendientes, ...eventos]));
+}
+
+/**
+ * Obtiene eventos desde localStorage
+ * @returns {Array}
+ */
+function getEventsFromLocalStorage() {
+    const eventos = localStorage.getItem('userEvents');
+    return eventos ? JSON.parse(eventos) : [];
+}
+
+/**
+ * Obtiene un evento específico de localStorage
+ * @param {string} eventId - ID del evento
+ * @returns {Object|null}
+ */
+function getEventFromLocalStorage(eventId) {
+    const eventos = getEventsFromLocalStorage();
+    return eventos.find(e => e.id === eventId) || null;
+}
+
+/**
+ * Actualiza un evento en localStorage
+ * @param {string} eventId - ID del evento
+ * @param {Object} updates - Datos a actualizar
+ * @returns {boolean}
+ */
+function updateEventInLocalStorage(eventId, updates) {
+    const eventos = getEventsFromLocalStorage();
+    const index = eventos.findIndex(e => e.id === eventId);
+    
+    if (index !== -1) {
+        eventos[index] = withSummary({
+            ...eventos[index],
+            ...updates,
+            fechaModificacion: new Date().toISOString()
+        });
         localStorage.setItem('userEvents', JSON.stringify(eventos));
         return true;
     }
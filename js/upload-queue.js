@@ -0,0 +1,394 @@
+/* ===================================
+   COLA DE SUBIDA OFFLINE - T&C GROUP
+   Fotos pendientes guardadas en IndexedDB hasta recuperar la conexión
+   =================================== */
+
+import { uploadPreparedPhoto, removePhotoById } from './photos.js';
+import { addPhotosToEvent, isLocalEventId, isLocalEventPending, resolveEventId } from './storage.js';
+
+/* ===================================
+   CONFIGURACIÓN
+   =================================== */
+
+const DB_NAME = 'tyc-fotografias';
+const DB_VERSION = 1;
+const STORE_NAME = 'uploadQueue';
+
+// Reintento periódico mientras queden fotos pendientes
+const RETRY_INTERVAL_MS = 30000;
+
+// Intentos antes de dejar de reintentar un error desconocido
+const MAX_ATTEMPTS = 10;
+
+// Errores que no se arreglan reintentando (el evento ya no existe, sin permisos...)
+const PERMANENT_ERROR_CODES = [
+    'not-found',
+    'permission-denied',
+    'invalid-argument',
+    'storage/unauthorized',
+    'storage/invalid-argument',
+    'storage/quota-exceeded'
+];
+
+// Fallos de conexión: se reintentan sin límite
+const CONNECTION_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'storage/retry-limit-exceeded'];
+
+// Estados de un elemento de la cola
+const QUEUE_STATUS = {
+    PENDING: 'pending',     // Falta subir el archivo a Storage
+    UPLOADED: 'uploaded'    // Ya está en Storage, falta guardarlo en el evento
+};
+
+const queueState = {
+    isProcessing: false,
+    retryTimer: null
+};
+
+let dbPromise = null;
+
+/* ===================================
+   INDEXEDDB
+   =================================== */
+
+/**
+ * Abre (o crea) la base de datos de la cola
+ * @returns {Promise<IDBDatabase>}
+ */
+function openQueueDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('eventId', 'eventId', { unique: false });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Ejecuta una operación sobre el store de la cola
+ * @param {string} mode - 'readonly' o 'readwrite'
+ * @param {Function} operation - Recibe el store y devuelve un IDBRequest
+ * @returns {Promise<any>} - Resultado del request
+ */
+async function runStoreRequest(mode, operation) {
+    const db = await openQueueDB();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/* ===================================
+   OPERACIONES DE LA COLA
+   =================================== */
+
+/**
+ * Guarda en la cola una foto que no se pudo subir
+ * @param {string} eventId - ID del evento
+ * @param {Object} prepared - {photo, file} de preparePhotoObject
+ * @returns {Promise<Object>} - Elemento guardado
+ */
+export async function enqueuePhotoUpload(eventId, prepared) {
+    const item = {
+        id: prepared.photo.id,
+        eventId: eventId,
+        photo: prepared.photo,
+        blob: prepared.file,
+        status: QUEUE_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date().toISOString()
+    };
+
+    await runStoreRequest('readwrite', store => store.put(item));
+
+    console.log('📥 Foto agregada a la cola offline:', item.id);
+    notifyQueueChange('queued', item);
+    scheduleRetry();
+
+    return item;
+}
+
+/**
+ * Guarda en la cola una foto ya subida a Storage cuyo registro en el evento falló
+ * @param {string} eventId - ID del evento
+ * @param {Object} photo - Objeto de foto con URL
+ * @returns {Promise<Object>} - Elemento guardado
+ */
+export async function enqueuePhotoRecord(eventId, photo) {
+    const item = {
+        id: photo.id,
+        eventId: eventId,
+        photo: photo,
+        blob: null,
+        status: QUEUE_STATUS.UPLOADED,
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date().toISOString()
+    };
+
+    await runStoreRequest('readwrite', store => store.put(item));
+
+    console.log('📥 Registro de foto agregado a la cola offline:', item.id);
+    notifyQueueChange('queued', item);
+    scheduleRetry();
+
+    return item;
+}
+
+/**
+ * Obtiene los elementos de la cola
+ * @param {string|null} eventId - Filtrar por evento (opcional)
+ * @returns {Promise<Array>}
+ */
+export async function getQueuedUploads(eventId = null) {
+    try {
+        const items = await runStoreRequest('readonly', store => store.getAll());
+
+        // Las fotos de un evento creado sin conexión conservan su ID local
+        const eventItems = eventId
+            ? items.filter(item => resolveEventId(item.eventId) === resolveEventId(eventId))
+            : items;
+
+        return eventItems.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+        console.error('❌ Error al leer la cola de subida:', error);
+        return [];
+    }
+}
+
+/**
+ * Obtiene las fotos que dejaron de reintentarse
+ * @returns {Promise<Array>}
+ */
+export async function getFailedUploads() {
+    const items = await getQueuedUploads();
+    return items.filter(item => item.failed);
+}
+
+/**
+ * Elimina un elemento de la cola
+ * @param {string} id - ID de la foto en cola
+ * @returns {Promise<boolean>}
+ */
+export async function removeQueuedUpload(id) {
+    try {
+        const item = await runStoreRequest('readonly', store => store.get(id));
+        await runStoreRequest('readwrite', store => store.delete(id));
+
+        // El archivo ya estaba en Storage pero nunca llegó al evento
+        if (item?.status === QUEUE_STATUS.UPLOADED) {
+            await removePhotoById([item.photo], item.id);
+        }
+
+        notifyQueueChange('removed', { id });
+        return true;
+    } catch (error) {
+        console.error('❌ Error al eliminar de la cola:', error);
+        return false;
+    }
+}
+
+/**
+ * Descarta las fotos que dejaron de reintentarse
+ * @returns {Promise<number>} - Cantidad descartada
+ */
+export async function discardFailedUploads() {
+    const items = await getFailedUploads();
+    let discarded = 0;
+
+    for (const item of items) {
+        if (await removeQueuedUpload(item.id)) discarded++;
+    }
+
+    return discarded;
+}
+
+/**
+ * Procesa la cola: sube los archivos pendientes y los registra en su evento
+ * @returns {Promise<number>} - Cantidad de fotos completadas
+ */
+export async function processUploadQueue() {
+    if (queueState.isProcessing || !navigator.onLine) return 0;
+
+    const items = await getQueuedUploads();
+    if (items.length === 0) return 0;
+
+    queueState.isProcessing = true;
+    let completed = 0;
+
+    console.log(`🔄 Procesando cola offline (${items.length} foto(s))...`);
+
+    try {
+        for (const item of items) {
+            if (item.failed) continue;
+
+            // El evento se creó sin conexión: esperar a que exista en Firestore
+            const eventId = resolveEventId(item.eventId);
+            if (isLocalEventId(eventId)) {
+                // Salvo que se haya eliminado antes de sincronizarse
+                if (!isLocalEventPending(eventId)) {
+                    await markAsFailed(item, 'El evento se eliminó antes de sincronizarse');
+                }
+                continue;
+            }
+
+            try {
+                let photo = item.photo;
+
+                // 1. Subir a Storage si aún no se ha hecho
+                if (item.status === QUEUE_STATUS.PENDING) {
+                    photo = await uploadPreparedPhoto({ photo: item.photo, file: item.blob }, eventId);
+
+                    // Guardar el avance para no volver a subir el archivo si falla el paso 2
+                    item.photo = photo;
+                    item.blob = null;
+                    item.status = QUEUE_STATUS.UPLOADED;
+                    await runStoreRequest('readwrite', store => store.put(item));
+                }
+
+                // 2. Registrar la foto en el evento
+                await addPhotosToEvent(eventId, [photo]);
+
+                await runStoreRequest('readwrite', store => store.delete(item.id));
+                completed++;
+
+                notifyQueueChange('completed', { ...item, photo });
+            } catch (error) {
+                console.error(`❌ Error al procesar ${item.id} de la cola:`, error);
+
+                item.attempts++;
+                item.lastError = error.message || String(error);
+
+                if (shouldRetry(item, error)) {
+                    await runStoreRequest('readwrite', store => store.put(item));
+                } else {
+                    await markAsFailed(item, error?.code === 'not-found' ? 'El evento ya no existe' : item.lastError);
+                }
+
+                // Si se perdió la conexión, no tiene caso seguir con las demás
+                if (!navigator.onLine) break;
+            }
+        }
+    } finally {
+        queueState.isProcessing = false;
+    }
+
+    if (completed > 0) {
+        console.log(`✅ ${completed} foto(s) de la cola subidas`);
+    }
+
+    scheduleRetry();
+    return completed;
+}
+
+/* ===================================
+   REINTENTOS
+   =================================== */
+
+/**
+ * Decide si un elemento que falló se vuelve a intentar
+ * @param {Object} item - Elemento de la cola (con attempts ya incrementado)
+ * @param {Error} error - Error de Firestore o Storage
+ * @returns {boolean}
+ */
+function shouldRetry(item, error) {
+    if (PERMANENT_ERROR_CODES.includes(error?.code)) return false;
+    if (!navigator.onLine || CONNECTION_ERROR_CODES.includes(error?.code)) return true;
+
+    return item.attempts < MAX_ATTEMPTS;
+}
+
+/**
+ * Deja un elemento en la cola sin volver a intentarlo hasta que el usuario lo descarte
+ * @param {Object} item - Elemento de la cola
+ * @param {string} reason - Motivo que se muestra al usuario
+ */
+async function markAsFailed(item, reason) {
+    item.failed = true;
+    item.lastError = reason;
+    await runStoreRequest('readwrite', store => store.put(item));
+
+    console.warn(`⚠️ ${item.id} no se volverá a intentar:`, reason);
+    notifyQueueChange('failed', item);
+}
+
+/**
+ * Programa un reintento si quedan fotos en la cola
+ */
+async function scheduleRetry() {
+    if (queueState.retryTimer) return;
+
+    const remaining = await getQueuedUploads();
+    if (!remaining.some(item => !item.failed)) return;
+
+    queueState.retryTimer = setTimeout(() => {
+        queueState.retryTimer = null;
+        processUploadQueue();
+    }, RETRY_INTERVAL_MS);
+}
+
+/**
+ * Notifica a la UI que la cola cambió
+ * @param {string} action - 'queued', 'removed', 'completed' o 'failed'
+ * @param {Object} item - Elemento afectado
+ */
+function notifyQueueChange(action, item) {
+    window.dispatchEvent(new CustomEvent('uploadQueueChanged', {
+        detail: { action, item }
+    }));
+}
+
+/* ===================================
+   INICIALIZACIÓN
+   =================================== */
+
+/**
+ * Inicializa la cola: procesa lo que quedó de sesiones anteriores
+ * y reintenta cada vez que vuelve la conexión
+ */
+export function initUploadQueue() {
+    if (!('indexedDB' in window)) {
+        console.warn('⚠️ IndexedDB no disponible, la cola offline está deshabilitada');
+        return;
+    }
+
+    window.addEventListener('online', () => {
+        console.log('🌐 Conexión recuperada, reintentando subidas...');
+        processUploadQueue();
+    });
+
+    // Las fotos de eventos creados sin conexión esperan a que el evento se sincronice
+    window.addEventListener('eventSynced', () => processUploadQueue());
+
+    processUploadQueue();
+
+    console.log('✅ Cola de subida offline inicializada');
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export {
+    QUEUE_STATUS
+};
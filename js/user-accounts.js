@@ -0,0 +1,69 @@
+/* ===================================
+   CUENTAS DE USUARIO - T&C GROUP
+   Alta de cuentas en Firebase Authentication sin cerrar la sesión actual
+   =================================== */
+
+import { db, createSecondaryAuth } from './firestore-config.js';
+import { createUserWithEmailAndPassword, deleteUser, signOut } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { Timestamp, doc, setDoc } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+
+/* ===================================
+   ALTA DE CUENTAS
+   =================================== */
+
+/**
+ * Crea la cuenta en Authentication y su documento en "usuarios".
+ * La cuenta se crea en una instancia secundaria de Auth para que la
+ * sesión del administrador no cambie; el documento se escribe con la
+ * sesión del administrador, como exigen las reglas de Firestore.
+ * @param {Object} data - {nombre, email, password, rol}
+ * @returns {Promise<string>} - UID del usuario creado
+ */
+export async function createUserAccount({ nombre, email, password, rol }) {
+    const secondary = createSecondaryAuth();
+
+    try {
+        console.log('🔐 Creando usuario en Firebase Auth...');
+        const userCredential = await createUserWithEmailAndPassword(secondary.auth, email, password);
+        const newUser = userCredential.user;
+
+        console.log('✅ Usuario creado en Auth con UID:', newUser.uid);
+
+        // El email de Authentication, con el que se inicia sesión y se restablece la contraseña
+        const userData = {
+            nombre: nombre,
+            email: newUser.email,
+            rol: rol,
+            estado: 'Activo',
+            fechaCreacion: Timestamp.now(),
+            fechaModificacion: Timestamp.now()
+        };
+
+        try {
+            console.log('💾 Guardando datos en Firestore...');
+            await setDoc(doc(db, 'usuarios', newUser.uid), userData);
+        } catch (error) {
+            // Sin documento la cuenta quedaría huérfana: se elimina para poder reintentar
+            await deleteUser(newUser).catch(deleteError => {
+                console.error('❌ No se pudo revertir la cuenta creada:', deleteError);
+            });
+            throw error;
+        }
+
+        console.log('✅ Datos guardados en Firestore');
+
+        await signOut(secondary.auth);
+        return newUser.uid;
+
+    } finally {
+        await secondary.dispose();
+    }
+}
+
+/* ===================================
+   EXPORTACIONES
+   =================================== */
+
+export default {
+    createUserAccount
+};
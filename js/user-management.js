@@ -1,12 +1,16 @@
 /* ===================================
    MÓDULO DE GESTIÓN DE USUARIOS - T&C GROUP
-   Agregar usuarios con Firebase Authentication
+   Alta y administración de usuarios con Firebase Authentication
    =================================== */
 
 import { auth, db } from './firestore-config.js';
-import { createUserWithEmailAndPassword } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
-import { collection, addDoc, getDocs, query, where, Timestamp, doc, setDoc } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
-import { showMessage } from './utils.js';
+import { sendPasswordResetEmail } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { collection, getDocs, query, where } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { showMessage, sanitizeString, getFirebaseErrorMessage } from './utils.js';
+import { hasPermission, normalizeRole, PERMISSIONS, ROLES, ROLE_LABELS, USER_STATUS } from './roles.js';
+import { getAllUsers, updateUser } from './storage.js';
+import { getCurrentUser } from './auth.js';
+import { createUserAccount } from './user-accounts.js';
 
 /* ===================================
    ELEMENTOS DEL DOM
@@ -17,10 +21,21 @@ let userNameInput;
 let userEmailInput;
 let userPasswordInput;
 let userPasswordConfirmInput;
+let userRoleSelect;
 let addUserBtn;
 let cancelUserBtn;
 let togglePasswordBtn;
 let togglePasswordConfirmBtn;
+let userSearchInput;
+let usersListContainer;
+
+// Estado de la lista de usuarios
+const usersState = {
+    users: [],
+    searchTerm: '',
+    editingUserId: null,
+    isSaving: false
+};
 
 /* ===================================
    INICIALIZACIÓN
@@ -38,10 +53,13 @@ export function initUserManagement() {
     userEmailInput = document.getElementById('userEmail');
     userPasswordInput = document.getElementById('userPassword');
     userPasswordConfirmInput = document.getElementById('userPasswordConfirm');
+    userRoleSelect = document.getElementById('userRole');
     addUserBtn = document.getElementById('addUserBtn');
     cancelUserBtn = document.getElementById('cancelUserBtn');
     togglePasswordBtn = document.getElementById('togglePasswordBtn');
     togglePasswordConfirmBtn = document.getElementById('togglePasswordConfirmBtn');
+    userSearchInput = document.getElementById('userSearchInput');
+    usersListContainer = document.getElementById('usersListContainer');
     
     // Configurar event listeners
     setupEventListeners();
@@ -71,6 +89,14 @@ function setupEventListeners() {
     if (togglePasswordConfirmBtn) {
         togglePasswordConfirmBtn.addEventListener('click', () => togglePasswordVisibility('userPasswordConfirm', togglePasswordConfirmBtn));
     }
+
+    // Búsqueda en la lista de usuarios
+    if (userSearchInput) {
+        userSearchInput.addEventListener('input', (e) => {
+            usersState.searchTerm = e.target.value.toLowerCase().trim();
+            renderUsersList();
+        });
+    }
 }
 
 /* ===================================
@@ -84,10 +110,16 @@ function setupEventListeners() {
 async function handleAddUser(e) {
     e.preventDefault();
     
+    if (!hasPermission(PERMISSIONS.GESTIONAR_USUARIOS)) {
+        showMessage('Solo un administrador puede crear usuarios', 'error');
+        return;
+    }
+    
     const nombre = userNameInput.value.trim();
     const email = userEmailInput.value.trim();
     const password = userPasswordInput.value;
     const passwordConfirm = userPasswordConfirmInput.value;
+    const rol = normalizeRole(userRoleSelect?.value);
     
     // Validaciones
     if (!nombre) {
@@ -140,35 +172,7 @@ async function handleAddUser(e) {
     `;
     
     try {
-        // Guardar el usuario actual (admin) para poder restaurarlo
-        const currentUser = auth.currentUser;
-        
-        // Crear usuario en Firebase Authentication
-        console.log('🔐 Creando usuario en Firebase Auth...');
-        const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-        const newUser = userCredential.user;
-        
-        console.log('✅ Usuario creado en Auth con UID:', newUser.uid);
-        
-        // Crear documento en Firestore con el mismo UID
-        const userData = {
-            nombre: nombre,
-            email: email,
-            estado: 'Activo',
-            fechaCreacion: Timestamp.now(),
-            fechaModificacion: Timestamp.now()
-        };
-        
-        console.log('💾 Guardando datos en Firestore...');
-        await setDoc(doc(db, 'usuarios', newUser.uid), userData);
-        
-        console.log('✅ Datos guardados en Firestore');
-        
-        // Cerrar sesión del usuario recién creado
-        await auth.signOut();
-        
-        // IMPORTANTE: Aquí deberías re-autenticar al admin
-        // Por ahora solo recargamos la página para que Firebase restaure la sesión del admin
+        await createUserAccount({ nombre, email, password, rol });
         
         showMessage(`¡Usuario "${nombre}" creado exitosamente!`, 'success');
         
@@ -194,6 +198,8 @@ async function handleAddUser(e) {
             errorMessage = 'La contraseña es muy débil';
         } else if (error.code === 'auth/network-request-failed') {
             errorMessage = 'Error de conexión. Verifica tu internet';
+        } else if (error.code === 'permission-denied') {
+            errorMessage = 'No tienes permiso para crear usuarios';
         } else {
             errorMessage = error.message || 'Error desconocido';
         }
@@ -206,6 +212,250 @@ async function handleAddUser(e) {
     }
 }
 
+/* ===================================
+   LISTA DE USUARIOS
+   =================================== */
+
+/**
+ * Carga la vista de administración de usuarios
+ */
+export async function loadUsersView() {
+    if (!usersListContainer || !hasPermission(PERMISSIONS.GESTIONAR_USUARIOS)) return;
+    
+    usersState.editingUserId = null;
+    usersListContainer.innerHTML = '<div class="users-loading"><span class="spinner"></span></div>';
+    
+    try {
+        usersState.users = await getAllUsers();
+        renderUsersList();
+    } catch (error) {
+        console.error('❌ Error al cargar usuarios:', error);
+        usersListContainer.innerHTML = '<p class="users-empty">No se pudieron cargar los usuarios</p>';
+    }
+}
+
+/**
+ * Obtiene los usuarios que coinciden con la búsqueda
+ * @returns {Array}
+ */
+function getFilteredUsers() {
+    const term = usersState.searchTerm;
+    if (!term) return usersState.users;
+    
+    return usersState.users.filter(user =>
+        (user.nombre || '').toLowerCase().includes(term) ||
+        (user.email || '').toLowerCase().includes(term) ||
+        ROLE_LABELS[normalizeRole(user.rol)].toLowerCase().includes(term)
+    );
+}
+
+/**
+ * Renderiza la lista de usuarios
+ */
+function renderUsersList() {
+    if (!usersListContainer) return;
+    
+    const users = getFilteredUsers();
+    
+    if (users.length === 0) {
+        usersListContainer.innerHTML = usersState.searchTerm
+            ? '<p class="users-empty">Ningún usuario coincide con la búsqueda</p>'
+            : '<p class="users-empty">Aún no hay usuarios registrados</p>';
+        return;
+    }
+    
+    usersListContainer.innerHTML = users.map(user => user.id === usersState.editingUserId
+        ? renderUserEditRow(user)
+        : renderUserRow(user)
+    ).join('');
+}
+
+/**
+ * Genera el HTML de un usuario
+ * @param {Object} user - Datos del usuario
+ * @returns {string}
+ */
+function renderUserRow(user) {
+    const isActive = user.estado !== USER_STATUS.INACTIVO;
+    const isSelf = user.id === getCurrentUser()?.uid;
+    
+    return `
+        <div class="user-row ${isActive ? '' : 'inactive'}" data-user-id="${user.id}">
+            <div class="user-row-info">
+                <strong>${sanitizeString(user.nombre || 'Sin nombre')}${isSelf ? ' (tú)' : ''}</strong>
+                <span>${sanitizeString(user.email || 'Sin email')}</span>
+                <div class="user-row-badges">
+                    <span class="status-badge info">${ROLE_LABELS[normalizeRole(user.rol)]}</span>
+                    <span class="status-badge ${isActive ? 'success' : 'warning'}">${isActive ? USER_STATUS.ACTIVO : USER_STATUS.INACTIVO}</span>
+                </div>
+            </div>
+            <div class="user-row-actions">
+                <button type="button" onclick="editUserRow('${user.id}')">Editar</button>
+                ${isSelf ? '' : `
+                <button type="button" onclick="toggleUserStatus('${user.id}')">${isActive ? 'Desactivar' : 'Reactivar'}</button>
+                `}
+                <button type="button" onclick="sendUserPasswordReset('${user.id}')">Restablecer contraseña</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Genera el HTML de un usuario en modo edición
+ * @param {Object} user - Datos del usuario
+ * @returns {string}
+ */
+function renderUserEditRow(user) {
+    const isSelf = user.id === getCurrentUser()?.uid;
+    const currentRole = normalizeRole(user.rol);
+    
+    const roleOptions = Object.values(ROLES).map(role =>
+        `<option value="${role}" ${role === currentRole ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`
+    ).join('');
+    
+    return `
+        <form class="user-row editing" data-user-id="${user.id}" onsubmit="saveUserRow(event, '${user.id}')">
+            <div class="form-group">
+                <label for="editUserName">Nombre</label>
+                <input type="text" id="editUserName" value="${sanitizeString(user.nombre || '')}" required minlength="3" maxlength="100" />
+            </div>
+            <div class="form-group">
+                <label for="editUserEmail">Email</label>
+                <input type="email" id="editUserEmail" value="${sanitizeString(user.email || '')}" readonly />
+                <p class="helper-text">Es el email para iniciar sesión y no se puede cambiar</p>
+            </div>
+            <div class="form-group">
+                <label for="editUserRole">Rol</label>
+                <select id="editUserRole" ${isSelf ? 'disabled' : ''}>${roleOptions}</select>
+                ${isSelf ? '<p class="helper-text">No puedes cambiar tu propio rol</p>' : ''}
+            </div>
+            <div class="user-row-actions">
+                <button type="button" onclick="cancelUserEdit()">Cancelar</button>
+                <button type="submit" class="primary">Guardar</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Pone un usuario en modo edición
+ * @param {string} userId - UID del usuario
+ */
+window.editUserRow = function(userId) {
+    usersState.editingUserId = userId;
+    renderUsersList();
+    document.getElementById('editUserName')?.focus();
+};
+
+/**
+ * Cancela la edición en curso
+ */
+window.cancelUserEdit = function() {
+    usersState.editingUserId = null;
+    renderUsersList();
+};
+
+/**
+ * Guarda los cambios de un usuario editado
+ * @param {Event} e - Evento del formulario
+ * @param {string} userId - UID del usuario
+ */
+window.saveUserRow = async function(e, userId) {
+    e.preventDefault();
+    if (usersState.isSaving) return;
+    
+    const user = usersState.users.find(u => u.id === userId);
+    if (!user) return;
+    
+    const nombre = document.getElementById('editUserName').value.trim();
+    const isSelf = userId === getCurrentUser()?.uid;
+    const rol = isSelf ? normalizeRole(user.rol) : normalizeRole(document.getElementById('editUserRole').value);
+    
+    if (nombre.length < 3) {
+        showMessage('El nombre debe tener al menos 3 caracteres', 'error');
+        return;
+    }
+    
+    usersState.isSaving = true;
+    
+    try {
+        // El email no se edita: debe coincidir con la cuenta de Authentication
+        await updateUser(userId, { nombre, rol });
+        
+        Object.assign(user, { nombre, rol });
+        usersState.editingUserId = null;
+        renderUsersList();
+        
+        showMessage('Usuario actualizado', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error al actualizar usuario:', error);
+        showMessage('Error al actualizar el usuario', 'error');
+    } finally {
+        usersState.isSaving = false;
+    }
+};
+
+/**
+ * Desactiva o reactiva un usuario
+ * @param {string} userId - UID del usuario
+ */
+window.toggleUserStatus = async function(userId) {
+    const user = usersState.users.find(u => u.id === userId);
+    if (!user || usersState.isSaving) return;
+    
+    if (userId === getCurrentUser()?.uid) {
+        showMessage('No puedes desactivar tu propia cuenta', 'error');
+        return;
+    }
+    
+    const deactivate = user.estado !== USER_STATUS.INACTIVO;
+    
+    if (deactivate && !window.confirm(`¿Desactivar a "${user.nombre}"? Ya no podrá usar la app.`)) {
+        return;
+    }
+    
+    usersState.isSaving = true;
+    
+    try {
+        const estado = deactivate ? USER_STATUS.INACTIVO : USER_STATUS.ACTIVO;
+        await updateUser(userId, { estado });
+        
+        user.estado = estado;
+        renderUsersList();
+        
+        showMessage(deactivate ? 'Usuario desactivado' : 'Usuario reactivado', 'success');
+        
+    } catch (error) {
+        console.error('❌ Error al cambiar estado del usuario:', error);
+        showMessage('Error al cambiar el estado del usuario', 'error');
+    } finally {
+        usersState.isSaving = false;
+    }
+};
+
+/**
+ * Envía al usuario un email para restablecer su contraseña
+ * usuarios.email es el de Authentication (se guarda al crear la cuenta y no se edita)
+ * @param {string} userId - UID del usuario
+ */
+window.sendUserPasswordReset = async function(userId) {
+    const user = usersState.users.find(u => u.id === userId);
+    if (!user?.email) return;
+    
+    if (!window.confirm(`¿Enviar un email para restablecer la contraseña a ${user.email}?`)) {
+        return;
+    }
+    
+    try {
+        await sendPasswordResetEmail(auth, user.email);
+        showMessage(`Email de restablecimiento enviado a ${user.email}`, 'success', 5000);
+    } catch (error) {
+        console.error('❌ Error al enviar restablecimiento:', error);
+        showMessage(getFirebaseErrorMessage(error.code), 'error');
+    }
+};
+
 /* ===================================
    VALIDACIONES
    =================================== */
@@ -346,5 +596,6 @@ function handleCancel() {
    =================================== */
 
 export default {
-    initUserManagement
+    initUserManagement,
+    loadUsersView
 };
\ No newline at end of file
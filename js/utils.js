@@ -94,6 +94,38 @@ export function formatDateShort(date) {
     return `${day}/${month}/${year}`;
 }
 
+/**
+ * Convierte una fecha de un input date (YYYY-MM-DD) a Date en hora local
+ * (new Date('YYYY-MM-DD') la interpreta en UTC y puede restar un día)
+ * @param {string} value - Fecha en formato YYYY-MM-DD
+ * @returns {Date|null}
+ */
+export function parseDateOnly(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Formatea un rango de fechas YYYY-MM-DD
+ * @param {string} start - Fecha de inicio
+ * @param {string} end - Fecha de fin (opcional)
+ * @returns {string} - Ej: "12 de marzo de 2025 al 14 de marzo de 2025", o '' sin inicio
+ */
+export function formatDateRange(start, end) {
+    const startDate = parseDateOnly(start);
+    if (!startDate) return '';
+    
+    const endDate = parseDateOnly(end);
+    
+    if (!endDate || end === start) {
+        return formatDate(startDate);
+    }
+    
+    return `${formatDate(startDate)} al ${formatDate(endDate)}`;
+}
+
 /**
  * Genera un ID único
  * @returns {string}
@@ -298,6 +330,8 @@ export default {
     isValidPassword,
     formatDate,
     formatDateShort,
+    parseDateOnly,
+    formatDateRange,
     generateId,
     saveToLocalStorage,
     getFromLocalStorage,
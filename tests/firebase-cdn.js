@@ -0,0 +1,16 @@
+/* ===================================
+   FIREBASE DESDE NPM - T&C GROUP
+   Hook de resolución: https://www.gstatic.com/firebasejs/{versión}/firebase-{servicio}.js → firebase/{servicio}
+   =================================== */
+
+const FIREBASE_CDN_URL = /^https:\/\/www\.gstatic\.com\/firebasejs\/[^/]+\/firebase-([a-z-]+)\.js$/;
+
+export async function resolve(specifier, context, nextResolve) {
+    const match = specifier.match(FIREBASE_CDN_URL);
+
+    if (match) {
+        return nextResolve(`firebase/${match[1]}`, context);
+    }
+
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,12 @@
+/* ===================================
+   PREPARACIÓN DE PRUEBAS - T&C GROUP
+   Los módulos de la app importan Firebase desde el CDN; en Node se
+   resuelven al paquete "firebase" instalado con npm
+   =================================== */
+
+import { register } from 'node:module';
+
+register('./firebase-cdn.js', import.meta.url);
+
+// firestore-config.js conecta los emuladores cuando la app se sirve en el puerto 5000
+globalThis.window = { location: new URL('http://localhost:5000/') };
@@ -0,0 +1,131 @@
+/* ===================================
+   PRUEBAS DE ALTA DE USUARIOS - T&C GROUP
+   Se ejecutan contra los emuladores de Auth y Firestore (npm test)
+   =================================== */
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getApps, deleteApp } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js';
+import { createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { doc, getDoc } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { app, auth, db } from '../js/firestore-config.js';
+import { createUserAccount } from '../js/user-accounts.js';
+
+const PROJECT_ID = app.options.projectId;
+const AUTH_EMULATOR = 'http://127.0.0.1:9099';
+const FIRESTORE_EMULATOR = 'http://127.0.0.1:8080';
+
+// "owner" salta las reglas de seguridad en los emuladores
+const OWNER_HEADERS = { Authorization: 'Bearer owner', 'Content-Type': 'application/json' };
+
+const ADMIN = { email: 'admin@tycgroup.com', password: 'admin123' };
+const NEW_USER = { nombre: 'Ana Pérez', email: 'ana@tycgroup.com', password: 'secreta123', rol: 'coordinador' };
+
+/* ===================================
+   UTILIDADES DE LOS EMULADORES
+   =================================== */
+
+/**
+ * Borra todas las cuentas y documentos de los emuladores
+ */
+async function clearEmulators() {
+    await fetch(`${AUTH_EMULATOR}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    await fetch(`${FIRESTORE_EMULATOR}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+}
+
+/**
+ * Escribe el documento de un usuario sin pasar por las reglas
+ * @param {string} uid - UID del usuario
+ * @param {Object} fields - Campos de texto del documento
+ */
+async function seedUserDoc(uid, fields) {
+    const body = {
+        fields: Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, { stringValue: value }]))
+    };
+
+    const response = await fetch(
+        `${FIRESTORE_EMULATOR}/v1/projects/${PROJECT_ID}/databases/(default)/documents/usuarios/${uid}`,
+        { method: 'PATCH', headers: OWNER_HEADERS, body: JSON.stringify(body) }
+    );
+    assert.ok(response.ok, `No se pudo preparar usuarios/${uid}`);
+}
+
+/**
+ * Busca las cuentas de Auth con un email
+ * @param {string} email - Email
+ * @returns {Promise<Array>}
+ */
+async function findAuthAccounts(email) {
+    const response = await fetch(
+        `${AUTH_EMULATOR}/identitytoolkit.googleapis.com/v1/projects/${PROJECT_ID}/accounts:query`,
+        { method: 'POST', headers: OWNER_HEADERS, body: JSON.stringify({ returnUserInfo: true }) }
+    );
+    const { userInfo = [] } = await response.json();
+
+    return userInfo.filter(account => account.email === email);
+}
+
+/**
+ * Crea la cuenta del administrador (o de otro rol) y deja su sesión iniciada
+ * @param {string} rol - Rol guardado en usuarios/{uid}
+ * @returns {Promise<Object>} - Usuario con sesión
+ */
+async function signInAs(rol) {
+    const { user } = await createUserWithEmailAndPassword(auth, ADMIN.email, ADMIN.password);
+    await seedUserDoc(user.uid, { nombre: 'Administrador', email: ADMIN.email, rol, estado: 'Activo' });
+
+    await signOut(auth);
+    await signInWithEmailAndPassword(auth, ADMIN.email, ADMIN.password);
+    return auth.currentUser;
+}
+
+/* ===================================
+   PRUEBAS
+   =================================== */
+
+beforeEach(async () => {
+    await signOut(auth);
+    await clearEmulators();
+});
+
+after(async () => {
+    await signOut(auth);
+    await deleteApp(app);
+});
+
+test('la sesión del administrador no cambia al crear un usuario', async () => {
+    const admin = await signInAs('admin');
+
+    const uid = await createUserAccount(NEW_USER);
+
+    assert.notEqual(uid, admin.uid);
+    assert.equal(auth.currentUser?.uid, admin.uid);
+    assert.equal(auth.currentUser?.email, ADMIN.email);
+});
+
+test('guarda usuarios/{uid} con el rol y el estado', async () => {
+    await signInAs('admin');
+
+    const uid = await createUserAccount(NEW_USER);
+    const snapshot = await getDoc(doc(db, 'usuarios', uid));
+
+    assert.ok(snapshot.exists());
+    assert.equal(snapshot.data().nombre, NEW_USER.nombre);
+    assert.equal(snapshot.data().email, NEW_USER.email);
+    assert.equal(snapshot.data().rol, NEW_USER.rol);
+    assert.equal(snapshot.data().estado, 'Activo');
+
+    // La instancia secundaria se libera
+    assert.deepEqual(getApps(), [app]);
+});
+
+test('elimina la cuenta nueva y libera la instancia secundaria si Firestore rechaza el documento', async () => {
+    // Un coordinador no puede escribir en "usuarios"
+    const coordinator = await signInAs('coordinador');
+
+    await assert.rejects(createUserAccount(NEW_USER), { code: 'permission-denied' });
+
+    assert.deepEqual(await findAuthAccounts(NEW_USER.email), []);
+    assert.deepEqual(getApps(), [app]);
+    assert.equal(auth.currentUser?.uid, coordinator.uid);
+});